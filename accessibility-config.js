@@ -13,12 +13,33 @@ var AccessibilityConfig = {
     // Show reset button in the panel (true/false)
     showReset: true,
 
-    // Default font size percentage (75, 100, 125, 150, 200)
+    // Default font size percentage (50 to 300)
     fontSize: 100,
 
+    // Minimum text size in px - text is never rendered smaller than this (0 = off)
+    fontSizeMinimum: 0,
+
     // Default contrast mode: 'normal', 'high', or 'dark'
     contrast: 'normal',
 
+    // Contrast ratio high contrast mode raises text to: 4.5 (WCAG AA) or 7 (WCAG AAA)
+    contrastTarget: 7,
+
+    // Dim images, video and canvas while dark mode is on (true/false)
+    darkModeDimMedia: true,
+
+    // User color theme (true/false) - overrides dark mode and high contrast while enabled
+    customColorsEnabled: false,
+
+    // Colors used by the custom theme, as #rrggbb. Roles left out keep their default.
+    customColors: {
+        text: '#000000',
+        background: '#ffffff',
+        link: '#0000ee',
+        heading: '#000000',
+        focus: '#0066cc'
+    },
+
     // Default line height: 'normal' or 'large'
     lineHeight: 'normal',
 
@@ -28,9 +49,16 @@ var AccessibilityConfig = {
     // Default font family: 'default', 'sans-serif', 'serif', or 'monospace'
     fontFamily: 'default',
 
-    // Color blindness filter: 'none', 'protanopia', 'deuteranopia', 'tritanopia', 'achromatopsia'
+    // Color blindness filter: 'none', 'protanopia', 'deuteranopia', 'tritanopia',
+    // 'protanomaly', 'deuteranomaly', 'tritanomaly', 'achromatopsia'
     colorBlindness: 'none',
 
+    // 'correct' shifts colors so color blind users can tell them apart, 'simulate' previews the deficiency
+    colorBlindnessMode: 'correct',
+
+    // Strength of the color blindness filter (0 to 100)
+    colorBlindnessIntensity: 100,
+
     // Enable focus indicator (true/false)
     focusIndicator: false,
 
@@ -60,10 +88,89 @@ var AccessibilityConfig = {
     ttsPitch: 1.0,
     ttsVolume: 1.0,
 
+    // Highlight while reading: 'word' or 'sentence'
+    ttsHighlightGranularity: 'word',
+
+    // Read what the pointer rests on / what receives keyboard focus (true/false, need ttsEnabled)
+    ttsHoverSpeak: false,
+    ttsFocusSpeak: false,
+
+    // How long the pointer has to rest before hover speech starts, in milliseconds (200 to 3000)
+    ttsHoverDelay: 600,
+
+    // Say "link", "button", "heading level 2" when reading elements (true/false)
+    ttsAnnounceRoles: false,
+
     // TTS voice (empty string for default, or specific voice name)
     ttsVoice: 'default',
     
-    // TTS language: 'en' (English), 'es' (Español), 'de' (Deutsch), 'fr' (Français), 'zh' (中文/Mandarin), 'ko' (한국어), 'no' (Norsk)
-    ttsLanguage: 'en'
+    // TTS language: 'en' (English), 'es' (Español), 'de' (Deutsch), 'fr' (Français), 'zh' (中文/Mandarin), 'ko' (한국어), 'no' (Norsk),
+    // 'ja' (日本語), 'ru' (Русский), 'ar' (العربية), 'hi' (हिन्दी), 'it' (Italiano), 'pl' (Polski), 'nl' (Nederlands),
+    // 'sv' (Svenska), 'da' (Dansk), 'he' (עברית), 'fa' (فارسی), 'ur' (اردو), 'bn' (বাংলা), 'ta' (தமிழ்), 'te' (తెలుగు), 'mr' (मराठी)
+    // The panel only lists languages the browser has a voice for
+    ttsLanguage: 'en',
+
+    // Extra TTS languages, or changes to the built-in ones (needs tts.js), e.g.:
+    // ttsLanguages: {
+    //     'pt': { name: 'Português', code: 'pt-BR', voices: ['pt-BR', 'pt-PT'] },
+    //     'yi': { name: 'ייִדיש', code: 'yi', rtl: true }  // rtl: right-to-left script
+    // }
+    ttsLanguages: null,
+
+    // What speaks (needs tts.js): 'webspeech' (the browser's voices), a speech server -
+    // { type: 'http', url: '/speak', voicesUrl: '/voices' } - or { type: 'audio', synthesize: fn, voices: [...] }
+    // for a local engine. See "Speech Engines" in the README; example-tts-server.js is a stub server for testing
+    ttsEngine: 'webspeech',
+
+    // Read each paragraph in its own language - from its lang attribute, else detected from the text -
+    // switching voices as needed. false reads everything in ttsLanguage (true/false)
+    ttsAutoLanguage: true,
+
+    // Voice menu filters: 'any', 'female' or 'male'; a region such as 'en-GB' ('' for all);
+    // 'any', 'local' (voices on the device) or 'network' (online voices)
+    ttsVoiceGender: 'any',
+    ttsVoiceLocale: '',
+    ttsVoiceService: 'any',
+
+    // Voice names listed first in the voice menu
+    ttsFavoriteVoices: [],
+
+    // Speed and pitch for each voice, used whenever that voice is chosen. The panel remembers them too, e.g.:
+    // ttsVoiceSettings: { 'Samantha': { rate: 1.2, pitch: 1.0 } }
+    ttsVoiceSettings: {},
+
+    // How TTS should say words it gets wrong (needs tts.js). Applied before speaking, e.g.:
+    // pronunciations: {
+    //     words: { 'WCAG': 'W C A G', 'SQL': 'sequel' },      // exact, case-sensitive words
+    //     rules: [{ pattern: '(\\d+)x', replace: '$1 times' }], // regular expressions, $1 for groups
+    //     languages: { es: { words: { 'EE.UU.': 'Estados Unidos' } } }, // only for one TTS language
+    //     builtIn: true  // false turns off the built-in abbreviations, dates, currencies and units
+    // }
+    pronunciations: null,
+
+    // Braille conversion (needs braille.js): 2 for contracted Unified English Braille, 1 for uncontracted
+    brailleGrade: 2,
+
+    // Braille table for text without a lang attribute: a table name or language ('de', 'fr', 'es', 'no'
+    // are built in). null uses Unified English Braille. Text with a lang attribute uses that language's table
+    brailleTable: null,
+
+    // More Braille tables by language: liblouis tables (.ctb/.utb, with their includes) or JSON tables, e.g.:
+    // brailleTables: {
+    //     de: 'tables/de-g2.ctb',
+    //     it: 'tables/it.json'
+    // }
+    brailleTables: null,
+
+    // Where preferences are saved (requires storage.js): 'localStorage', 'sessionStorage', 'cookie',
+    // { type: 'rest', url: '/api/accessibility-preferences' } or your own adapter object with async load/save
+    storage: 'localStorage',
+
+    // Extra profiles shown in the panel's profile picker next to the built-in ones
+    // Each profile sets any of the options above, e.g.:
+    // profiles: {
+    //     'large-print': { name: 'Large Print', settings: { fontSize: 200, lineHeight: 'large' } }
+    // }
+    profiles: {}
 };
 
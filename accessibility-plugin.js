@@ -32,14 +32,27 @@
 
     // Default settings
     const defaultSettings = {
-        fontSize: 100, // percentage
+        fontSize: 100, // percentage, 50 to 300
+        fontSizeMinimum: 0, // px, text is never rendered smaller than this (0 = off)
         contrast: 'normal', // normal, high, dark
+        contrastTarget: 7, // 4.5 (WCAG AA) or 7 (WCAG AAA) - ratio text is raised to in high contrast mode
+        darkModeDimMedia: true, // true/false - dim images and video while dark mode is on
+        customColorsEnabled: false, // true/false - replace page colors with customColors
+        customColors: { text: '#000000', background: '#ffffff', link: '#0000ee', heading: '#000000', focus: '#0066cc' },
         lineHeight: 'normal', // normal, large
         letterSpacing: 'normal', // normal, wide
         fontFamily: 'default', // default, sans-serif, serif, monospace, braille
         ttsVoice: '', // TTS voice name
-        ttsLanguage: 'en', // TTS language: en, es, de, fr, zh, ko, no
-        colorBlindness: 'none', // none, protanopia, deuteranopia, tritanopia, achromatopsia
+        ttsLanguage: 'en', // TTS language: a code from TTS_LANGUAGES in tts.js (en, es, de, fr...) or from ttsLanguages
+        ttsAutoLanguage: true, // true/false - read each paragraph in its own language (lang attribute or detected)
+        ttsVoiceGender: 'any', // any, female, male - only list voices of this gender in the voice menu
+        ttsVoiceLocale: '', // e.g. 'en-GB' - only list voices of this region ('' = all regions)
+        ttsVoiceService: 'any', // any, local, network - only list voices on the device, or online voices
+        ttsFavoriteVoices: [], // names of voices listed first in the voice menu
+        ttsVoiceSettings: {}, // { voiceName: { rate, pitch } } - speed and pitch remembered for each voice
+        colorBlindness: 'none', // none, protanopia, deuteranopia, tritanopia, protanomaly, deuteranomaly, tritanomaly, achromatopsia
+        colorBlindnessMode: 'correct', // correct (daltonize for color blind users) or simulate (preview for designers)
+        colorBlindnessIntensity: 100, // 0 to 100 - strength of the correction or simulation
         focusIndicator: false, // true/false
         readingGuide: false, // true/false
         stopAnimations: false, // true/false
@@ -49,9 +62,15 @@
         ttsRate: 1.0, // 0.5 to 2.0
         ttsPitch: 1.0, // 0 to 2.0
         ttsVolume: 1.0, // 0 to 1.0
+        ttsHighlightGranularity: 'word', // word, sentence - how much text is highlighted while reading
+        ttsHoverSpeak: false, // true/false - read what the pointer rests on (needs ttsEnabled)
+        ttsFocusSpeak: false, // true/false - read what receives keyboard focus (needs ttsEnabled)
+        ttsHoverDelay: 600, // 200 to 3000 - ms the pointer has to rest before hover speech starts
+        ttsAnnounceRoles: false, // true/false - say "link", "button", "heading level 2" when reading elements
         readingMask: false, // true/false - overlay that hides text below
         textHighlight: false, // true/false - highlight text as you read
         brailleEnabled: false, // true/false - convert text to Braille
+        brailleGrade: 2, // 1 (uncontracted) or 2 (contracted) Unified English Braille
         position: 'bottom-right', // bottom-left, bottom-right
         buttonText: 'Accessibility',
         showReset: true
@@ -66,11 +85,18 @@
     // State management
     let currentState = {
         fontSize: settings.fontSize,
+        fontSizeMinimum: settings.fontSizeMinimum,
         contrast: settings.contrast,
+        contrastTarget: settings.contrastTarget,
+        darkModeDimMedia: settings.darkModeDimMedia,
+        customColorsEnabled: settings.customColorsEnabled,
+        customColors: { ...defaultSettings.customColors, ...settings.customColors },
         lineHeight: settings.lineHeight,
         letterSpacing: settings.letterSpacing,
         fontFamily: settings.fontFamily,
         colorBlindness: settings.colorBlindness,
+        colorBlindnessMode: settings.colorBlindnessMode,
+        colorBlindnessIntensity: settings.colorBlindnessIntensity,
         focusIndicator: settings.focusIndicator,
         readingGuide: settings.readingGuide,
         stopAnimations: settings.stopAnimations,
@@ -80,25 +106,386 @@
         ttsRate: settings.ttsRate,
         ttsPitch: settings.ttsPitch,
         ttsVolume: settings.ttsVolume,
+        ttsHighlightGranularity: settings.ttsHighlightGranularity,
+        ttsHoverSpeak: settings.ttsHoverSpeak,
+        ttsFocusSpeak: settings.ttsFocusSpeak,
+        ttsHoverDelay: settings.ttsHoverDelay,
+        ttsAnnounceRoles: settings.ttsAnnounceRoles,
         ttsVoice: settings.ttsVoice || '',
         ttsLanguage: settings.ttsLanguage || 'en',
+        ttsAutoLanguage: settings.ttsAutoLanguage,
+        ttsVoiceGender: settings.ttsVoiceGender,
+        ttsVoiceLocale: settings.ttsVoiceLocale,
+        ttsVoiceService: settings.ttsVoiceService,
+        ttsFavoriteVoices: (settings.ttsFavoriteVoices || []).slice(),
+        ttsVoiceSettings: { ...settings.ttsVoiceSettings },
         readingMask: settings.readingMask || false,
         textHighlight: settings.textHighlight || false,
-        brailleEnabled: settings.brailleEnabled || false
+        brailleEnabled: settings.brailleEnabled || false,
+        brailleGrade: settings.brailleGrade,
+        userProfiles: {} // Profiles saved by the user: { id: { name, settings } }
     };
 
+    // Schema of every user-adjustable setting, used to validate values before they reach currentState
+    const settingsSchema = {
+        fontSize: { type: 'number', min: 50, max: 300 },
+        fontSizeMinimum: { type: 'number', min: 0, max: 32 },
+        contrast: { type: 'string', values: ['normal', 'high', 'dark'] },
+        contrastTarget: { type: 'number', values: [4.5, 7] },
+        darkModeDimMedia: { type: 'boolean' },
+        customColorsEnabled: { type: 'boolean' },
+        customColors: { type: 'object', validate: validateCustomColors },
+        lineHeight: { type: 'string', values: ['normal', 'large'] },
+        letterSpacing: { type: 'string', values: ['normal', 'wide'] },
+        fontFamily: { type: 'string', values: ['default', 'sans-serif', 'serif', 'monospace', 'braille'] },
+        colorBlindness: { type: 'string', values: ['none', 'protanopia', 'deuteranopia', 'tritanopia', 'protanomaly', 'deuteranomaly', 'tritanomaly', 'achromatopsia'] },
+        colorBlindnessMode: { type: 'string', values: ['correct', 'simulate'] },
+        colorBlindnessIntensity: { type: 'number', min: 0, max: 100 },
+        focusIndicator: { type: 'boolean' },
+        readingGuide: { type: 'boolean' },
+        stopAnimations: { type: 'boolean' },
+        underlineLinks: { type: 'boolean' },
+        showImageAlt: { type: 'boolean' },
+        ttsEnabled: { type: 'boolean' },
+        ttsRate: { type: 'number', min: 0.5, max: 2.0 },
+        ttsPitch: { type: 'number', min: 0, max: 2.0 },
+        ttsVolume: { type: 'number', min: 0, max: 1.0 },
+        ttsHighlightGranularity: { type: 'string', values: ['word', 'sentence'] },
+        ttsHoverSpeak: { type: 'boolean' },
+        ttsFocusSpeak: { type: 'boolean' },
+        ttsHoverDelay: { type: 'number', min: 200, max: 3000 },
+        ttsAnnounceRoles: { type: 'boolean' },
+        ttsVoice: { type: 'string' },
+        ttsLanguage: { type: 'string', pattern: /^[a-z]{2,3}$/ },
+        ttsAutoLanguage: { type: 'boolean' },
+        ttsVoiceGender: { type: 'string', values: ['any', 'female', 'male'] },
+        ttsVoiceLocale: { type: 'string', pattern: /^([a-z]{2,3}(-[a-z0-9]{2,8})*)?$/i },
+        ttsVoiceService: { type: 'string', values: ['any', 'local', 'network'] },
+        ttsFavoriteVoices: { type: 'array', validate: validateVoiceNames },
+        ttsVoiceSettings: { type: 'object', validate: validateVoiceSettings },
+        readingMask: { type: 'boolean' },
+        textHighlight: { type: 'boolean' },
+        brailleEnabled: { type: 'boolean' },
+        brailleGrade: { type: 'number', values: [1, 2] },
+        userProfiles: { type: 'object', validate: validateProfileMap }
+    };
+
+    // Validate a single setting against the schema, returns an error message or null if valid
+    function validateSetting(key, value) {
+        const rule = settingsSchema[key];
+        if (!rule) {
+            return 'Unknown setting "' + key + '"';
+        }
+
+        const valueText = JSON.stringify(value);
+        const valueType = Array.isArray(value) ? 'array' : typeof value;
+        if (valueType !== rule.type ||
+            (rule.type === 'number' && !isFinite(value)) ||
+            (rule.type === 'object' && value === null)) {
+            return 'Invalid value ' + valueText + ' for "' + key + '": expected a ' + rule.type;
+        }
+        if (rule.values && rule.values.indexOf(value) === -1) {
+            return 'Invalid value ' + valueText + ' for "' + key + '": expected one of ' + rule.values.join(', ');
+        }
+        if (rule.min !== undefined && value < rule.min) {
+            return 'Invalid value ' + valueText + ' for "' + key + '": must be at least ' + rule.min;
+        }
+        if (rule.max !== undefined && value > rule.max) {
+            return 'Invalid value ' + valueText + ' for "' + key + '": must be at most ' + rule.max;
+        }
+        if (rule.pattern && !rule.pattern.test(value)) {
+            return 'Invalid value ' + valueText + ' for "' + key + '": does not match ' + rule.pattern;
+        }
+        if (rule.validate) {
+            const error = rule.validate(value);
+            if (error) {
+                return 'Invalid value for "' + key + '": ' + error;
+            }
+        }
+        return null;
+    }
+
+    // Validate a { id: { name, settings } } map of profiles, returns an error message or null
+    function validateProfileMap(profiles) {
+        for (const id of Object.keys(profiles)) {
+            const profile = profiles[id];
+            if (!profile || typeof profile.name !== 'string' || !profile.settings || typeof profile.settings !== 'object') {
+                return 'profile "' + id + '" needs a name and a settings object';
+            }
+            for (const key of Object.keys(profile.settings)) {
+                const error = key === 'userProfiles'
+                    ? 'profiles cannot contain other profiles'
+                    : validateSetting(key, profile.settings[key]);
+                if (error) {
+                    return 'profile "' + id + '": ' + error;
+                }
+            }
+        }
+        return null;
+    }
+
+    // Custom theme colors: any of the roles below as #rrggbb
+    const CUSTOM_COLOR_ROLES = ['text', 'background', 'link', 'heading', 'focus'];
+
+    function validateCustomColors(colors) {
+        for (const role of Object.keys(colors)) {
+            if (CUSTOM_COLOR_ROLES.indexOf(role) === -1) {
+                return 'unknown color "' + role + '", expected one of ' + CUSTOM_COLOR_ROLES.join(', ');
+            }
+            if (typeof colors[role] !== 'string' || !/^#[0-9a-f]{6}$/i.test(colors[role])) {
+                return 'color "' + role + '" must be a hex color like #1a2b3c';
+            }
+        }
+        return null;
+    }
+
+    function validateVoiceNames(names) {
+        if (names.some(name => typeof name !== 'string' || !name)) {
+            return 'expected a list of voice names';
+        }
+        return null;
+    }
+
+    // Per-voice speed and pitch, in the same ranges as ttsRate and ttsPitch
+    function validateVoiceSettings(voiceSettings) {
+        for (const name of Object.keys(voiceSettings)) {
+            const voice = voiceSettings[name];
+            if (!voice || typeof voice !== 'object') {
+                return 'voice "' + name + '" needs a { rate, pitch } object';
+            }
+            for (const key of Object.keys(voice)) {
+                const error = key === 'rate' || key === 'pitch'
+                    ? validateSetting(key === 'rate' ? 'ttsRate' : 'ttsPitch', voice[key])
+                    : 'unknown voice setting "' + key + '", expected rate or pitch';
+                if (error) {
+                    return 'voice "' + name + '": ' + error;
+                }
+            }
+        }
+        return null;
+    }
+
+    // Validate and apply several settings at once. Nothing is changed if any value is invalid.
+    function updateSettings(partial) {
+        if (!partial || typeof partial !== 'object' || Array.isArray(partial)) {
+            throw new TypeError('AccessibilityPlugin: setSettings expects an object of settings');
+        }
+
+        const errors = [];
+        Object.keys(partial).forEach(key => {
+            const error = validateSetting(key, partial[key]);
+            if (error) {
+                errors.push(error);
+            }
+        });
+        if (errors.length > 0) {
+            throw new Error('AccessibilityPlugin: ' + errors.join('; '));
+        }
+
+        Object.keys(partial).forEach(key => {
+            currentState[key] = partial[key];
+        });
+        applySettings();
+    }
+
+    // Built-in accessibility profiles - combinations of existing settings for common needs
+    const builtInProfiles = {
+        'low-vision': {
+            name: 'Low Vision',
+            icon: 'bx-glasses',
+            settings: { fontSize: 150, contrast: 'high', lineHeight: 'large', focusIndicator: true, underlineLinks: true }
+        },
+        'dyslexia': {
+            name: 'Dyslexia',
+            icon: 'bx-font',
+            settings: { fontFamily: 'sans-serif', lineHeight: 'large', letterSpacing: 'wide', readingMask: true }
+        },
+        'adhd': {
+            name: 'ADHD / Focus',
+            icon: 'bx-target-lock',
+            settings: { readingMask: true, stopAnimations: true, focusIndicator: true }
+        },
+        'seizure-safe': {
+            name: 'Seizure Safe',
+            icon: 'bx-shield-quarter',
+            settings: { stopAnimations: true, contrast: 'normal', colorBlindness: 'none' }
+        },
+        'motor-impaired': {
+            name: 'Motor Impaired',
+            icon: 'bx-pointer',
+            settings: { focusIndicator: true, underlineLinks: true, stopAnimations: true, fontSize: 125 }
+        },
+        'blind': {
+            name: 'Blind / Screen Reader',
+            icon: 'bx-volume-full',
+            settings: { ttsEnabled: true, showImageAlt: true, focusIndicator: true, stopAnimations: true }
+        }
+    };
+
+    // Integrator profiles from AccessibilityConfig.profiles, same shape as builtInProfiles
+    const configProfiles = {};
+    if (settings.profiles && typeof settings.profiles === 'object') {
+        const profileError = validateProfileMap(settings.profiles);
+        if (profileError) {
+            console.warn('AccessibilityConfig.profiles ignored: ' + profileError);
+        } else {
+            Object.keys(settings.profiles).forEach(id => {
+                configProfiles[id] = { icon: 'bx-user-check', ...settings.profiles[id] };
+            });
+        }
+    }
+
+    // Profile applied last, its settings are reset when another one is applied
+    let appliedProfileId = null;
+
+    // All profiles in picker order: built-in, integrator, then user-saved
+    function getProfiles() {
+        const profiles = {};
+        Object.keys(builtInProfiles).forEach(id => {
+            profiles[id] = { ...builtInProfiles[id], source: 'builtin' };
+        });
+        Object.keys(configProfiles).forEach(id => {
+            profiles[id] = { ...configProfiles[id], source: 'config' };
+        });
+        Object.keys(currentState.userProfiles || {}).forEach(id => {
+            profiles[id] = { icon: 'bx-user', ...currentState.userProfiles[id], source: 'user' };
+        });
+        return profiles;
+    }
+
+    // Check whether every setting of a profile is currently in effect
+    function isProfileActive(profile) {
+        // Object settings (e.g. customColors) are compared by value
+        return Object.keys(profile.settings).every(key =>
+            JSON.stringify(currentState[key]) === JSON.stringify(profile.settings[key]));
+    }
+
+    // Settings that belong to the user rather than to a profile: never saved in or changed by one
+    // (favorite voices and per-voice speed and pitch are the user's own, like the profiles themselves)
+    const PROFILE_EXCLUDED_KEYS = ['userProfiles', 'ttsFavoriteVoices', 'ttsVoiceSettings'];
+
+    function getProfileSettings(profile) {
+        const profileSettings = { ...profile.settings };
+        PROFILE_EXCLUDED_KEYS.forEach(key => delete profileSettings[key]);
+        return profileSettings;
+    }
+
+    // Switch to a profile. Settings the previous profile changed go back to their defaults first,
+    // so moving from one profile to another doesn't leave the old one half-applied. After a reload
+    // the previous profile is whichever is still fully in effect.
+    function applyProfile(id) {
+        const profiles = getProfiles();
+        const profile = profiles[id];
+        if (!profile) {
+            throw new Error('AccessibilityPlugin: Unknown profile "' + id + '"');
+        }
+
+        const previousIds = profiles[appliedProfileId]
+            ? [appliedProfileId]
+            : Object.keys(profiles).filter(otherId => isProfileActive(profiles[otherId]));
+        const baseline = {};
+        previousIds.forEach(previousId => {
+            Object.keys(getProfileSettings(profiles[previousId])).forEach(key => {
+                baseline[key] = settings[key];
+            });
+        });
+
+        const profileSettings = getProfileSettings(profile);
+        appliedProfileId = id;
+        updateSettings({ ...baseline, ...profileSettings });
+        announceToScreenReader(profile.name + ' profile applied');
+        emitEvent('profileapply', { id: id, name: profile.name, settings: profileSettings });
+    }
+
+    // Id a user profile with this name is saved under
+    function getUserProfileId(name) {
+        const slug = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return 'user-' + (slug || Date.now());
+    }
+
+    // Save the settings that differ from the defaults as a named user profile, returns its id.
+    // A profile with the same name is only replaced with options.replace, otherwise the new one gets its own id.
+    function saveProfile(name, options = {}) {
+        name = typeof name === 'string' ? name.trim() : '';
+        if (!name) {
+            throw new Error('AccessibilityPlugin: A profile needs a name');
+        }
+
+        const profileSettings = {};
+        Object.keys(settingsSchema).forEach(key => {
+            if (!PROFILE_EXCLUDED_KEYS.includes(key) && currentState[key] !== undefined &&
+                JSON.stringify(currentState[key]) !== JSON.stringify(settings[key])) {
+                profileSettings[key] = currentState[key];
+            }
+        });
+
+        const userProfiles = currentState.userProfiles || {};
+        const baseId = getUserProfileId(name);
+        let id = baseId;
+        for (let n = 2; userProfiles[id] && !options.replace; n++) {
+            id = baseId + '-' + n;
+        }
+        updateSettings({
+            userProfiles: { ...userProfiles, [id]: { name: name, settings: profileSettings } }
+        });
+        appliedProfileId = id;
+        return id;
+    }
+
+    // Remove a user-saved profile
+    function deleteProfile(id) {
+        if (appliedProfileId === id) {
+            appliedProfileId = null;
+        }
+        if (!currentState.userProfiles || !currentState.userProfiles[id]) {
+            return false;
+        }
+        const userProfiles = { ...currentState.userProfiles };
+        delete userProfiles[id];
+        updateSettings({ userProfiles: userProfiles });
+        return true;
+    }
+
     // TTS variables
     let speechSynthesis = null;
     let currentUtterance = null;
     let isSpeaking = false;
+    let ttsPaused = false;
+    let ttsPauseStartTime = 0;
+    let ttsRateRestartTimer = null;
+    let lastVoiceMenuKey = null; // Filters and favorites the voice menu was last built with
     let selectedText = '';
     let availableVoices = [];
-    let ttsHighlightElements = [];
-    let ttsCurrentWordIndex = 0;
-    let ttsWords = [];
+    let ttsCurrentWordIndex = -1;
+    let ttsWords = []; // { range, word, start (offset in the spoken text), sentence }
+    let ttsActiveRanges = [];
+    let ttsActiveKind = 'word';
+    let ttsHighlightRedrawFrame = null;
+    let ttsBoundarySeen = false; // the voice reports word boundaries
+    let ttsBoundaryWait = null;
+    let ttsHighlightTimer = null; // timing estimate for voices without boundary events
+    let ttsHighlightStartTime = 0;
     let ttsManager = null; // TTS Manager instance
     let currentTTSLanguage = 'en'; // Current TTS language
 
+    // Read page variables
+    let readPageActive = false;
+    let readPageText = '';
+    let readPageParagraphCount = 0;
+    let audioExport = null; // AbortController while an audio file is being made
+
+    // Speak on hover / focus variables
+    let ttsSpeechSource = null; // what started the current speech: 'text', 'page', 'hover' or 'focus'
+    let speakOnHoverActive = false;
+    let speakOnFocusActive = false;
+    let hoverSpeakTarget = null;
+    let hoverSpeakTimer = null;
+    let ttsCueContext = null;
+
+    // TTS player variables
+    let ttsPlayerPosition = null; // { left, top } once moved, otherwise docked at the bottom
+    let ttsPlayerDrag = null;
+
     // Reading guide variables
     let readingGuideElement = null;
     let readingGuideActive = false;
@@ -120,6 +507,123 @@
 
     // Braille variables
     let brailleEnabled = false;
+    let brailleTablesConfigured = false;
+
+    // Color filter variables
+    let colorFilterValues = null; // feColorMatrix values currently applied to the page, null when off
+
+    // Font scaling variables
+    const fontScaleOriginals = new Map(); // element -> inline font-size it had before scaling
+    let fontScaleObserver = null;
+    let fontScaleTimeout = null;
+    let fontScaleFrame = null;
+    let fontScaleKey = null; // fontSize and fontSizeMinimum the page was last scaled for
+
+    // Smart dark mode variables
+    const darkModeOriginals = new Map(); // element -> { property: inline value it had before recoloring }
+    const darkModeBackgrounds = new Map(); // element -> remapped opaque background, for text contrast
+    const darkModePending = new Set(); // subtrees waiting to be recolored
+    let darkModeActive = false;
+    let darkModeObserver = null;
+    let darkModeFrame = null;
+
+    // Contrast enforcement variables
+    const contrastOriginals = new Map(); // element -> { color: inline value it had before fixing }
+    const contrastPending = new Set(); // subtrees waiting to be checked
+    let contrastEnforced = null; // target ratio currently enforced, null when off
+    let contrastObserver = null;
+    let contrastFrame = null;
+
+    // Preference storage (see storage.js)
+    let preferenceStorage = null;
+    let preferencesLoaded = false;
+    let storageWarningShown = false;
+
+    // Event variables
+    const eventListeners = {};
+    let lastEmittedState = { ...currentState };
+    let ttsEventText = null; // Text of the utterance that fired ttsstart, null when idle
+
+    // Subscribe to a plugin event, returns an unsubscribe function
+    function subscribe(eventName, handler, options = {}) {
+        if (typeof handler !== 'function') {
+            console.warn('AccessibilityPlugin: Event handler must be a function');
+            return function() {};
+        }
+        if (!eventListeners[eventName]) {
+            eventListeners[eventName] = [];
+        }
+        eventListeners[eventName].push({ handler: handler, once: Boolean(options.once) });
+        return function() {
+            unsubscribe(eventName, handler);
+        };
+    }
+
+    // Unsubscribe from a plugin event (all listeners for the event if no handler is given)
+    function unsubscribe(eventName, handler) {
+        if (!eventListeners[eventName]) return;
+        if (!handler) {
+            delete eventListeners[eventName];
+            return;
+        }
+        eventListeners[eventName] = eventListeners[eventName].filter(listener => listener.handler !== handler);
+    }
+
+    // Notify API subscribers and dispatch a matching DOM CustomEvent on document
+    function emitEvent(eventName, detail = {}) {
+        const listeners = eventListeners[eventName];
+        if (listeners && listeners.length > 0) {
+            // Copy first so handlers can unsubscribe while we iterate
+            listeners.slice().forEach(listener => {
+                if (listener.once) {
+                    eventListeners[eventName] = eventListeners[eventName].filter(l => l !== listener);
+                }
+                try {
+                    listener.handler(detail);
+                } catch (error) {
+                    console.error('AccessibilityPlugin: Error in "' + eventName + '" listener:', error);
+                }
+            });
+        }
+
+        try {
+            document.dispatchEvent(new CustomEvent('accessibility:' + eventName, { detail: detail }));
+        } catch (error) {
+            console.warn('AccessibilityPlugin: Could not dispatch DOM event', eventName, error);
+        }
+    }
+
+    // Emit settingchange events for every currentState key that differs from the last emitted state
+    function emitSettingChanges() {
+        const keys = new Set([...Object.keys(lastEmittedState), ...Object.keys(currentState)]);
+        const previousState = lastEmittedState;
+        lastEmittedState = { ...currentState };
+
+        keys.forEach(key => {
+            if (previousState[key] === currentState[key]) return;
+            const detail = {
+                key: key,
+                value: currentState[key],
+                previousValue: previousState[key]
+            };
+            emitEvent('settingchange', detail);
+            emitEvent('settingchange:' + key, detail);
+        });
+    }
+
+    // Emit ttsstart once per utterance
+    function emitTTSStart(text) {
+        ttsEventText = text;
+        emitEvent('ttsstart', { text: text, language: currentState.ttsLanguage });
+    }
+
+    // Emit ttsend once per utterance, whether it finished, errored or was stopped
+    function emitTTSEnd(reason) {
+        if (ttsEventText === null) return;
+        const text = ttsEventText;
+        ttsEventText = null;
+        emitEvent('ttsend', { text: text, reason: reason });
+    }
 
     // Initialize TTS
     function initTTS() {
@@ -157,7 +661,26 @@
             
             ttsManager.onVoiceChange = function() {
                 updateVoiceDropdown();
+                // The language list follows the installed voices
+                updateLanguageDropdown();
+                // Voices change with the engine, and only some engines make audio files
+                updateDownloadAudioButton();
             };
+
+            // Integrator's extra languages
+            if (settings.ttsLanguages) {
+                ttsManager.addLanguages(settings.ttsLanguages);
+            }
+
+            // Integrator's speech engine (speechSynthesis unless configured)
+            if (settings.ttsEngine && settings.ttsEngine !== 'webspeech' && !ttsManager.setEngine(settings.ttsEngine)) {
+                console.warn('AccessibilityConfig.ttsEngine could not be used, speaking with speechSynthesis');
+            }
+
+            // Integrator's pronunciation lexicon
+            if (settings.pronunciations) {
+                ttsManager.setLexicon(settings.pronunciations);
+            }
             
             // Load voices
             if (ttsManager.availableVoices.length === 0) {
@@ -205,7 +728,13 @@
 
     // Load available TTS voices
     function loadVoices() {
-        if (speechSynthesis) {
+        if (ttsManager && ttsManager.isAvailable()) {
+            // Use TTS Manager voices (they come from its engine, which may not be speechSynthesis)
+            ttsManager.loadVoices();
+            availableVoices = ttsManager.availableVoices || [];
+            console.log('Loaded', availableVoices.length, 'TTS voices from TTS Manager');
+            updateVoiceDropdown();
+        } else if (speechSynthesis) {
             const voices = speechSynthesis.getVoices();
             if (voices.length > 0) {
                 availableVoices = voices;
@@ -224,12 +753,6 @@
                     }
                 }, 1000);
             }
-        } else if (ttsManager && ttsManager.synthesis) {
-            // Use TTS Manager voices
-            ttsManager.loadVoices();
-            availableVoices = ttsManager.availableVoices || [];
-            console.log('Loaded', availableVoices.length, 'TTS voices from TTS Manager');
-            updateVoiceDropdown();
         }
     }
 
@@ -259,265 +782,993 @@
         }
         
         if (voices.length > 0) {
-            const currentValue = ttsVoiceSelect.value;
             const options = getVoiceOptions();
-            ttsVoiceSelect.innerHTML = '';
-            options.forEach(option => {
-                const optionEl = document.createElement('option');
-                optionEl.value = option.value;
-                optionEl.textContent = option.label;
-                if (option.value === currentValue || (!currentValue && option.value === '')) {
-                    optionEl.selected = true;
-                }
-                ttsVoiceSelect.appendChild(optionEl);
-            });
+            fillVoiceSelect(ttsVoiceSelect, options);
+            updateVoiceRegionSelect();
+            updateVoiceActions();
             console.log('Voice dropdown updated with', options.length, 'options');
         } else {
             console.warn('No voices available to update dropdown');
         }
     }
 
-    // Load saved preferences from localStorage
+    // Get the versioned preference store (storage.js), created on first use
+    function getPreferenceStorage() {
+        if (!preferenceStorage && typeof window.PreferenceStorage !== 'undefined') {
+            preferenceStorage = new window.PreferenceStorage({
+                adapter: settings.storage,
+                validate: validateSetting
+            });
+
+            // Send debounced writes (REST adapter) before the page goes away
+            const adapter = preferenceStorage.adapter;
+            if (typeof adapter.flush === 'function') {
+                window.addEventListener('pagehide', function() {
+                    adapter.flush({ keepalive: true });
+                });
+            }
+        } else if (!preferenceStorage && !storageWarningShown && settings.storage && settings.storage !== 'localStorage') {
+            // localStorage is the fallback anyway, only other storage needs storage.js
+            storageWarningShown = true;
+            console.warn('AccessibilityConfig.storage requires storage.js to be loaded, using localStorage');
+        }
+        return preferenceStorage;
+    }
+
+    // Load saved preferences (localStorage unless AccessibilityConfig.storage names another adapter)
     function loadPreferences() {
-        const saved = localStorage.getItem('accessibilityPluginSettings');
-        if (saved) {
-            try {
+        const storage = getPreferenceStorage();
+        if (storage) {
+            return storage.load().then(saved => {
+                if (Object.keys(saved).length > 0) {
+                    currentState = { ...currentState, ...saved };
+                    applySettings();
+                }
+                preferencesLoaded = true;
+            });
+        }
+
+        // Fallback when storage.js is not loaded
+        try {
+            const saved = localStorage.getItem('accessibilityPluginSettings');
+            if (saved) {
                 const parsed = JSON.parse(saved);
-                currentState = { ...currentState, ...parsed };
+                // Saved before colorBlindnessMode existed, when every filter was a simulation (see storage.js)
+                if (parsed.colorBlindness && parsed.colorBlindness !== 'none' && !parsed.colorBlindnessMode) {
+                    parsed.colorBlindnessMode = 'simulate';
+                }
+                Object.keys(parsed).forEach(key => {
+                    if (!validateSetting(key, parsed[key])) {
+                        currentState[key] = parsed[key];
+                    }
+                });
                 applySettings();
-            } catch (e) {
-                console.warn('Failed to load accessibility preferences:', e);
             }
+        } catch (e) {
+            console.warn('Failed to load accessibility preferences:', e);
         }
+        preferencesLoaded = true;
+        return Promise.resolve();
     }
 
-    // Save preferences to localStorage
+    // Save preferences
     function savePreferences() {
-        localStorage.setItem('accessibilityPluginSettings', JSON.stringify(currentState));
+        // Saving before the stored preferences arrive would overwrite them with defaults
+        if (!preferencesLoaded) return;
+
+        const storage = getPreferenceStorage();
+        if (storage) {
+            storage.save(currentState);
+            return;
+        }
+
+        // Fallback when storage.js is not loaded
+        try {
+            localStorage.setItem('accessibilityPluginSettings', JSON.stringify(currentState));
+        } catch (e) {
+            console.warn('Failed to save accessibility preferences:', e);
+        }
     }
 
     // Color blindness filter matrices
-    const colorBlindnessFilters = {
-        protanopia: {
-            matrix: [0.567, 0.433, 0, 0, 0, 0.558, 0.442, 0, 0, 0, 0, 0.242, 0.758, 0, 0, 0, 0, 0, 1, 0]
-        },
-        deuteranopia: {
-            matrix: [0.625, 0.375, 0, 0, 0, 0.7, 0.3, 0, 0, 0, 0, 0.3, 0.7, 0, 0, 0, 0, 0, 1, 0]
-        },
-        tritanopia: {
-            matrix: [0.95, 0.05, 0, 0, 0, 0, 0.433, 0.567, 0, 0, 0, 0.475, 0.525, 0, 0, 0, 0, 0, 1, 0]
-        },
-        achromatopsia: {
-            matrix: [0.299, 0.587, 0.114, 0, 0, 0.299, 0.587, 0.114, 0, 0, 0.299, 0.587, 0.114, 0, 0, 0, 0, 0, 1, 0]
-        }
+    // Simulation matrices from Machado, Oliveira & Fernandes (2009) for full dichromacy, in linear RGB.
+    // Anomalous trichromacies use the same matrix at a lower severity. Achromatopsia keeps only luminance.
+    const colorBlindnessTypes = {
+        protanopia: { base: 'protan', severity: 1 },
+        deuteranopia: { base: 'deutan', severity: 1 },
+        tritanopia: { base: 'tritan', severity: 1 },
+        protanomaly: { base: 'protan', severity: 0.6 },
+        deuteranomaly: { base: 'deutan', severity: 0.6 },
+        tritanomaly: { base: 'tritan', severity: 0.6 },
+        achromatopsia: { base: 'achromat', severity: 1 }
     };
 
-    // Apply color blindness filter
-    function applyColorBlindnessFilter() {
-        const body = document.body;
-        const filterId = 'accessibility-colorblind-filter';
-        
-        // Remove existing filter
-        const existingFilter = document.getElementById(filterId);
-        if (existingFilter) {
-            existingFilter.remove();
-        }
+    const colorBlindnessSimulations = {
+        protan: [
+            [0.152286, 1.052583, -0.204868],
+            [0.114503, 0.786281, 0.099216],
+            [-0.003882, -0.048116, 1.051998]
+        ],
+        deutan: [
+            [0.367322, 0.860646, -0.227968],
+            [0.280085, 0.672501, 0.047413],
+            [-0.011820, 0.042940, 0.968881]
+        ],
+        tritan: [
+            [1.255528, -0.076749, -0.178779],
+            [-0.078411, 0.930809, 0.147602],
+            [0.004733, 0.691367, 0.303900]
+        ],
+        achromat: [
+            [0.2126, 0.7152, 0.0722],
+            [0.2126, 0.7152, 0.0722],
+            [0.2126, 0.7152, 0.0722]
+        ]
+    };
 
-        // Remove data attribute
-        body.removeAttribute('data-colorblind-filter');
+    // Daltonization (Fidaner et al.): the color difference a viewer can't see is moved into channels
+    // they can. Red/green losses go into green and blue, blue/yellow losses into red and green.
+    // There is no hue left to shift for achromatopsia, so it has no correction.
+    const colorBlindnessShifts = {
+        protan: [[0, 0, 0], [0.7, 1, 0], [0.7, 0, 1]],
+        deutan: [[0, 0, 0], [0.7, 1, 0], [0.7, 0, 1]],
+        tritan: [[1, 0, 0.7], [0, 1, 0.7], [0, 0, 0]]
+    };
 
-        if (currentState.colorBlindness === 'none') {
-            body.style.filter = '';
-            return;
+    const IDENTITY_MATRIX = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+    function multiplyMatrices(a, b) {
+        return a.map(row => b[0].map((_, col) => row.reduce((sum, value, i) => sum + value * b[i][col], 0)));
+    }
+
+    // identity + amount * (matrix - identity)
+    function blendWithIdentity(matrix, amount) {
+        return matrix.map((row, i) => row.map((value, j) => IDENTITY_MATRIX[i][j] + amount * (value - IDENTITY_MATRIX[i][j])));
+    }
+
+    // 3x3 color matrix for the current type, mode and intensity, or null when there is nothing to apply
+    function getColorBlindnessMatrix() {
+        const type = colorBlindnessTypes[currentState.colorBlindness];
+        const intensity = currentState.colorBlindnessIntensity / 100;
+        if (!type || intensity === 0) return null;
+
+        const simulation = blendWithIdentity(colorBlindnessSimulations[type.base], type.severity);
+        if (currentState.colorBlindnessMode === 'simulate') {
+            return blendWithIdentity(simulation, intensity);
         }
 
-        const filter = colorBlindnessFilters[currentState.colorBlindness];
-        if (!filter) return;
+        const shift = colorBlindnessShifts[type.base];
+        if (!shift) return null;
+        // correction = identity + intensity * shift * (identity - simulation)
+        const lost = IDENTITY_MATRIX.map((row, i) => row.map((value, j) => value - simulation[i][j]));
+        const correction = multiplyMatrices(shift, lost);
+        return IDENTITY_MATRIX.map((row, i) => row.map((value, j) => value + intensity * correction[i][j]));
+    }
 
-        // Set data attribute for CSS targeting
-        body.setAttribute('data-colorblind-filter', currentState.colorBlindness);
-
-        // Create SVG filter
-        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-        svg.setAttribute('id', filterId);
-        svg.style.position = 'absolute';
-        svg.style.width = '0';
-        svg.style.height = '0';
-        svg.style.pointerEvents = 'none';
-        svg.style.visibility = 'hidden';
-        
-        const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
-        const filterElement = document.createElementNS('http://www.w3.org/2000/svg', 'filter');
-        filterElement.setAttribute('id', 'colorblind-filter');
-        filterElement.setAttribute('color-interpolation-filters', 'sRGB');
-        
-        const feColorMatrix = document.createElementNS('http://www.w3.org/2000/svg', 'feColorMatrix');
-        feColorMatrix.setAttribute('type', 'matrix');
-        feColorMatrix.setAttribute('values', filter.matrix.join(' '));
-        
-        filterElement.appendChild(feColorMatrix);
-        defs.appendChild(filterElement);
-        svg.appendChild(defs);
-        document.body.appendChild(svg);
-
-        // Apply filter to body but widget will be excluded via CSS
-        body.style.filter = 'url(#colorblind-filter)';
-        
-        // Force widget to maintain position - ensure it's not affected by filter
-        const widget = document.getElementById('accessibility-plugin-widget');
-        if (widget) {
-            // Only set filter-related properties, don't touch positioning
-            widget.style.filter = 'none';
-            widget.style.transform = 'translateZ(0)';
-            widget.style.isolation = 'isolate';
-            // Don't override position, bottom, right, left - let CSS handle it
+    // Inverse of a 3x3 matrix, or null when it can't be inverted (e.g. full achromatopsia)
+    function invertMatrix(m) {
+        const det = m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+            m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+            m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+        if (Math.abs(det) < 1e-6) return null;
+        return [
+            [(m[1][1] * m[2][2] - m[1][2] * m[2][1]) / det, (m[0][2] * m[2][1] - m[0][1] * m[2][2]) / det, (m[0][1] * m[1][2] - m[0][2] * m[1][1]) / det],
+            [(m[1][2] * m[2][0] - m[1][0] * m[2][2]) / det, (m[0][0] * m[2][2] - m[0][2] * m[2][0]) / det, (m[0][2] * m[1][0] - m[0][0] * m[1][2]) / det],
+            [(m[1][0] * m[2][1] - m[1][1] * m[2][0]) / det, (m[0][1] * m[2][0] - m[0][0] * m[2][1]) / det, (m[0][0] * m[1][1] - m[0][1] * m[1][0]) / det]
+        ];
+    }
+
+    // feColorMatrix "values" for a 3x3 color matrix (alpha untouched)
+    function toFeColorMatrixValues(matrix) {
+        const values = [];
+        matrix.forEach(row => values.push(...row.map(value => Math.round(value * 1e6) / 1e6), 0, 0));
+        values.push(0, 0, 0, 1, 0);
+        return values.join(' ');
+    }
+
+    // Create the hidden SVG holding the page filter and its inverse (used to keep the widget's own colors)
+    function getColorFilterElements() {
+        let svg = document.getElementById('accessibility-colorblind-filter');
+        if (!svg) {
+            svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+            svg.setAttribute('id', 'accessibility-colorblind-filter');
+            svg.setAttribute('aria-hidden', 'true');
+            svg.style.position = 'absolute';
+            svg.style.width = '0';
+            svg.style.height = '0';
+            svg.style.pointerEvents = 'none';
+            svg.style.visibility = 'hidden';
+
+            const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+            ['colorblind-filter', 'colorblind-filter-inverse'].forEach(id => {
+                const filterElement = document.createElementNS('http://www.w3.org/2000/svg', 'filter');
+                filterElement.setAttribute('id', id);
+                filterElement.setAttribute('color-interpolation-filters', 'linearRGB');
+                const feColorMatrix = document.createElementNS('http://www.w3.org/2000/svg', 'feColorMatrix');
+                feColorMatrix.setAttribute('type', 'matrix');
+                filterElement.appendChild(feColorMatrix);
+                defs.appendChild(filterElement);
+            });
+            svg.appendChild(defs);
+            document.body.appendChild(svg);
         }
+        return {
+            matrix: svg.querySelector('#colorblind-filter feColorMatrix'),
+            inverse: svg.querySelector('#colorblind-filter-inverse feColorMatrix')
+        };
     }
 
-    // Apply accessibility settings to the page
-    function applySettings() {
+    // Apply color blindness filter
+    // The filter goes on the root element: a filter on any other element becomes the containing block
+    // of its position: fixed descendants, which is what used to pin the widget, sticky headers and
+    // modals to the bottom of the page. Plugin UI gets the inverse filter so its colors stay as
+    // designed. Changing intensity only rewrites the matrix values, so the page is repainted, not
+    // laid out again.
+    function applyColorBlindnessFilter() {
         const root = document.documentElement;
-        const body = document.body;
+        const matrix = getColorBlindnessMatrix();
+
+        if (!matrix) {
+            if (colorFilterValues !== null) {
+                root.style.removeProperty('filter');
+                root.removeAttribute('data-colorblind-filter');
+                root.removeAttribute('data-colorblind-filter-inverse');
+                colorFilterValues = null;
+            }
+            return;
+        }
 
-        // Font size - apply to both root CSS variable and body
-        root.style.setProperty('--accessibility-font-size', currentState.fontSize + '%');
-        body.style.fontSize = currentState.fontSize + '%';
-        
-        // Also apply to html element for better WordPress compatibility
-        document.documentElement.style.fontSize = currentState.fontSize + '%';
-        
-        // Add class to body and html for CSS targeting (WordPress compatibility)
-        const fontClasses = ['accessibility-font-75', 'accessibility-font-100', 'accessibility-font-125', 'accessibility-font-150', 'accessibility-font-200'];
-        body.classList.remove(...fontClasses);
-        document.documentElement.classList.remove(...fontClasses);
-        body.classList.add('accessibility-font-' + currentState.fontSize);
-        document.documentElement.classList.add('accessibility-font-' + currentState.fontSize);
+        const values = toFeColorMatrixValues(matrix);
+        if (values === colorFilterValues) return;
 
-        // Contrast - apply to both html and body for WordPress compatibility
-        const contrastClasses = ['accessibility-contrast-normal', 'accessibility-contrast-high', 'accessibility-contrast-dark'];
-        body.classList.remove(...contrastClasses);
-        document.documentElement.classList.remove(...contrastClasses);
-        body.classList.add('accessibility-contrast-' + currentState.contrast);
-        document.documentElement.classList.add('accessibility-contrast-' + currentState.contrast);
-        
-        // Apply inline styles for dark mode to ensure it works in WordPress
-        if (currentState.contrast === 'dark') {
-            // Apply dark mode directly to html and body using style attribute
-            document.documentElement.style.backgroundColor = '#1a1a1a';
-            document.documentElement.style.color = '#e0e0e0';
-            body.style.backgroundColor = '#1a1a1a';
-            body.style.color = '#e0e0e0';
-            
-            // Add a style element with !important rules for maximum compatibility
-            let darkModeStyle = document.getElementById('accessibility-dark-mode-styles');
-            if (!darkModeStyle) {
-                darkModeStyle = document.createElement('style');
-                darkModeStyle.id = 'accessibility-dark-mode-styles';
-                document.head.appendChild(darkModeStyle);
-            }
-            darkModeStyle.textContent = `
-                html.accessibility-contrast-dark,
-                body.accessibility-contrast-dark {
-                    background: #1a1a1a !important;
-                    background-color: #1a1a1a !important;
-                    color: #e0e0e0 !important;
-                }
-                html.accessibility-contrast-dark *,
-                body.accessibility-contrast-dark * {
-                    background-color: inherit !important;
-                    color: inherit !important;
-                }
-                html.accessibility-contrast-dark .accessibility-widget,
-                html.accessibility-contrast-dark .accessibility-widget *,
-                body.accessibility-contrast-dark .accessibility-widget,
-                body.accessibility-contrast-dark .accessibility-widget * {
-                    background: #ffffff !important;
-                    background-color: #ffffff !important;
-                    color: #333333 !important;
-                }
-                html.accessibility-contrast-dark p,
-                html.accessibility-contrast-dark h1,
-                html.accessibility-contrast-dark h2,
-                html.accessibility-contrast-dark h3,
-                html.accessibility-contrast-dark h4,
-                html.accessibility-contrast-dark h5,
-                html.accessibility-contrast-dark h6,
-                html.accessibility-contrast-dark span,
-                html.accessibility-contrast-dark li,
-                html.accessibility-contrast-dark div,
-                html.accessibility-contrast-dark section,
-                html.accessibility-contrast-dark article,
-                html.accessibility-contrast-dark header,
-                html.accessibility-contrast-dark footer,
-                html.accessibility-contrast-dark main,
-                html.accessibility-contrast-dark aside,
-                body.accessibility-contrast-dark p,
-                body.accessibility-contrast-dark h1,
-                body.accessibility-contrast-dark h2,
-                body.accessibility-contrast-dark h3,
-                body.accessibility-contrast-dark h4,
-                body.accessibility-contrast-dark h5,
-                body.accessibility-contrast-dark h6,
-                body.accessibility-contrast-dark span,
-                body.accessibility-contrast-dark li,
-                body.accessibility-contrast-dark div,
-                body.accessibility-contrast-dark section,
-                body.accessibility-contrast-dark article,
-                body.accessibility-contrast-dark header,
-                body.accessibility-contrast-dark footer,
-                body.accessibility-contrast-dark main,
-                body.accessibility-contrast-dark aside {
-                    background-color: #1a1a1a !important;
-                    color: #e0e0e0 !important;
-                }
-                html.accessibility-contrast-dark a,
-                body.accessibility-contrast-dark a {
-                    color: #4da6ff !important;
-                }
-                html.accessibility-contrast-dark img,
-                body.accessibility-contrast-dark img {
-                    opacity: 0.8 !important;
-                }
-            `;
+        const elements = getColorFilterElements();
+        elements.matrix.setAttribute('values', values);
+        const inverse = invertMatrix(matrix);
+        if (inverse) {
+            elements.inverse.setAttribute('values', toFeColorMatrixValues(inverse));
+            root.setAttribute('data-colorblind-filter-inverse', '');
         } else {
-            // Remove inline styles when not in dark mode
-            document.documentElement.style.removeProperty('background-color');
-            document.documentElement.style.removeProperty('color');
-            body.style.removeProperty('background-color');
-            body.style.removeProperty('color');
-            
-            // Remove the style element
-            const darkModeStyle = document.getElementById('accessibility-dark-mode-styles');
-            if (darkModeStyle) {
-                darkModeStyle.remove();
-            }
-        }
-        
-        // Ensure widget is isolated from contrast filter effects
-        const widget = document.getElementById('accessibility-plugin-widget');
-        if (widget) {
-            widget.style.filter = 'none';
-            widget.style.transform = 'translateZ(0)';
-            widget.style.isolation = 'isolate';
-            // Don't override position, bottom, right, left - let CSS handle it
+            root.removeAttribute('data-colorblind-filter-inverse');
         }
 
-        // Line height
-        if (currentState.lineHeight === 'large') {
-            body.style.lineHeight = '1.8';
-        } else {
-            body.style.lineHeight = '';
+        // Set data attribute for CSS targeting
+        root.setAttribute('data-colorblind-filter', currentState.colorBlindness);
+        if (colorFilterValues === null) {
+            root.style.setProperty('filter', 'url(#colorblind-filter)');
         }
+        colorFilterValues = values;
+    }
 
-        // Letter spacing
-        if (currentState.letterSpacing === 'wide') {
-            body.style.letterSpacing = '0.1em';
-        } else {
-            body.style.letterSpacing = '';
+    // Font scaling functions
+    // rem/em/% text scales through the root font size. Text sized in px ignores that, so each
+    // element whose computed size didn't follow gets an inline size instead. Original inline
+    // values are cached so scaling can be undone exactly.
+    const FONT_SCALE_SKIP = '#accessibility-plugin-widget, .accessibility-modal, #accessibility-screen-reader-announcement, #accessibility-tts-highlight-layer, #accessibility-tts-player';
+
+    function scheduleFontScaling() {
+        if (fontScaleFrame) return;
+        fontScaleFrame = requestAnimationFrame(() => {
+            fontScaleFrame = null;
+            applyFontScaling();
+        });
+    }
+
+    // Set an inline font size, remembering the element's original inline value the first time
+    function setScaledFontSize(element, px) {
+        if (!fontScaleOriginals.has(element)) {
+            fontScaleOriginals.set(element, {
+                value: element.style.getPropertyValue('font-size'),
+                priority: element.style.getPropertyPriority('font-size')
+            });
         }
+        element.style.setProperty('font-size', px + 'px', 'important');
+    }
 
-        // Font family
-        const fontMap = {
+    // Put back every inline font size we changed
+    function restoreFontScaling() {
+        fontScaleOriginals.forEach((original, element) => {
+            if (original.value) {
+                element.style.setProperty('font-size', original.value, original.priority);
+            } else {
+                element.style.removeProperty('font-size');
+            }
+        });
+        fontScaleOriginals.clear();
+    }
+
+    // Collect elements that directly contain text, descending into open shadow roots
+    function collectTextElements(root, result = []) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, {
+            acceptNode: function(node) {
+                if (node.matches(FONT_SCALE_SKIP) || node.tagName === 'SCRIPT' || node.tagName === 'STYLE') {
+                    return NodeFilter.FILTER_REJECT;
+                }
+                return NodeFilter.FILTER_ACCEPT;
+            }
+        });
+
+        let node = walker.nextNode();
+        while (node) {
+            for (const child of node.childNodes) {
+                if (child.nodeType === Node.TEXT_NODE && child.textContent.trim()) {
+                    result.push(node);
+                    break;
+                }
+            }
+            if (node.shadowRoot) {
+                collectTextElements(node.shadowRoot, result);
+            }
+            node = walker.nextNode();
+        }
+        return result;
+    }
+
+    function applyFontScaling() {
+        const root = document.documentElement;
+        const factor = currentState.fontSize / 100;
+        const minimum = currentState.fontSizeMinimum || 0;
+
+        // Start from the page's own sizes (the preload class is the server-rendered size from example.php)
+        restoreFontScaling();
+        root.classList.remove('accessibility-font-preload');
+
+        if (factor === 1 && minimum === 0) {
+            stopFontScaleObserver();
+            return;
+        }
+
+        // Read every baseline before writing anything to avoid layout thrashing
+        const elements = collectTextElements(document.body);
+        const baselines = elements.map(element => parseFloat(window.getComputedStyle(element).fontSize));
+        const rootSize = parseFloat(window.getComputedStyle(root).fontSize);
+
+        if (factor !== 1) {
+            setScaledFontSize(root, Math.round(rootSize * factor * 100) / 100);
+        }
+
+        // One more read pass after the root size: rem and em text has followed it, px text hasn't
+        const current = elements.map(element => parseFloat(window.getComputedStyle(element).fontSize));
+
+        // Then every write. Text sized relative to a parent would change again once the parent gets an
+        // inline size, so below a rewritten element every size is set from its own baseline, unread.
+        const scaled = new Set();
+        elements.forEach((element, index) => {
+            const target = Math.max(baselines[index] * factor, minimum);
+            if (Math.abs(current[index] - target) > 0.5 || hasScaledAncestor(element, scaled)) {
+                setScaledFontSize(element, Math.round(target * 100) / 100);
+                scaled.add(element);
+            }
+        });
+
+        startFontScaleObserver();
+    }
+
+    function hasScaledAncestor(element, scaled) {
+        let node = element.parentNode;
+        while (node) {
+            if (scaled.has(node)) return true;
+            // Step out of shadow roots to their host
+            node = node.parentNode || node.host;
+        }
+        return false;
+    }
+
+    // Re-scale when the page adds content (debounced, since scaling walks the whole document)
+    function startFontScaleObserver() {
+        if (fontScaleObserver) return;
+        fontScaleObserver = new MutationObserver((mutations) => {
+            const external = mutations.some(mutation => {
+                const target = mutation.target.nodeType === Node.ELEMENT_NODE ? mutation.target : mutation.target.parentElement;
+                return target && !target.closest(FONT_SCALE_SKIP);
+            });
+            if (!external) return;
+            clearTimeout(fontScaleTimeout);
+            fontScaleTimeout = setTimeout(scheduleFontScaling, 250);
+        });
+        fontScaleObserver.observe(document.body, { childList: true, subtree: true });
+    }
+
+    function stopFontScaleObserver() {
+        if (fontScaleObserver) {
+            fontScaleObserver.disconnect();
+            fontScaleObserver = null;
+        }
+        clearTimeout(fontScaleTimeout);
+    }
+
+    // Color helpers
+    // Computed styles always report colors as rgb()/rgba(); anything else (e.g. color(display-p3 ...))
+    // is left alone by the callers.
+    function parseColor(value) {
+        const match = /^rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/.exec(value || '');
+        if (!match) return null;
+        let alpha = match[4] === undefined ? 1 : parseFloat(match[4]);
+        if (match[4] && match[4].endsWith('%')) alpha /= 100;
+        return { r: +match[1], g: +match[2], b: +match[3], a: alpha };
+    }
+
+    // #rrggbb, as produced by <input type="color">
+    function parseHexColor(value) {
+        const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(value || '');
+        if (!match) return null;
+        return { r: parseInt(match[1], 16), g: parseInt(match[2], 16), b: parseInt(match[3], 16), a: 1 };
+    }
+
+    function formatColor(color) {
+        const rgb = Math.round(color.r) + ', ' + Math.round(color.g) + ', ' + Math.round(color.b);
+        return color.a < 1 ? 'rgba(' + rgb + ', ' + color.a + ')' : 'rgb(' + rgb + ')';
+    }
+
+    // WCAG 2.x relative luminance
+    function relativeLuminance(color) {
+        const channel = value => {
+            const c = value / 255;
+            return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        };
+        return 0.2126 * channel(color.r) + 0.7152 * channel(color.g) + 0.0722 * channel(color.b);
+    }
+
+    function contrastRatio(foreground, background) {
+        const l1 = relativeLuminance(foreground);
+        const l2 = relativeLuminance(background);
+        return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+    }
+
+    function rgbToHsl(color) {
+        const r = color.r / 255, g = color.g / 255, b = color.b / 255;
+        const max = Math.max(r, g, b), min = Math.min(r, g, b);
+        const l = (max + min) / 2;
+        let h = 0, s = 0;
+        if (max !== min) {
+            const d = max - min;
+            s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+            if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+            else if (max === g) h = (b - r) / d + 2;
+            else h = (r - g) / d + 4;
+            h /= 6;
+        }
+        return { h: h, s: s, l: l, a: color.a };
+    }
+
+    function hslToRgb(hsl) {
+        const { h, s, l } = hsl;
+        if (s === 0) {
+            return { r: l * 255, g: l * 255, b: l * 255, a: hsl.a };
+        }
+        const hue = (p, q, t) => {
+            if (t < 0) t += 1;
+            if (t > 1) t -= 1;
+            if (t < 1 / 6) return p + (q - p) * 6 * t;
+            if (t < 1 / 2) return q;
+            if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+            return p;
+        };
+        const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+        const p = 2 * l - q;
+        return {
+            r: hue(p, q, h + 1 / 3) * 255,
+            g: hue(p, q, h) * 255,
+            b: hue(p, q, h - 1 / 3) * 255,
+            a: hsl.a
+        };
+    }
+
+    // Set an inline !important property, remembering the element's original inline value the first time.
+    // originals is a Map of element -> { property: { value, priority } } owned by the feature.
+    function setInlineProperty(originals, element, property, value) {
+        let saved = originals.get(element);
+        if (!saved) {
+            saved = {};
+            originals.set(element, saved);
+        }
+        if (!(property in saved)) {
+            saved[property] = {
+                value: element.style.getPropertyValue(property),
+                priority: element.style.getPropertyPriority(property)
+            };
+        }
+        element.style.setProperty(property, value, 'important');
+    }
+
+    // Put back every inline property recorded in originals
+    function restoreInlineProperties(originals) {
+        originals.forEach((saved, element) => {
+            Object.keys(saved).forEach(property => {
+                const original = saved[property];
+                if (original.value) {
+                    element.style.setProperty(property, original.value, original.priority);
+                } else {
+                    element.style.removeProperty(property);
+                }
+            });
+        });
+        originals.clear();
+    }
+
+    // Smart dark mode functions
+    // Instead of forcing one background on everything, each element's own background, text and
+    // border colors are read from the computed style and moved into a dark range with the same
+    // hue, so buttons, badges, code blocks and charts stay distinguishable. Lightness is inverted
+    // and compressed: light backgrounds become the darkest shades, dark text becomes the lightest.
+    const DARK_MODE_SKIP = FONT_SCALE_SKIP + ', #accessibility-reading-guide, #accessibility-reading-mask, #accessibility-text-highlight';
+    const DARK_MODE_MEDIA = 'img, picture, video, canvas, svg, iframe, object, embed';
+    const DARK_MODE_RANGES = {
+        background: [0.08, 0.3],
+        text: [0.72, 0.94],
+        border: [0.22, 0.45]
+    };
+    const DARK_MODE_MIN_CONTRAST = 4.5; // WCAG AA for body text
+
+    // Map a color into one of the dark palette ranges, keeping hue and alpha
+    function toDarkColor(color, range) {
+        const hsl = rgbToHsl(color);
+        hsl.l = range[0] + (1 - hsl.l) * (range[1] - range[0]);
+        return hslToRgb(hsl);
+    }
+
+    // Lighten text until it is readable on its (already remapped) background
+    function ensureDarkModeContrast(foreground, background) {
+        const hsl = rgbToHsl(foreground);
+        let color = foreground;
+        while (contrastRatio(color, background) < DARK_MODE_MIN_CONTRAST && hsl.l < 1) {
+            hsl.l = Math.min(1, hsl.l + 0.04);
+            color = hslToRgb(hsl);
+        }
+        return color;
+    }
+
+    function scheduleDarkMode(root) {
+        darkModePending.add(root);
+        if (darkModeFrame) return;
+        darkModeFrame = requestAnimationFrame(() => {
+            darkModeFrame = null;
+            const roots = Array.from(darkModePending);
+            darkModePending.clear();
+            applyDarkMode(roots);
+        });
+    }
+
+    // Put back every inline color we changed
+    function restoreDarkMode() {
+        restoreInlineProperties(darkModeOriginals);
+        darkModeBackgrounds.clear();
+    }
+
+    // Collect the elements of a subtree that get recolored (media subtrees are skipped entirely)
+    function collectDarkModeElements(root, result = []) {
+        if (root.nodeType === Node.ELEMENT_NODE) {
+            if (root.closest(DARK_MODE_SKIP) || root.matches(DARK_MODE_MEDIA)) {
+                return result;
+            }
+            result.push(root);
+        }
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, {
+            acceptNode: function(node) {
+                if (node.matches(DARK_MODE_SKIP) || node.tagName === 'SCRIPT' || node.tagName === 'STYLE' ||
+                    node.matches(DARK_MODE_MEDIA)) {
+                    return NodeFilter.FILTER_REJECT;
+                }
+                return NodeFilter.FILTER_ACCEPT;
+            }
+        });
+
+        let node = walker.nextNode();
+        while (node) {
+            result.push(node);
+            if (node.shadowRoot) {
+                collectDarkModeElements(node.shadowRoot, result);
+            }
+            node = walker.nextNode();
+        }
+        return result;
+    }
+
+    // Remapped background an element's text is drawn on (nearest recolored ancestor)
+    function getDarkModeBackground(element) {
+        let node = element;
+        while (node) {
+            if (darkModeBackgrounds.has(node)) {
+                return darkModeBackgrounds.get(node);
+            }
+            node = node.parentElement || (node.parentNode && node.parentNode.host) || null;
+        }
+        return toDarkColor({ r: 255, g: 255, b: 255, a: 1 }, DARK_MODE_RANGES.background);
+    }
+
+    function applyDarkMode(roots) {
+        const root = document.documentElement;
+        const elements = [];
+        roots.forEach(node => {
+            if (node === root) {
+                elements.push(root);
+                collectDarkModeElements(document.body, elements);
+            } else if (node.isConnected) {
+                collectDarkModeElements(node, elements);
+            }
+        });
+
+        // Read every original color before writing anything to avoid layout thrashing
+        const styles = elements.map(element => {
+            const style = window.getComputedStyle(element);
+            const parent = element.parentElement;
+            const borders = {};
+            ['top', 'right', 'bottom', 'left'].forEach(side => {
+                if (parseFloat(style.getPropertyValue('border-' + side + '-width')) > 0 &&
+                    style.getPropertyValue('border-' + side + '-style') !== 'none') {
+                    borders[side] = parseColor(style.getPropertyValue('border-' + side + '-color'));
+                }
+            });
+            return {
+                background: parseColor(style.backgroundColor),
+                color: parseColor(style.color),
+                // Text that only inherits its color follows the parent once that is remapped
+                inheritsColor: Boolean(parent) && style.color === window.getComputedStyle(parent).color,
+                borders: borders
+            };
+        });
+
+        // Document order, so every background is known before the text drawn on it
+        elements.forEach((element, index) => {
+            const style = styles[index];
+            let background = style.background;
+
+            // The page canvas is white when neither html nor body paint a background
+            if (element === root && (!background || background.a === 0)) {
+                background = { r: 255, g: 255, b: 255, a: 1 };
+            }
+
+            let ownBackground = false;
+            if (background && background.a > 0) {
+                const dark = toDarkColor(background, DARK_MODE_RANGES.background);
+                setInlineProperty(darkModeOriginals, element, 'background-color', formatColor(dark));
+                if (background.a >= 0.5) {
+                    darkModeBackgrounds.set(element, { r: dark.r, g: dark.g, b: dark.b, a: 1 });
+                    ownBackground = true;
+                }
+            }
+
+            if (style.color && (element === root || ownBackground || !style.inheritsColor)) {
+                const dark = toDarkColor(style.color, DARK_MODE_RANGES.text);
+                setInlineProperty(darkModeOriginals, element, 'color', formatColor(ensureDarkModeContrast(dark, getDarkModeBackground(element))));
+            }
+
+            Object.keys(style.borders).forEach(side => {
+                const border = style.borders[side];
+                if (border && border.a > 0) {
+                    setInlineProperty(darkModeOriginals, element, 'border-' + side + '-color', formatColor(toDarkColor(border, DARK_MODE_RANGES.border)));
+                }
+            });
+        });
+
+        startDarkModeObserver();
+    }
+
+    // Recolor content the page adds later; only the new subtrees are processed
+    function startDarkModeObserver() {
+        if (darkModeObserver) return;
+        darkModeObserver = new MutationObserver((mutations) => {
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE && !node.closest(DARK_MODE_SKIP)) {
+                        scheduleDarkMode(node);
+                    }
+                });
+            });
+        });
+        darkModeObserver.observe(document.body, { childList: true, subtree: true });
+    }
+
+    function stopDarkMode() {
+        if (darkModeObserver) {
+            darkModeObserver.disconnect();
+            darkModeObserver = null;
+        }
+        if (darkModeFrame) {
+            cancelAnimationFrame(darkModeFrame);
+            darkModeFrame = null;
+        }
+        darkModePending.clear();
+        restoreDarkMode();
+    }
+
+    // Contrast enforcement functions
+    // "High" contrast measures each visible text element against the background it is actually drawn
+    // on and changes only the text colors that fall short of the target ratio. Large text uses the
+    // lower WCAG thresholds (3:1 for AA, 4.5:1 for AAA).
+    const CONTRAST_LARGE_TEXT_RATIOS = { 4.5: 3, 7: 4.5 };
+    const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+
+    // Draw a translucent color over an opaque one
+    function blendColors(top, bottom) {
+        const a = top.a;
+        return {
+            r: top.r * a + bottom.r * (1 - a),
+            g: top.g * a + bottom.g * (1 - a),
+            b: top.b * a + bottom.b * (1 - a),
+            a: 1
+        };
+    }
+
+    // Opacity an element is rendered with, including the opacity of its ancestors (memoized in cache for one pass)
+    function getEffectiveOpacity(element, cache) {
+        if (!element || element.nodeType !== Node.ELEMENT_NODE) return 1;
+        if (cache.has(element)) return cache.get(element);
+        const parent = element.parentElement || (element.parentNode && element.parentNode.host) || null;
+        const opacity = parseFloat(window.getComputedStyle(element).opacity) * getEffectiveOpacity(parent, cache);
+        cache.set(element, opacity);
+        return opacity;
+    }
+
+    // Composite the backgrounds behind an element, walking up until an opaque one (or the white canvas).
+    // Returns null when a background image is in the way, since its colors can't be known.
+    function getEffectiveBackground(element, opacityCache) {
+        const layers = [];
+        let node = element;
+        while (node && node.nodeType === Node.ELEMENT_NODE) {
+            const style = window.getComputedStyle(node);
+            if (style.backgroundImage && style.backgroundImage !== 'none') {
+                return null;
+            }
+            const background = parseColor(style.backgroundColor);
+            if (background && background.a > 0) {
+                background.a *= getEffectiveOpacity(node, opacityCache);
+                layers.push(background);
+                if (background.a >= 1) break;
+            }
+            node = node.parentElement || (node.parentNode && node.parentNode.host) || null;
+        }
+
+        return layers.reduceRight((result, layer) => blendColors(layer, result), WHITE);
+    }
+
+    function isLargeText(style) {
+        const size = parseFloat(style.fontSize);
+        const bold = parseInt(style.fontWeight, 10) >= 700;
+        return size >= 24 || (bold && size >= 18.66);
+    }
+
+    // Move a text color's lightness (keeping hue) towards black or white until it reaches the ratio.
+    // The color is written opaque, but a translucent element still draws it at its opacity, so that
+    // is what is measured.
+    function fixContrast(color, background, ratio, opacity) {
+        const towardsBlack = contrastRatio({ r: 0, g: 0, b: 0, a: 1 }, background) >= contrastRatio(WHITE, background);
+        const rendered = fixedColor => blendColors({ ...fixedColor, a: opacity }, background);
+        const hsl = rgbToHsl(color);
+        hsl.a = 1;
+        let fixed = hslToRgb(hsl);
+        while (contrastRatio(rendered(fixed), background) < ratio && hsl.l > 0 && hsl.l < 1) {
+            hsl.l = towardsBlack ? Math.max(0, hsl.l - 0.02) : Math.min(1, hsl.l + 0.02);
+            fixed = hslToRgb(hsl);
+        }
+        return fixed;
+    }
+
+    function scheduleContrastEnforcement(root) {
+        contrastPending.add(root);
+        if (contrastFrame) return;
+        contrastFrame = requestAnimationFrame(() => {
+            contrastFrame = null;
+            const roots = Array.from(contrastPending);
+            contrastPending.clear();
+            enforceContrast(roots);
+        });
+    }
+
+    function enforceContrast(roots) {
+        const target = currentState.contrastTarget;
+        const elements = [];
+        roots.forEach(root => {
+            if (!root.isConnected || (root !== document.body && root.closest(FONT_SCALE_SKIP))) return;
+            // An inserted element's own text counts too (the walker only visits descendants)
+            if (root !== document.body && Array.from(root.childNodes).some(child => child.nodeType === Node.TEXT_NODE && child.textContent.trim())) {
+                elements.push(root);
+            }
+            collectTextElements(root, elements);
+        });
+
+        // Read everything before writing
+        const opacityCache = new Map();
+        const checks = elements.map(element => {
+            if (element.getClientRects().length === 0) return null;
+            const style = window.getComputedStyle(element);
+            if (style.visibility === 'hidden' || style.visibility === 'collapse') return null;
+            const opacity = getEffectiveOpacity(element, opacityCache);
+            const color = parseColor(style.color);
+            const background = getEffectiveBackground(element, opacityCache);
+            if (opacity === 0 || !color || !background) return null;
+
+            color.a *= opacity;
+            const ratio = isLargeText(style) ? CONTRAST_LARGE_TEXT_RATIOS[target] : target;
+            const original = style.color;
+            if (contrastRatio(blendColors(color, background), background) >= ratio) {
+                return { element: element, original: original };
+            }
+            return { element: element, original: original, fixed: fixContrast(color, background, ratio, opacity) };
+        }).filter(Boolean);
+
+        checks.forEach(check => {
+            if (check.fixed) {
+                setInlineProperty(contrastOriginals, check.element, 'color', formatColor(check.fixed));
+            }
+        });
+
+        // Text that passed but inherits from a fixed ancestor keeps the color it passed with
+        checks.forEach(check => {
+            check.changed = !check.fixed && window.getComputedStyle(check.element).color !== check.original;
+        });
+        checks.forEach(check => {
+            if (check.changed) {
+                setInlineProperty(contrastOriginals, check.element, 'color', check.original);
+            }
+        });
+
+        startContrastObserver();
+    }
+
+    // Check content the page adds later; only the new subtrees are measured
+    function startContrastObserver() {
+        if (contrastObserver) return;
+        contrastObserver = new MutationObserver((mutations) => {
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE && !node.closest(FONT_SCALE_SKIP)) {
+                        scheduleContrastEnforcement(node);
+                    }
+                });
+            });
+        });
+        contrastObserver.observe(document.body, { childList: true, subtree: true });
+    }
+
+    function stopContrastEnforcement() {
+        if (contrastObserver) {
+            contrastObserver.disconnect();
+            contrastObserver = null;
+        }
+        if (contrastFrame) {
+            cancelAnimationFrame(contrastFrame);
+            contrastFrame = null;
+        }
+        contrastPending.clear();
+        restoreInlineProperties(contrastOriginals);
+    }
+
+    // Custom color theme functions
+    // The user's own palette replaces the page colors through one generated stylesheet. Everything the
+    // plugin draws itself (widget, modals, reading tools) is excluded so it stays usable.
+    const CUSTOM_COLOR_SCOPE = DARK_MODE_SKIP.split(',').map(selector => {
+        selector = selector.trim();
+        return ':not(' + selector + '):not(' + selector + ' *)';
+    }).join('');
+    const customColorPresets = [
+        { name: 'Yellow on Black', colors: { text: '#ffff00', background: '#000000', link: '#00ffff', heading: '#ffffff', focus: '#ff66ff' } },
+        { name: 'White on Black', colors: { text: '#ffffff', background: '#000000', link: '#ffff00', heading: '#ffffff', focus: '#00ffff' } },
+        { name: 'Black on Cream', colors: { text: '#000000', background: '#fdf6e3', link: '#0b3d91', heading: '#000000', focus: '#b03a00' } },
+        { name: 'Navy on Yellow', colors: { text: '#001f5b', background: '#ffff99', link: '#7a0000', heading: '#001f5b', focus: '#0000cc' } }
+    ];
+
+    function getCustomColors() {
+        return { ...defaultSettings.customColors, ...currentState.customColors };
+    }
+
+    // Contrast checks shown next to the color pickers. Links are always underlined by the theme, so
+    // they don't also need 3:1 against the surrounding text.
+    function getCustomColorReport(colors) {
+        const color = role => parseHexColor(colors[role]);
+        const checks = [
+            { label: 'Text on background', ratio: contrastRatio(color('text'), color('background')), required: 4.5, enhanced: 7 },
+            { label: 'Links on background', ratio: contrastRatio(color('link'), color('background')), required: 4.5, enhanced: 7 },
+            { label: 'Headings on background', ratio: contrastRatio(color('heading'), color('background')), required: 4.5, enhanced: 7 },
+            { label: 'Focus outline on background', ratio: contrastRatio(color('focus'), color('background')), required: 3 }
+        ];
+        return checks.map(check => ({ ...check, passes: check.ratio >= check.required }));
+    }
+
+    function applyCustomColors() {
+        const root = document.documentElement;
+        let styleEl = document.getElementById('accessibility-custom-colors-styles');
+
+        if (!currentState.customColorsEnabled) {
+            root.classList.remove('accessibility-custom-colors');
+            if (styleEl) styleEl.remove();
+            return;
+        }
+
+        const colors = getCustomColors();
+        const scope = 'html.accessibility-custom-colors';
+        const headings = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+        if (!styleEl) {
+            styleEl = document.createElement('style');
+            styleEl.id = 'accessibility-custom-colors-styles';
+            document.head.appendChild(styleEl);
+        }
+        styleEl.textContent =
+            scope + ', ' + scope + ' body, ' + scope + ' body *' + CUSTOM_COLOR_SCOPE + ' {' +
+            ' background-color: ' + colors.background + ' !important;' +
+            ' color: ' + colors.text + ' !important; }\n' +
+            headings.map(h => scope + ' ' + h + CUSTOM_COLOR_SCOPE + ', ' + scope + ' ' + h + CUSTOM_COLOR_SCOPE + ' *').join(', ') + ' {' +
+            ' color: ' + colors.heading + ' !important; }\n' +
+            scope + ' a' + CUSTOM_COLOR_SCOPE + ', ' + scope + ' a' + CUSTOM_COLOR_SCOPE + ' * {' +
+            ' color: ' + colors.link + ' !important; text-decoration: underline !important; }\n' +
+            scope + ' *' + CUSTOM_COLOR_SCOPE + ':focus-visible {' +
+            ' outline: 3px solid ' + colors.focus + ' !important; outline-offset: 2px !important; }\n' +
+            scope + ' ::selection { background-color: ' + colors.text + ' !important; color: ' + colors.background + ' !important; }\n';
+        root.classList.add('accessibility-custom-colors');
+    }
+
+    // Apply accessibility settings to the page
+    function applySettings() {
+        const root = document.documentElement;
+        const body = document.body;
+
+        // Font size - CSS variable for theme authors, actual scaling is batched into the next frame.
+        // Scaling walks the whole document, so other settings changing doesn't redo it.
+        root.style.setProperty('--accessibility-font-size', currentState.fontSize + '%');
+        const newFontScaleKey = currentState.fontSize + '/' + currentState.fontSizeMinimum;
+        if (newFontScaleKey !== fontScaleKey) {
+            fontScaleKey = newFontScaleKey;
+            scheduleFontScaling();
+        }
+
+        // Contrast - apply to both html and body for WordPress compatibility
+        const contrastClasses = ['accessibility-contrast-normal', 'accessibility-contrast-high', 'accessibility-contrast-dark'];
+        body.classList.remove(...contrastClasses);
+        document.documentElement.classList.remove(...contrastClasses);
+        body.classList.add('accessibility-contrast-' + currentState.contrast);
+        document.documentElement.classList.add('accessibility-contrast-' + currentState.contrast);
+        
+        // Custom colors - the user's own theme takes precedence over dark mode and high contrast
+        applyCustomColors();
+        const useDarkMode = currentState.contrast === 'dark' && !currentState.customColorsEnabled;
+
+        // Smart dark mode - recolor per element, only when it is switched on or off
+        if (useDarkMode && !darkModeActive) {
+            darkModeActive = true;
+            scheduleDarkMode(document.documentElement);
+        } else if (!useDarkMode && darkModeActive) {
+            darkModeActive = false;
+            stopDarkMode();
+        }
+        document.documentElement.classList.toggle('accessibility-dark-dim-media',
+            useDarkMode && currentState.darkModeDimMedia);
+        
+        // High contrast - fix failing text colors, redone from scratch when the target changes
+        const contrastTarget = currentState.contrast === 'high' && !currentState.customColorsEnabled
+            ? currentState.contrastTarget
+            : null;
+        if (contrastTarget !== contrastEnforced) {
+            stopContrastEnforcement();
+            contrastEnforced = contrastTarget;
+            if (contrastTarget) {
+                scheduleContrastEnforcement(document.body);
+            }
+        }
+
+        // Ensure widget is isolated from contrast filter effects
+        const widget = document.getElementById('accessibility-plugin-widget');
+        if (widget) {
+            widget.style.filter = 'none';
+            widget.style.transform = 'translateZ(0)';
+            widget.style.isolation = 'isolate';
+            // Don't override position, bottom, right, left - let CSS handle it
+        }
+
+        // Line height
+        if (currentState.lineHeight === 'large') {
+            body.style.lineHeight = '1.8';
+        } else {
+            body.style.lineHeight = '';
+        }
+
+        // Letter spacing
+        if (currentState.letterSpacing === 'wide') {
+            body.style.letterSpacing = '0.1em';
+        } else {
+            body.style.letterSpacing = '';
+        }
+
+        // Font family
+        const fontMap = {
             'default': '',
             'sans-serif': 'Arial, Helvetica, sans-serif',
             'serif': 'Georgia, "Times New Roman", serif',
@@ -563,6 +1814,9 @@
 
         // Braille conversion
         if (currentState.brailleEnabled) {
+            if (brailleEnabled && typeof window.brailleConverter !== 'undefined') {
+                window.brailleConverter.setGrade(currentState.brailleGrade);
+            }
             enableBraille();
         } else {
             disableBraille();
@@ -589,18 +1843,31 @@
             disableTextHighlight();
         }
 
+        // Speak on hover / focus
+        updateSpeakOnInteraction();
+
         savePreferences();
         updateUI();
+        emitSettingChanges();
     }
 
     // TTS Functions
-    function speakText(text, sourceElement = null) {
+    // text can be an element, which is read as its accessible text and highlighted.
+    // options.source: what asked for the speech ('text' by default, 'hover' or 'focus')
+    // options.range: the part of sourceElement being read, for highlighting
+    function speakText(text, sourceElement = null, options = {}) {
         // Allow TTS to work even if not enabled (for manual button clicks)
         // Only check if TTS is enabled when auto-reading is requested
         // if (!currentState.ttsEnabled) return;
 
         // Stop any current speech
         stopSpeaking();
+        ttsSpeechSource = options.source || 'text';
+
+        if (text instanceof Element) {
+            sourceElement = sourceElement || text;
+            text = getSpeechText(text);
+        }
 
         if (!text || text.trim() === '') {
             console.warn('TTS: No text provided');
@@ -632,37 +1899,7 @@
                 }, 100);
             }
             
-            // Set TTS settings
-            ttsManager.setRate(currentState.ttsRate);
-            ttsManager.setPitch(currentState.ttsPitch);
-            ttsManager.setVolume(currentState.ttsVolume);
-            
-            // Set language first (this may change the voice)
-            if (currentState.ttsLanguage) {
-                ttsManager.setLanguage(currentState.ttsLanguage);
-                console.log('TTS Language set to:', currentState.ttsLanguage);
-            }
-            
-            // Set voice if specified - do this AFTER setting language
-            if (currentState.ttsVoice && currentState.ttsVoice.trim() !== '') {
-                const voiceSet = ttsManager.setVoice(currentState.ttsVoice);
-                console.log('Voice set result:', voiceSet, 'Voice name:', currentState.ttsVoice);
-                if (!voiceSet) {
-                    console.warn('Failed to set voice, will use default for language');
-                    // Try to set language again to get a default voice
-                    if (currentState.ttsLanguage) {
-                        ttsManager.setLanguage(currentState.ttsLanguage);
-                    }
-                }
-            } else {
-                console.log('No specific voice selected, using default for language');
-                // Ensure a voice is selected for the current language
-                if (currentState.ttsLanguage) {
-                    ttsManager.setLanguage(currentState.ttsLanguage);
-                }
-            }
-            
-            console.log('Current voice after setup:', ttsManager.currentVoice ? ttsManager.currentVoice.name : 'None');
+            configureTTSManager();
             
             // If still no voice, use fallback
             if (!ttsManager.currentVoice && ttsManager.availableVoices.length > 0) {
@@ -673,56 +1910,20 @@
 
             // If we have a source element, set up word highlighting
             if (sourceElement) {
-                setupTTSHighlighting(sourceElement, text);
+                setupTTSHighlighting(sourceElement, text, options.range);
             }
 
-            // Speak using TTS Manager
-            try {
-                console.log('Calling ttsManager.speak() with text length:', text.length);
-                console.log('TTS Manager synthesis available:', !!ttsManager.synthesis);
-                console.log('TTS Manager current voice:', ttsManager.currentVoice ? ttsManager.currentVoice.name : 'None');
-                
-                const speakPromise = ttsManager.speak(text, currentState.ttsLanguage || null, {
-                    rate: currentState.ttsRate,
-                    pitch: currentState.ttsPitch,
-                    volume: currentState.ttsVolume
-                });
-                
-                console.log('TTS Manager speak() returned:', typeof speakPromise);
-                
-                if (speakPromise && typeof speakPromise.then === 'function') {
-                    console.log('TTS Manager returned a promise, setting up handlers');
-                    isSpeaking = true;
-                    updateTTSButton();
-                    startTTSHighlighting();
-                    
-                    speakPromise.then(() => {
-                        console.log('TTS finished speaking successfully');
-                        isSpeaking = false;
-                        clearTTSHighlights();
-                        updateTTSButton();
-                    }).catch((error) => {
-                        console.error('TTS promise rejected with error:', error);
-                        isSpeaking = false;
-                        clearTTSHighlights();
-                        updateTTSButton();
-                        // Try fallback
-                        console.log('Attempting fallback TTS due to promise rejection...');
-                        speakWithFallback(text, sourceElement);
-                    });
-                    return;
-                } else {
-                    console.warn('TTS Manager speak() did not return a promise, using fallback immediately');
-                    speakWithFallback(text, sourceElement);
-                    return;
-                }
-            } catch (error) {
-                console.error('Exception thrown when calling TTS Manager speak():', error);
-                console.error('Error stack:', error.stack);
-                // Fallback to direct synthesis
+            // Speak using TTS Manager, a sentence at a time so the player can move between sentences
+            // (and Chrome doesn't cut long text off)
+            const queue = buildTTSQueue([{ text: text, words: ttsWords, heading: 0, element: sourceElement }]);
+            const started = playTTSQueue(queue, text, 'text', function(error) {
+                console.log('Attempting fallback TTS after speech error...', error);
                 speakWithFallback(text, sourceElement);
+            });
+            if (started) {
                 return;
             }
+            console.warn('TTS Manager could not start speaking, using fallback');
         } else if (ttsManager) {
             console.warn('TTS Manager exists but is not available');
         } else {
@@ -733,6 +1934,41 @@
         speakWithFallback(text, sourceElement);
     }
     
+    // Apply the TTS settings (rate, pitch, volume, language and voice) to the TTS Manager
+    function configureTTSManager() {
+        // Set TTS settings
+        ttsManager.setRate(currentState.ttsRate);
+        ttsManager.setPitch(currentState.ttsPitch);
+        ttsManager.setVolume(currentState.ttsVolume);
+        
+        // Set language first (this may change the voice)
+        if (currentState.ttsLanguage) {
+            ttsManager.setLanguage(currentState.ttsLanguage);
+            console.log('TTS Language set to:', currentState.ttsLanguage);
+        }
+        
+        // Set voice if specified - do this AFTER setting language
+        if (currentState.ttsVoice && currentState.ttsVoice.trim() !== '') {
+            const voiceSet = ttsManager.setVoice(currentState.ttsVoice);
+            console.log('Voice set result:', voiceSet, 'Voice name:', currentState.ttsVoice);
+            if (!voiceSet) {
+                console.warn('Failed to set voice, will use default for language');
+                // Try to set language again to get a default voice
+                if (currentState.ttsLanguage) {
+                    ttsManager.setLanguage(currentState.ttsLanguage);
+                }
+            }
+        } else {
+            console.log('No specific voice selected, using default for language');
+            // Ensure a voice is selected for the current language
+            if (currentState.ttsLanguage) {
+                ttsManager.setLanguage(currentState.ttsLanguage);
+            }
+        }
+        
+        console.log('Current voice after setup:', ttsManager.currentVoice ? ttsManager.currentVoice.name : 'None');
+    }
+
     // Fallback TTS function
     function speakWithFallback(text, sourceElement) {
         if (!speechSynthesis) {
@@ -761,16 +1997,8 @@
         
         // Set language based on current state
         if (currentState.ttsLanguage) {
-            const langMap = {
-                'en': 'en-US',
-                'es': 'es-ES',
-                'de': 'de-DE',
-                'fr': 'fr-FR',
-                'zh': 'zh-CN',
-                'ko': 'ko-KR',
-                'no': 'no-NO'
-            };
-            utterance.lang = langMap[currentState.ttsLanguage] || 'en-US';
+            const language = window.TTS_LANGUAGES && window.TTS_LANGUAGES[currentState.ttsLanguage];
+            utterance.lang = language ? language.code : currentState.ttsLanguage;
         } else {
             utterance.lang = document.documentElement.lang || 'en-US';
         }
@@ -829,217 +2057,1165 @@
 
         utterance.onend = function() {
             isSpeaking = false;
+            ttsPaused = false;
             clearTTSHighlights();
             updateTTSButton();
+            emitTTSEnd('end');
         };
 
         utterance.onerror = function(event) {
             console.error('Speech synthesis error:', event.error, event);
             isSpeaking = false;
+            ttsPaused = false;
             clearTTSHighlights();
             updateTTSButton();
+            emitTTSEnd('error');
         };
         
         utterance.onstart = function() {
             console.log('Speech synthesis started speaking');
             isSpeaking = true;
             updateTTSButton();
+            startTTSHighlighting();
         };
 
+        utterance.onboundary = handleTTSBoundary;
+
         speechSynthesis.speak(utterance);
         
         // Set speaking state immediately
         isSpeaking = true;
         updateTTSButton();
+        emitTTSStart(text);
         startTTSHighlighting();
     }
 
     // Setup TTS word highlighting
-    function setupTTSHighlighting(element, text) {
+    // Nothing in the page is modified: each word is a Range over the existing text nodes, painted with
+    // the CSS Custom Highlight API, or with boxes in a separate overlay layer where that isn't supported.
+    function setupTTSHighlighting(element, text, readRange = null) {
         // Clear previous highlights first
         clearTTSHighlights();
+
+        if (readRange) {
+            ttsWords = buildTTSWordRanges(readRange.commonAncestorContainer, readRange);
+            mapTTSWordsToText(text);
+            return;
+        }
         
         // Try to find the selected text range
         const selection = window.getSelection();
         if (selection.rangeCount > 0) {
             const range = selection.getRangeAt(0);
-            const container = range.commonAncestorContainer;
             
             // If we have a selection, highlight within that range
             if (range.toString().trim() === text.trim()) {
-                highlightSelectedRange(range, text);
+                ttsWords = buildTTSWordRanges(range.commonAncestorContainer, range);
+                mapTTSWordsToText(text);
                 return;
             }
         }
         
         // Fallback: highlight all text in the element
-        highlightElementText(element, text);
+        ttsWords = buildTTSWordRanges(element, null);
+        mapTTSWordsToText(text);
     }
 
-    // Highlight text in a selected range
-    function highlightSelectedRange(range, text) {
-        const words = text.match(/\S+\s*/g) || [];
-        if (words.length === 0) return;
+    // One Range per word of the text under root (limited to range when given)
+    function buildTTSWordRanges(root, range) {
+        const textNodes = [];
+        if (root.nodeType === Node.TEXT_NODE) {
+            textNodes.push(root);
+        } else {
+            const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+                acceptNode: function(node) {
+                    const parent = node.parentElement;
+                    if (!node.data.trim() || !parent || parent.closest(FONT_SCALE_SKIP) ||
+                        parent.closest('script, style, noscript') || (range && !range.intersectsNode(node))) {
+                        return NodeFilter.FILTER_REJECT;
+                    }
+                    return NodeFilter.FILTER_ACCEPT;
+                }
+            });
+            let node;
+            while ((node = walker.nextNode())) {
+                textNodes.push(node);
+            }
+        }
+        return buildTTSWordRangesForNodes(textNodes, range);
+    }
 
-        try {
-            // Clone the range to work with it
-            const clonedRange = range.cloneRange();
-            const container = clonedRange.commonAncestorContainer;
-            
-            // Create a wrapper span for the selected text
-            const wrapper = document.createElement('span');
-            wrapper.className = 'accessibility-tts-text-wrapper';
-            
-            // Extract and wrap each word
-            ttsWords = [];
-            ttsHighlightElements = [wrapper];
-            ttsCurrentWordIndex = 0;
-            
-            words.forEach((word) => {
-                const span = document.createElement('span');
-                span.className = 'accessibility-tts-word';
-                span.textContent = word;
-                wrapper.appendChild(span);
-                ttsWords.push({ span: span, word: word.trim() });
+    function buildTTSWordRangesForNodes(textNodes, range) {
+        const words = [];
+        textNodes.forEach(node => {
+            const from = range && node === range.startContainer ? range.startOffset : 0;
+            const to = range && node === range.endContainer ? range.endOffset : node.data.length;
+            const pattern = /\S+/g;
+            const part = node.data.slice(from, to);
+            let match;
+            while ((match = pattern.exec(part)) !== null) {
+                const wordRange = document.createRange();
+                wordRange.setStart(node, from + match.index);
+                wordRange.setEnd(node, from + match.index + match[0].length);
+                words.push({ range: wordRange, word: match[0] });
+            }
+        });
+        return words;
+    }
+
+    // Paint the active ranges ('word' or 'sentence' style)
+    function renderTTSHighlight(ranges, kind) {
+        ttsActiveRanges = ranges;
+        ttsActiveKind = kind;
+
+        if (window.CSS && CSS.highlights && typeof window.Highlight === 'function') {
+            CSS.highlights.delete('accessibility-tts-word');
+            CSS.highlights.delete('accessibility-tts-sentence');
+            if (ranges.length > 0) {
+                CSS.highlights.set('accessibility-tts-' + kind, new Highlight(...ranges));
+            }
+            return;
+        }
+
+        // Overlay fallback: fixed boxes over the ranges' client rects, redrawn on scroll and resize
+        let layer = document.getElementById('accessibility-tts-highlight-layer');
+        if (!layer) {
+            layer = document.createElement('div');
+            layer.id = 'accessibility-tts-highlight-layer';
+            layer.setAttribute('aria-hidden', 'true');
+            document.body.appendChild(layer);
+            window.addEventListener('scroll', scheduleTTSHighlightRedraw, true);
+            window.addEventListener('resize', scheduleTTSHighlightRedraw);
+        }
+        const fragment = document.createDocumentFragment();
+        ranges.forEach(range => {
+            Array.from(range.getClientRects()).forEach(rect => {
+                if (rect.width === 0 || rect.height === 0) return;
+                const box = document.createElement('div');
+                box.className = 'accessibility-tts-highlight-box accessibility-tts-highlight-' + kind;
+                box.style.left = rect.left + 'px';
+                box.style.top = rect.top + 'px';
+                box.style.width = rect.width + 'px';
+                box.style.height = rect.height + 'px';
+                fragment.appendChild(box);
             });
-            
-            // Replace the selected content with our wrapper
-            clonedRange.deleteContents();
-            clonedRange.insertNode(wrapper);
-        } catch (e) {
-            console.warn('Could not highlight selected range:', e);
-            highlightElementText(range.commonAncestorContainer, text);
+        });
+        layer.replaceChildren(fragment);
+    }
+
+    function scheduleTTSHighlightRedraw() {
+        if (ttsHighlightRedrawFrame) return;
+        ttsHighlightRedrawFrame = requestAnimationFrame(() => {
+            ttsHighlightRedrawFrame = null;
+            renderTTSHighlight(ttsActiveRanges, ttsActiveKind);
+        });
+    }
+
+    function removeTTSHighlight() {
+        ttsActiveRanges = [];
+        if (window.CSS && CSS.highlights) {
+            CSS.highlights.delete('accessibility-tts-word');
+            CSS.highlights.delete('accessibility-tts-sentence');
+        }
+        const layer = document.getElementById('accessibility-tts-highlight-layer');
+        if (layer) {
+            layer.remove();
+            window.removeEventListener('scroll', scheduleTTSHighlightRedraw, true);
+            window.removeEventListener('resize', scheduleTTSHighlightRedraw);
+        }
+        if (ttsHighlightRedrawFrame) {
+            cancelAnimationFrame(ttsHighlightRedrawFrame);
+            ttsHighlightRedrawFrame = null;
         }
     }
 
-    // Highlight text in an element
-    function highlightElementText(element, text) {
-        const walker = document.createTreeWalker(
-            element,
-            NodeFilter.SHOW_TEXT,
-            null,
-            false
-        );
+    // Work out where each word sits in the spoken text, so boundary events (which report a
+    // character offset into that text) can be mapped back to its range. Words that can't be found nearby
+    // (e.g. text hidden from the spoken version) get no offset and are skipped.
+    function mapTTSWordsToText(text, words = ttsWords) {
+        const sentencePattern = /[^.!?…。！？]+[.!?…。！？]*["'”’)\]]*\s*/g;
+        const sentenceStarts = [];
+        let match;
+        while ((match = sentencePattern.exec(text)) !== null) {
+            sentenceStarts.push(match.index);
+        }
 
-        const textNodes = [];
-        let node;
-        while (node = walker.nextNode()) {
-            if (node.textContent.trim()) {
-                textNodes.push(node);
+        let cursor = 0;
+        let sentence = 0;
+        words.forEach(entry => {
+            const index = entry.word ? text.indexOf(entry.word, cursor) : -1;
+            if (index === -1 || index - cursor > 200) {
+                entry.start = null;
+                entry.sentence = sentence;
+                return;
+            }
+            while (sentence + 1 < sentenceStarts.length && sentenceStarts[sentence + 1] <= index) {
+                sentence++;
             }
+            entry.start = index;
+            entry.sentence = sentence;
+            cursor = index + entry.word.length;
+        });
+    }
+
+    // Index of the word being spoken at a character offset (last mapped word starting at or before it)
+    function findTTSWordAt(charIndex) {
+        let found = -1;
+        for (let i = 0; i < ttsWords.length; i++) {
+            if (ttsWords[i].start === null) continue;
+            if (ttsWords[i].start > charIndex) break;
+            found = i;
         }
+        return found;
+    }
 
-        ttsWords = [];
-        ttsHighlightElements = [];
-        ttsCurrentWordIndex = 0;
+    // Highlight the word (or its whole sentence) at an index
+    function highlightTTSWord(index) {
+        if (index < 0 || index >= ttsWords.length || index === ttsCurrentWordIndex) return;
+        const previous = ttsCurrentWordIndex >= 0 ? ttsWords[ttsCurrentWordIndex] : null;
+        const current = ttsWords[index];
+        ttsCurrentWordIndex = index;
 
-        textNodes.forEach(textNode => {
-            const parent = textNode.parentNode;
-            if (!parent) return;
-            
-            const nodeText = textNode.textContent;
-            const words = nodeText.match(/\S+\s*/g) || [];
-            
-            if (words.length === 0) return;
+        const sentenceMode = currentState.ttsHighlightGranularity === 'sentence';
+        if (!sentenceMode || !previous || previous.sentence !== current.sentence) {
+            renderTTSHighlight(sentenceMode
+                ? ttsWords.filter(entry => entry.sentence === current.sentence).map(entry => entry.range)
+                : [current.range], sentenceMode ? 'sentence' : 'word');
 
-            // Create a wrapper for this text node
-            const wrapper = document.createElement('span');
-            wrapper.className = 'accessibility-tts-text-wrapper';
-            
-            words.forEach((word) => {
-                const span = document.createElement('span');
-                span.className = 'accessibility-tts-word';
-                span.textContent = word;
-                wrapper.appendChild(span);
-                ttsWords.push({ span: span, word: word.trim() });
-            });
+            scrollTTSWordIntoView(current.range);
+        }
 
-            parent.replaceChild(wrapper, textNode);
-            ttsHighlightElements.push(wrapper);
+        emitEvent('ttsword', {
+            word: current.word,
+            index: index,
+            range: current.range,
+            element: current.range.startContainer.parentElement
         });
     }
 
-    // Start TTS highlighting animation
+    // Keep the highlight on screen: first inside the nearest scrollable container (an overflow <div>,
+    // a modal), then in the page
+    function scrollTTSWordIntoView(range) {
+        const rect = range.getBoundingClientRect();
+        if (rect.height === 0) return;
+        let top = rect.top;
+
+        let container = range.startContainer.parentElement;
+        while (container && container !== document.body && container !== document.documentElement) {
+            const overflow = window.getComputedStyle(container).overflowY;
+            if ((overflow === 'auto' || overflow === 'scroll') && container.scrollHeight > container.clientHeight) {
+                const box = container.getBoundingClientRect();
+                if (top < box.top || top + rect.height > box.bottom) {
+                    const delta = top - box.top - container.clientHeight / 2;
+                    container.scrollBy({ top: delta, behavior: 'smooth' });
+                    top -= delta;
+                }
+                break;
+            }
+            container = container.parentElement || (container.parentNode && container.parentNode.host);
+        }
+
+        if (top < 0 || top + rect.height > window.innerHeight) {
+            window.scrollBy({ top: top - window.innerHeight / 2, behavior: 'smooth' });
+        }
+    }
+
+    // Boundary events from the speech engine: the accurate way to follow the voice
+    function handleTTSBoundary(event) {
+        if (ttsWords.length === 0 || typeof event.charIndex !== 'number') return;
+        if (!ttsBoundarySeen) {
+            // The voice reports its position, so the timer estimate is no longer needed
+            ttsBoundarySeen = true;
+            clearTimeout(ttsBoundaryWait);
+            clearInterval(ttsHighlightTimer);
+            ttsHighlightTimer = null;
+        }
+        highlightTTSWord(findTTSWordAt(event.charIndex));
+    }
+
+    // Start following the speech. Called when speaking starts (again on the engine's start event,
+    // which resets the clock). If no boundary event has arrived shortly after, the voice doesn't send
+    // them and the position is estimated from the speech rate instead.
     function startTTSHighlighting() {
         if (ttsWords.length === 0) return;
 
-        // Calculate timing based on speech rate
-        // Average reading speed is about 150-200 words per minute
-        // At rate 1.0, that's about 2.5-3.3 words per second
-        // We'll use a conservative estimate
-        const averageWordsPerMinute = 180;
-        const wordsPerSecond = (averageWordsPerMinute / 60) * currentState.ttsRate;
-        const interval = Math.max(50, 1000 / wordsPerSecond); // Minimum 50ms interval
-
-        let highlightInterval = setInterval(() => {
-            if (!isSpeaking || ttsCurrentWordIndex >= ttsWords.length) {
-                clearInterval(highlightInterval);
-                // Clear last highlight
-                if (ttsCurrentWordIndex > 0 && ttsCurrentWordIndex <= ttsWords.length) {
-                    ttsWords[ttsCurrentWordIndex - 1].span.classList.remove('accessibility-tts-word-active');
+        clearTimeout(ttsBoundaryWait);
+        clearInterval(ttsHighlightTimer);
+        ttsHighlightTimer = null;
+        ttsHighlightStartTime = Date.now();
+        if (ttsBoundarySeen) return;
+
+        ttsBoundaryWait = setTimeout(() => {
+            if (ttsBoundarySeen || !isSpeaking) return;
+            console.log('TTS: Voice sends no boundary events, estimating highlight timing');
+
+            // Average reading speed is about 150-200 words per minute at rate 1.0
+            const averageWordsPerMinute = 180;
+            const wordsPerSecond = (averageWordsPerMinute / 60) * currentState.ttsRate;
+
+            ttsHighlightTimer = setInterval(() => {
+                if (!isSpeaking) {
+                    clearInterval(ttsHighlightTimer);
+                    ttsHighlightTimer = null;
+                    return;
                 }
-                return;
+                if (ttsPaused) return;
+                // Position from elapsed time, so the estimate doesn't drift further with every tick
+                const elapsed = (Date.now() - ttsHighlightStartTime) / 1000;
+                highlightTTSWord(Math.min(ttsWords.length - 1, Math.floor(elapsed * wordsPerSecond)));
+            }, 100);
+        }, 750);
+    }
+
+    // Clear TTS highlights
+    function clearTTSHighlights() {
+        clearTimeout(ttsBoundaryWait);
+        clearInterval(ttsHighlightTimer);
+        ttsHighlightTimer = null;
+        ttsBoundarySeen = false;
+        removeTTSHighlight();
+        ttsWords = [];
+        ttsCurrentWordIndex = -1;
+    }
+
+    function stopSpeaking() {
+        // Use TTS Manager if available
+        if (ttsManager && ttsManager.isAvailable()) {
+            ttsManager.stop();
+            isSpeaking = false;
+            ttsPaused = false;
+            readPageActive = false;
+            clearTTSHighlights();
+            updateTTSButton();
+            updateReadPageControls();
+            emitTTSEnd('stopped');
+            return;
+        }
+        
+        // Fallback to original implementation
+        if (speechSynthesis && isSpeaking) {
+            speechSynthesis.cancel();
+            isSpeaking = false;
+            ttsPaused = false;
+            clearTTSHighlights();
+            updateTTSButton();
+            emitTTSEnd('stopped');
+        }
+    }
+    
+    // Read page mode: the main content is extracted and read paragraph by paragraph, in short chunks
+    // queued in the TTS Manager (long utterances get cut off in Chrome)
+
+    // Page furniture that isn't read: navigation, complementary content, dialogs and cookie banners
+    const READ_PAGE_SKIP = FONT_SCALE_SKIP + ', script, style, noscript, template, button, select, textarea, ' +
+        'nav, aside, footer, dialog, [hidden], [aria-hidden="true"], [role="navigation"], [role="banner"], ' +
+        '[role="contentinfo"], [role="complementary"], [role="search"], [role="dialog"], [role="alertdialog"], ' +
+        '[id*="cookie" i], [class*="cookie" i], [id*="consent" i], [class*="consent" i], [id*="gdpr" i], [class*="gdpr" i]';
+
+    // Elements read as one paragraph - each text node belongs to the nearest of these
+    const READ_PAGE_BLOCKS = 'p, h1, h2, h3, h4, h5, h6, [role="heading"], li, dt, dd, blockquote, pre, ' +
+        'figcaption, caption, td, th, summary, legend, label, div, section, article, main, body';
+
+    // The main content: <main>, else the page's only <article>, else the whole body
+    function findReadPageRoot() {
+        const main = document.querySelector('main:not([hidden]), [role="main"]:not([hidden])');
+        if (main && main.innerText.trim()) return main;
+        const articles = document.querySelectorAll('article, [role="article"]');
+        if (articles.length === 1 && articles[0].innerText.trim()) return articles[0];
+        return document.body;
+    }
+
+    // Whether text in element is left out: inside skipped page furniture (within root), a site header,
+    // or visually hidden - not rendered, invisible, or clipped down to a pixel like sr-only text
+    function isReadPageSkipped(element, root, cache) {
+        if (cache.has(element)) return cache.get(element);
+
+        const furniture = element.closest(READ_PAGE_SKIP);
+        // Site headers are page furniture, an article's own header is part of the content
+        const header = element.closest('header');
+        let skipped = (!!furniture && furniture !== root && root.contains(furniture)) ||
+            (!!header && !header.closest('article, main, [role="main"], [role="article"]'));
+
+        if (!skipped) {
+            const style = window.getComputedStyle(element);
+            skipped = style.visibility === 'hidden' || style.visibility === 'collapse' ||
+                (style.display !== 'contents' && element.getClientRects().length === 0);
+            if (!skipped && (style.position === 'absolute' || style.position === 'fixed')) {
+                const rect = element.getBoundingClientRect();
+                skipped = rect.width <= 1 && rect.height <= 1;
+            }
+        }
+        if (!skipped && element !== root && element.parentElement) {
+            skipped = isReadPageSkipped(element.parentElement, root, cache);
+        }
+
+        cache.set(element, skipped);
+        return skipped;
+    }
+
+    // Paragraphs of readable text under root: [{ element, text, heading (level, 0 for body text), words }]
+    function extractReadPageContent(root = findReadPageRoot()) {
+        const skipCache = new Map();
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode: function(node) {
+                const parent = node.parentElement;
+                if (!node.data.trim() || !parent || isReadPageSkipped(parent, root, skipCache)) {
+                    return NodeFilter.FILTER_REJECT;
+                }
+                return NodeFilter.FILTER_ACCEPT;
+            }
+        });
+
+        // Group consecutive text nodes by the block they sit in
+        const blocks = [];
+        let node;
+        while ((node = walker.nextNode())) {
+            let element = node.parentElement.closest(READ_PAGE_BLOCKS);
+            if (!element || !root.contains(element)) {
+                element = root;
+            }
+            const last = blocks[blocks.length - 1];
+            if (last && last.element === element) {
+                last.nodes.push(node);
+            } else {
+                blocks.push({ element: element, nodes: [node] });
             }
+        }
+
+        return blocks.map(block => {
+            const headingElement = block.element.closest('h1, h2, h3, h4, h5, h6, [role="heading"]');
+            const level = headingElement
+                ? parseInt(headingElement.getAttribute('aria-level') || headingElement.tagName.slice(1), 10) || 2
+                : 0;
+            return {
+                element: block.element,
+                text: block.nodes.map(textNode => textNode.data).join('').replace(/\s+/g, ' ').trim(),
+                heading: level,
+                words: buildTTSWordRangesForNodes(block.nodes, null)
+            };
+        }).filter(paragraph => paragraph.text !== '');
+    }
+
+    // Language to read a paragraph in: its lang attribute or detected language with ttsAutoLanguage,
+    // otherwise the chosen TTS language
+    function getTTSParagraphLanguage(paragraph) {
+        const chosen = currentState.ttsLanguage || 'en';
+        if (!currentState.ttsAutoLanguage) {
+            return chosen;
+        }
+        return ttsManager.detectLanguage(paragraph.text, { element: paragraph.element, fallback: chosen });
+    }
+
+    // Split paragraphs into queue chunks; each chunk keeps the word ranges it covers for highlighting
+    function buildTTSQueue(paragraphs) {
+        const queue = [];
+        paragraphs.forEach((paragraph, paragraphIndex) => {
+            mapTTSWordsToText(paragraph.text, paragraph.words);
+            const language = getTTSParagraphLanguage(paragraph);
+            const chunks = ttsManager.splitIntoChunks(paragraph.text);
+            chunks.forEach((chunk, i) => {
+                const end = i + 1 < chunks.length ? chunks[i + 1].start : Infinity;
+                queue.push({
+                    text: chunk.text,
+                    paragraph: paragraphIndex,
+                    heading: paragraph.heading,
+                    element: paragraph.element,
+                    language: language,
+                    words: paragraph.words.filter(entry => entry.start !== null && entry.start >= chunk.start && entry.start < end)
+                });
+            });
+        });
+        return queue;
+    }
+
+    // Speak queued chunks through the TTS Manager - selected text (mode 'text') or the page (mode 'page').
+    // onError is called if the speech engine fails part way.
+    function playTTSQueue(queue, text, mode, onError) {
+        readPageActive = mode === 'page';
+        ttsPaused = false;
+        isSpeaking = true;
+
+        const started = ttsManager.playQueue(queue, {
+            rate: currentState.ttsRate,
+            pitch: currentState.ttsPitch,
+            volume: currentState.ttsVolume,
+            language: currentState.ttsLanguage || null,
+            onChunkStart: handleTTSChunk,
+            onStart: startTTSHighlighting,
+            onBoundary: handleTTSBoundary,
+            onPause: clearTTSHighlights,
+            onEnd: function(reason, error) {
+                finishTTSQueue(reason);
+                if (reason === 'error' && onError) {
+                    onError(error);
+                }
+            }
+        });
+
+        if (!started) {
+            readPageActive = false;
+            isSpeaking = false;
+            return false;
+        }
+
+        updateTTSButton();
+        updateReadPageControls();
+        emitTTSStart(text);
+        return true;
+    }
+
+    // Read the main content of the page aloud
+    function readPage() {
+        stopSpeaking();
+        ttsSpeechSource = 'page';
+
+        const paragraphs = extractReadPageContent();
+        if (paragraphs.length === 0) {
+            console.warn('TTS: No readable content found on the page');
+            return false;
+        }
+
+        if (!ttsManager || !ttsManager.isAvailable() || typeof ttsManager.playQueue !== 'function') {
+            // No queue without the TTS Manager: read the start of the content in one utterance
+            console.warn('TTS Manager not available, reading the start of the page in one go');
+            speakText(paragraphs.map(paragraph => paragraph.text).join('\n').substring(0, 5000));
+            return true;
+        }
+
+        configureTTSManager();
+        readPageText = paragraphs.map(paragraph => paragraph.text).join('\n');
+        readPageParagraphCount = paragraphs.length;
+        const queue = buildTTSQueue(paragraphs);
+        if (!playTTSQueue(queue, readPageText, 'page')) {
+            return false;
+        }
+
+        console.log('TTS: Reading page,', paragraphs.length, 'paragraphs in', queue.length, 'chunks');
+        return true;
+    }
+
+    // Download as audio: the selection, or the page content as Read This Page reads it, rendered to a
+    // WAV file (a marker per heading) and a WebVTT transcript by the speech engine.
+    // Resolves to the rendered { audio, transcript, chapters, duration }, or null if it didn't happen.
+    function downloadAudio() {
+        if (audioExport) {
+            return Promise.resolve(null);
+        }
+        if (!ttsManager || typeof ttsManager.canRenderAudio !== 'function' || !ttsManager.canRenderAudio()) {
+            announceToScreenReader('Downloading audio needs a speech engine that makes audio files');
+            return Promise.resolve(null);
+        }
+
+        let paragraphs;
+        const selection = window.getSelection();
+        if (selection.rangeCount > 0 && selection.toString().trim()) {
+            const range = selection.getRangeAt(0);
+            const container = range.commonAncestorContainer;
+            paragraphs = [{
+                text: getSpeechText(range) || selection.toString().trim(),
+                heading: 0,
+                element: container.nodeType === Node.TEXT_NODE ? container.parentElement : container,
+                words: []
+            }];
+        } else {
+            paragraphs = extractReadPageContent();
+        }
+        if (paragraphs.length === 0) {
+            announceToScreenReader('No readable content found on this page');
+            return Promise.resolve(null);
+        }
+
+        configureTTSManager();
+        audioExport = new AbortController();
+        updateDownloadAudioButton(0, 1);
+        announceToScreenReader('Preparing audio file');
+
+        return ttsManager.renderAudio(buildTTSQueue(paragraphs), {
+            language: currentState.ttsLanguage || null,
+            signal: audioExport.signal,
+            onProgress: updateDownloadAudioButton
+        }).then(result => {
+            const name = (document.title || 'page').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'page';
+            downloadFile(result.audio, name + '.wav');
+            downloadFile(new Blob([result.transcript], { type: 'text/vtt' }), name + '.vtt');
+            announceToScreenReader('Audio file ready, ' + (result.duration < 60
+                ? Math.round(result.duration) + ' seconds'
+                : Math.round(result.duration / 60) + ' minutes'));
+            emitEvent('audioexport', { duration: result.duration, chapters: result.chapters });
+            return result;
+        }).catch(error => {
+            if (audioExport && audioExport.signal.aborted) {
+                announceToScreenReader('Audio download cancelled');
+            } else {
+                console.error('TTS: Could not make the audio file:', error);
+                announceToScreenReader('Could not make the audio file');
+            }
+            return null;
+        }).finally(() => {
+            audioExport = null;
+            updateDownloadAudioButton();
+        });
+    }
+
+    function cancelAudioDownload() {
+        if (!audioExport) return false;
+        audioExport.abort();
+        return true;
+    }
+
+    function downloadFile(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Show the Download as Audio button only for engines that make audio, with progress while it works
+    function updateDownloadAudioButton(done, total) {
+        const button = document.getElementById('accessibility-download-audio-btn');
+        if (!button) return;
+        button.hidden = !ttsManager || typeof ttsManager.canRenderAudio !== 'function' || !ttsManager.canRenderAudio();
+        if (audioExport) {
+            const percent = total ? Math.round(done / total * 100) : 0;
+            button.innerHTML = '<i class="bx bx-x"></i> <span>Cancel Download (' + percent + '%)</span>';
+            button.setAttribute('aria-label', 'Cancel preparing the audio file, ' + percent + ' percent done');
+        } else {
+            button.innerHTML = '<i class="bx bx-download"></i> <span>Download as Audio</span>';
+            button.setAttribute('aria-label', 'Download the selected text or the page as an audio file with a transcript');
+        }
+    }
+
+    // A new chunk is about to be spoken: follow it with the highlight
+    function handleTTSChunk(chunk, index) {
+        ttsPaused = false;
+        clearTTSHighlights();
+        ttsWords = chunk.words.map(entry => ({ range: entry.range, word: entry.word }));
+        mapTTSWordsToText(chunk.text);
+        startTTSHighlighting();
+        updateReadPageControls();
+        updateTTSPlayer();
+
+        if (readPageActive) {
+            emitEvent('readpagechunk', {
+                text: chunk.text,
+                index: index,
+                paragraph: chunk.paragraph,
+                heading: chunk.heading,
+                element: chunk.element
+            });
+        }
+    }
+
+    function finishTTSQueue(reason) {
+        readPageActive = false;
+        ttsPaused = false;
+        isSpeaking = false;
+        clearTTSHighlights();
+        updateTTSButton();
+        updateReadPageControls();
+        emitTTSEnd(reason);
+    }
+
+    function isTTSQueuePlaying() {
+        return !!(ttsManager && typeof ttsManager.isQueueActive === 'function' && ttsManager.isQueueActive());
+    }
+
+    // Pause and resume whatever is being spoken. The queue restarts its sentence on resume; a single
+    // utterance (no TTS Manager) uses the engine's own pause.
+    function pauseSpeaking() {
+        if (!isSpeaking || ttsPaused) return false;
+        if (isTTSQueuePlaying()) {
+            ttsManager.pause();
+        } else if (speechSynthesis) {
+            speechSynthesis.pause();
+            ttsPauseStartTime = Date.now();
+        }
+        ttsPaused = true;
+        updateReadPageControls();
+        updateTTSPlayer();
+        announceToScreenReader('Reading paused');
+        return true;
+    }
+
+    function resumeSpeaking() {
+        if (!isSpeaking || !ttsPaused) return false;
+        if (isTTSQueuePlaying()) {
+            ttsManager.resume();
+        } else if (speechSynthesis) {
+            speechSynthesis.resume();
+            // Keep the timing estimate in step with the voice
+            ttsHighlightStartTime += Date.now() - ttsPauseStartTime;
+        }
+        ttsPaused = false;
+        updateReadPageControls();
+        updateTTSPlayer();
+        announceToScreenReader('Reading resumed');
+        return true;
+    }
+
+    function toggleSpeakingPause() {
+        return ttsPaused ? resumeSpeaking() : pauseSpeaking();
+    }
+
+    // Rewind (-1) or skip ahead (1) one sentence
+    function skipSentence(direction) {
+        return isSpeaking && isTTSQueuePlaying() && ttsManager.skipChunk(direction < 0 ? -1 : 1);
+    }
+
+    // Speed and pitch changes apply to the sentence being read, which restarts at the new rate
+    function applyLiveTTSRate() {
+        if (!isSpeaking) return;
+        if (isTTSQueuePlaying()) {
+            ttsManager.setRate(currentState.ttsRate);
+            ttsManager.setPitch(currentState.ttsPitch);
+            // Wait for the slider to settle rather than restarting on every step
+            clearTimeout(ttsRateRestartTimer);
+            ttsRateRestartTimer = setTimeout(() => ttsManager.restartChunk(), 300);
+        } else if (currentUtterance) {
+            speechSynthesis.cancel();
+            const text = currentUtterance.text;
+            const sourceElement = currentUtterance.sourceElement;
+            setTimeout(() => speakText(text, sourceElement), 100);
+        }
+    }
+
+    function nextReadPageParagraph() {
+        return readPageActive && ttsManager.nextParagraph();
+    }
+
+    function previousReadPageParagraph() {
+        return readPageActive && ttsManager.previousParagraph();
+    }
+
+    function skipReadPageHeading(direction = 1) {
+        return readPageActive && ttsManager.skipToHeading(direction);
+    }
+
+    function getReadPageState() {
+        const state = readPageActive ? ttsManager.getQueueState() : null;
+        return {
+            active: readPageActive,
+            paused: readPageActive && ttsPaused,
+            paragraph: state ? state.paragraph : null,
+            paragraphCount: readPageActive ? readPageParagraphCount : 0
+        };
+    }
+
+    // Previous/next heading and paragraph, pause/resume - shown while the page is being read
+    function createReadPageControls() {
+        const controls = document.createElement('div');
+        controls.id = 'accessibility-read-page-controls';
+        controls.className = 'accessibility-read-page-controls';
+        controls.setAttribute('role', 'group');
+        controls.setAttribute('aria-label', 'Page reading controls');
+        controls.hidden = true;
+
+        const buttonRow = document.createElement('div');
+        buttonRow.className = 'accessibility-read-page-buttons';
+        [
+            { action: 'previousHeading', icon: 'bx-chevrons-up', label: 'Previous heading', handler: () => skipReadPageHeading(-1) },
+            { action: 'previousParagraph', icon: 'bx-skip-previous', label: 'Previous paragraph', handler: previousReadPageParagraph },
+            { action: 'pause', icon: 'bx-pause', label: 'Pause reading', handler: toggleSpeakingPause },
+            { action: 'nextParagraph', icon: 'bx-skip-next', label: 'Next paragraph', handler: nextReadPageParagraph },
+            { action: 'nextHeading', icon: 'bx-chevrons-down', label: 'Next heading', handler: () => skipReadPageHeading(1) }
+        ].forEach(control => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'accessibility-read-page-control';
+            button.setAttribute('data-action', control.action);
+            button.setAttribute('aria-label', control.label);
+            button.title = control.label;
+            button.innerHTML = '<i class="bx ' + control.icon + '" aria-hidden="true"></i>';
+            button.onclick = function(e) {
+                e.preventDefault();
+                e.stopPropagation();
+                if (!control.handler()) {
+                    announceToScreenReader(control.action.indexOf('Heading') !== -1 ? 'No more headings' : 'No more paragraphs');
+                }
+            };
+            buttonRow.appendChild(button);
+        });
+        controls.appendChild(buttonRow);
+
+        const status = document.createElement('div');
+        status.className = 'accessibility-read-page-status';
+        controls.appendChild(status);
+
+        return controls;
+    }
+
+    // Sync the Read This Page button and the reading controls with the queue
+    function updateReadPageControls() {
+        const readPageBtn = document.getElementById('accessibility-read-page-btn');
+        if (readPageBtn) {
+            readPageBtn.innerHTML = readPageActive
+                ? '<i class="bx bx-stop"></i> <span>Stop Reading Page</span>'
+                : '<i class="bx bx-book-reader"></i> <span>Read This Page</span>';
+            readPageBtn.setAttribute('aria-label', readPageActive ? 'Stop reading the page' : 'Read the main content of this page aloud');
+        }
+
+        const controls = document.getElementById('accessibility-read-page-controls');
+        if (!controls) return;
+        const state = getReadPageState();
+        controls.hidden = !state.active;
+
+        const pauseBtn = controls.querySelector('[data-action="pause"]');
+        if (pauseBtn) {
+            pauseBtn.innerHTML = '<i class="bx ' + (state.paused ? 'bx-play' : 'bx-pause') + '" aria-hidden="true"></i>';
+            pauseBtn.setAttribute('aria-label', state.paused ? 'Resume reading' : 'Pause reading');
+            pauseBtn.title = state.paused ? 'Resume reading' : 'Pause reading';
+        }
+
+        const status = controls.querySelector('.accessibility-read-page-status');
+        if (status) {
+            status.textContent = state.active && state.paragraph !== null
+                ? 'Paragraph ' + (state.paragraph + 1) + ' of ' + state.paragraphCount + (state.paused ? ' (paused)' : '')
+                : '';
+        }
+    }
+
+    // Floating TTS player - shown while speaking so reading can be controlled without the panel.
+    // It can be dragged by its handle, or moved with the arrow keys while the handle has focus.
+    function createTTSPlayer() {
+        const player = document.createElement('div');
+        player.id = 'accessibility-tts-player';
+        player.className = 'accessibility-tts-player';
+        player.setAttribute('role', 'region');
+        player.setAttribute('aria-label', 'Text-to-speech player');
+        player.hidden = true;
+
+        const handle = document.createElement('button');
+        handle.type = 'button';
+        handle.className = 'accessibility-tts-player-handle';
+        handle.setAttribute('aria-label', 'Move player. Use the arrow keys to move, Home to dock it again');
+        handle.title = 'Drag to move';
+        handle.innerHTML = '<i class="bx bx-move" aria-hidden="true"></i>';
+        handle.addEventListener('pointerdown', startTTSPlayerDrag);
+        handle.addEventListener('keydown', function(e) {
+            const step = e.shiftKey ? 50 : 10;
+            const moves = { ArrowLeft: [-step, 0], ArrowRight: [step, 0], ArrowUp: [0, -step], ArrowDown: [0, step] };
+            if (moves[e.key]) {
+                e.preventDefault();
+                const rect = player.getBoundingClientRect();
+                moveTTSPlayer(rect.left + moves[e.key][0], rect.top + moves[e.key][1]);
+            } else if (e.key === 'Home') {
+                e.preventDefault();
+                ttsPlayerPosition = null;
+                positionTTSPlayer();
+                announceToScreenReader('Player docked');
+            }
+        });
+        player.appendChild(handle);
+
+        [
+            { action: 'rewind', icon: 'bx-rewind', label: 'Previous sentence', handler: () => skipSentence(-1) },
+            { action: 'pause', icon: 'bx-pause', label: 'Pause reading', handler: toggleSpeakingPause },
+            { action: 'forward', icon: 'bx-fast-forward', label: 'Next sentence', handler: () => skipSentence(1) },
+            { action: 'stop', icon: 'bx-stop', label: 'Stop reading', handler: function() {
+                stopSpeaking();
+                announceToScreenReader('Reading stopped');
+                return true;
+            } }
+        ].forEach(control => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'accessibility-tts-player-btn';
+            button.setAttribute('data-action', control.action);
+            button.setAttribute('aria-label', control.label);
+            button.title = control.label;
+            button.innerHTML = '<i class="bx ' + control.icon + '" aria-hidden="true"></i>';
+            button.onclick = function(e) {
+                e.preventDefault();
+                e.stopPropagation();
+                control.handler();
+            };
+            player.appendChild(button);
+        });
+
+        const rate = document.createElement('input');
+        rate.type = 'range';
+        rate.min = '0.5';
+        rate.max = '2.0';
+        rate.step = '0.1';
+        rate.className = 'accessibility-tts-player-rate';
+        rate.setAttribute('aria-label', 'Speech rate');
+        // Dragging changes the speech as it goes; the setting is saved once the slider is let go
+        rate.oninput = function() {
+            currentState.ttsRate = parseFloat(this.value);
+            updateTTSPlayer();
+            applyLiveTTSRate();
+        };
+        rate.onchange = function() {
+            currentState.ttsRate = parseFloat(this.value);
+            rememberVoiceSettings();
+            savePreferences();
+            updateUI();
+            emitSettingChanges();
+        };
+        player.appendChild(rate);
+
+        const rateValue = document.createElement('span');
+        rateValue.className = 'accessibility-tts-player-rate-value';
+        rateValue.setAttribute('aria-hidden', 'true');
+        player.appendChild(rateValue);
+
+        const progress = document.createElement('div');
+        progress.className = 'accessibility-tts-player-progress';
+        progress.setAttribute('role', 'progressbar');
+        progress.setAttribute('aria-label', 'Reading progress');
+        progress.setAttribute('aria-valuemin', '0');
+        progress.setAttribute('aria-valuemax', '100');
+        const progressBar = document.createElement('div');
+        progressBar.className = 'accessibility-tts-player-progress-bar';
+        progress.appendChild(progressBar);
+        player.appendChild(progress);
+
+        document.body.appendChild(player);
+        window.addEventListener('resize', positionTTSPlayer);
+        return player;
+    }
+
+    // Sync the player with the speech: shown while speaking, pause/resume state, rate and progress
+    function updateTTSPlayer() {
+        let player = document.getElementById('accessibility-tts-player');
+        // Short hover and focus descriptions don't need a player
+        if (!isSpeaking || ttsSpeechSource === 'hover' || ttsSpeechSource === 'focus') {
+            if (player && !player.hidden) {
+                // Don't strand keyboard focus on a control that disappears
+                if (player.contains(document.activeElement)) {
+                    const toggleBtn = document.getElementById('accessibility-toggle-btn');
+                    if (toggleBtn) toggleBtn.focus();
+                }
+                player.hidden = true;
+            }
+            return;
+        }
+
+        if (!player) {
+            player = createTTSPlayer();
+        }
+        if (player.hidden) {
+            player.hidden = false;
+            positionTTSPlayer();
+            announceToScreenReader('Reading aloud. Player controls are available');
+        }
+
+        const pauseBtn = player.querySelector('[data-action="pause"]');
+        pauseBtn.innerHTML = '<i class="bx ' + (ttsPaused ? 'bx-play' : 'bx-pause') + '" aria-hidden="true"></i>';
+        pauseBtn.setAttribute('aria-label', ttsPaused ? 'Resume reading' : 'Pause reading');
+        pauseBtn.title = ttsPaused ? 'Resume reading' : 'Pause reading';
+
+        // Moving between sentences needs the TTS Manager's queue
+        const state = isTTSQueuePlaying() ? ttsManager.getQueueState() : null;
+        player.querySelector('[data-action="rewind"]').disabled = !state;
+        player.querySelector('[data-action="forward"]').disabled = !state || state.index >= state.length - 1;
+
+        const rate = player.querySelector('.accessibility-tts-player-rate');
+        rate.value = currentState.ttsRate;
+        rate.setAttribute('aria-valuetext', currentState.ttsRate.toFixed(1) + ' times');
+        player.querySelector('.accessibility-tts-player-rate-value').textContent = currentState.ttsRate.toFixed(1) + '×';
+
+        const progress = player.querySelector('.accessibility-tts-player-progress');
+        const progressBar = progress.querySelector('.accessibility-tts-player-progress-bar');
+        if (state && state.index >= 0) {
+            const percent = Math.round((state.index + 1) / state.length * 100);
+            progress.setAttribute('aria-valuenow', String(percent));
+            progress.setAttribute('aria-valuetext', 'Sentence ' + (state.index + 1) + ' of ' + state.length);
+            progressBar.style.width = percent + '%';
+        } else {
+            // A single utterance: progress unknown
+            progress.removeAttribute('aria-valuenow');
+            progress.removeAttribute('aria-valuetext');
+            progressBar.style.width = '0%';
+        }
+    }
+
+    // Place the player at its moved position (kept inside the viewport) or docked at the bottom
+    function positionTTSPlayer() {
+        const player = document.getElementById('accessibility-tts-player');
+        if (!player || player.hidden) return;
+        if (!ttsPlayerPosition) {
+            player.classList.add('accessibility-tts-player-docked');
+            player.style.left = '';
+            player.style.top = '';
+            return;
+        }
+        player.classList.remove('accessibility-tts-player-docked');
+        const maxLeft = Math.max(0, window.innerWidth - player.offsetWidth);
+        const maxTop = Math.max(0, window.innerHeight - player.offsetHeight);
+        player.style.left = Math.min(Math.max(0, ttsPlayerPosition.left), maxLeft) + 'px';
+        player.style.top = Math.min(Math.max(0, ttsPlayerPosition.top), maxTop) + 'px';
+    }
+
+    function moveTTSPlayer(left, top) {
+        ttsPlayerPosition = { left: left, top: top };
+        positionTTSPlayer();
+    }
+
+    function startTTSPlayerDrag(e) {
+        if (e.button !== 0) return;
+        const player = document.getElementById('accessibility-tts-player');
+        const rect = player.getBoundingClientRect();
+        ttsPlayerDrag = { offsetX: e.clientX - rect.left, offsetY: e.clientY - rect.top };
+        e.currentTarget.setPointerCapture(e.pointerId);
+        e.currentTarget.addEventListener('pointermove', dragTTSPlayer);
+        e.currentTarget.addEventListener('pointerup', endTTSPlayerDrag);
+        e.currentTarget.addEventListener('pointercancel', endTTSPlayerDrag);
+        e.preventDefault();
+    }
+
+    function dragTTSPlayer(e) {
+        if (!ttsPlayerDrag) return;
+        moveTTSPlayer(e.clientX - ttsPlayerDrag.offsetX, e.clientY - ttsPlayerDrag.offsetY);
+    }
+
+    function endTTSPlayerDrag(e) {
+        ttsPlayerDrag = null;
+        e.currentTarget.removeEventListener('pointermove', dragTTSPlayer);
+        e.currentTarget.removeEventListener('pointerup', endTTSPlayerDrag);
+        e.currentTarget.removeEventListener('pointercancel', endTTSPlayerDrag);
+    }
+
+    // Text to speak for an element or a Range. text-extraction.js follows the accname spec (labels, alt
+    // text, no hidden content); without it the rendered text is read.
+    function getSpeechText(source) {
+        if (window.textExtractor) {
+            return window.textExtractor.getText(source, { announceRoles: currentState.ttsAnnounceRoles });
+        }
+        return source instanceof Range ? source.toString() : (source.innerText || source.textContent || '');
+    }
+
+    // Speak on hover / focus: what gets read is the element under the pointer or with focus -
+    // a control or image by its accessible name (fields with their value), otherwise its block of text
+    const SPEAK_TARGETS = 'a[href], button, input, select, textarea, summary, img, [role="button"], [role="link"], ' +
+        '[role="checkbox"], [role="radio"], [role="switch"], [role="tab"], [role="menuitem"], [role="option"], ' +
+        '[role="img"], [role="slider"], [role="textbox"], [role="combobox"]';
+    const SPEAK_TEXT_BLOCKS = 'p, h1, h2, h3, h4, h5, h6, [role="heading"], li, dt, dd, blockquote, pre, ' +
+        'figcaption, caption, td, th, label, legend';
+    // Overlays that cover the page: the element underneath is read instead
+    const SPEAK_OVERLAYS = '#accessibility-tts-highlight-layer, #accessibility-reading-guide, #accessibility-reading-mask, ' +
+        '#accessibility-text-highlight, #accessibility-screen-reader-announcement';
+
+    function findSpeakTarget(element) {
+        if (!element || element === document.body || element === document.documentElement) return null;
+        const target = element.closest(SPEAK_TARGETS) || element.closest(SPEAK_TEXT_BLOCKS);
+        if (target) return target;
+        // Loose text, e.g. straight inside a <div>
+        const hasText = Array.from(element.childNodes).some(child => child.nodeType === Node.TEXT_NODE && child.data.trim());
+        return hasText ? element : null;
+    }
+
+    // What speak on hover / focus says for an element
+    function describeElementForSpeech(element) {
+        if (window.textExtractor) {
+            return window.textExtractor.describe(element, { announceRoles: currentState.ttsAnnounceRoles });
+        }
+        return (element.getAttribute('aria-label') || element.getAttribute('alt') || element.innerText || '').trim();
+    }
+
+    function speakElementDescription(element, source) {
+        // Never cut off reading the user started from the panel, player or API - the tick says this was skipped
+        if (isSpeaking && ttsSpeechSource !== 'hover' && ttsSpeechSource !== 'focus') {
+            playTTSCue();
+            return;
+        }
+
+        const text = describeElementForSpeech(element);
+        if (!text) {
+            // Nothing to read here
+            playTTSCue();
+            return;
+        }
+        if (isSpeaking) {
+            // The previous description is being cut short
+            playTTSCue();
+        }
+        speakText(text, element, { source: source });
+    }
 
-            // Remove previous highlight (keep last 2-3 words visible for context)
-            if (ttsCurrentWordIndex > 2) {
-                ttsWords[ttsCurrentWordIndex - 3].span.classList.remove('accessibility-tts-word-active');
+    // A short tick, so skipped speech is noticeable
+    function playTTSCue() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass || currentState.ttsVolume === 0) return;
+        try {
+            if (!ttsCueContext) {
+                ttsCueContext = new AudioContextClass();
             }
+            const now = ttsCueContext.currentTime;
+            const oscillator = ttsCueContext.createOscillator();
+            const gain = ttsCueContext.createGain();
+            oscillator.frequency.value = 880;
+            gain.gain.setValueAtTime(0.2 * currentState.ttsVolume, now);
+            gain.gain.exponentialRampToValueAtTime(0.001, now + 0.08);
+            oscillator.connect(gain);
+            gain.connect(ttsCueContext.destination);
+            oscillator.start(now);
+            oscillator.stop(now + 0.08);
+        } catch (error) {
+            console.warn('TTS: Could not play cue:', error);
+        }
+    }
 
-            // Add highlight to current word
-            if (ttsCurrentWordIndex < ttsWords.length) {
-                const currentWord = ttsWords[ttsCurrentWordIndex];
-                currentWord.span.classList.add('accessibility-tts-word-active');
-                
-                // Scroll to word if needed (only every few words to avoid janky scrolling)
-                if (ttsCurrentWordIndex % 5 === 0) {
-                    currentWord.span.scrollIntoView({
-                        behavior: 'smooth',
-                        block: 'center',
-                        inline: 'nearest'
-                    });
-                }
-            }
+    function handleSpeakOnHover(e) {
+        let element = e.target;
+        if (element && element.closest && element.closest(SPEAK_OVERLAYS)) {
+            element = document.elementsFromPoint(e.clientX, e.clientY).find(el => !el.closest(SPEAK_OVERLAYS)) || null;
+        }
+        const target = findSpeakTarget(element);
+        if (target === hoverSpeakTarget) return;
+
+        hoverSpeakTarget = target;
+        clearTimeout(hoverSpeakTimer);
+        if (target) {
+            // Only read what the pointer rests on, not everything it passes over
+            hoverSpeakTimer = setTimeout(() => speakElementDescription(target, 'hover'), currentState.ttsHoverDelay);
+        }
+    }
 
-            ttsCurrentWordIndex++;
-        }, interval);
+    function handleSpeakOnHoverLeave(e) {
+        // Pointer left the window
+        if (!e.relatedTarget) {
+            hoverSpeakTarget = null;
+            clearTimeout(hoverSpeakTimer);
+        }
     }
 
-    // Clear TTS highlights
-    function clearTTSHighlights() {
-        ttsHighlightElements.forEach(wrapper => {
-            const parent = wrapper.parentNode;
-            if (parent) {
-                // Restore original text nodes
-                const text = wrapper.textContent;
-                const textNode = document.createTextNode(text);
-                parent.replaceChild(textNode, wrapper);
-            }
-        });
-        ttsHighlightElements = [];
-        ttsWords = [];
-        ttsCurrentWordIndex = 0;
+    function handleSpeakOnFocus(e) {
+        const target = e.target;
+        if (!(target instanceof Element) || target.closest(SPEAK_OVERLAYS)) return;
+        clearTimeout(hoverSpeakTimer);
+        speakElementDescription(target, 'focus');
     }
 
-    function stopSpeaking() {
-        // Use TTS Manager if available
-        if (ttsManager && ttsManager.isAvailable()) {
-            ttsManager.stop();
-            isSpeaking = false;
-            clearTTSHighlights();
-            updateTTSButton();
-            return;
+    // Add or remove the hover and focus listeners to match the settings (both need TTS enabled)
+    function updateSpeakOnInteraction() {
+        const hover = currentState.ttsEnabled && currentState.ttsHoverSpeak;
+        const focus = currentState.ttsEnabled && currentState.ttsFocusSpeak;
+
+        if (hover && !speakOnHoverActive) {
+            document.addEventListener('mouseover', handleSpeakOnHover, true);
+            document.addEventListener('mouseout', handleSpeakOnHoverLeave, true);
+        } else if (!hover && speakOnHoverActive) {
+            document.removeEventListener('mouseover', handleSpeakOnHover, true);
+            document.removeEventListener('mouseout', handleSpeakOnHoverLeave, true);
+            clearTimeout(hoverSpeakTimer);
+            hoverSpeakTarget = null;
         }
-        
-        // Fallback to original implementation
-        if (speechSynthesis && isSpeaking) {
-            speechSynthesis.cancel();
-            isSpeaking = false;
-            clearTTSHighlights();
-            updateTTSButton();
+        speakOnHoverActive = hover;
+
+        if (focus && !speakOnFocusActive) {
+            document.addEventListener('focusin', handleSpeakOnFocus, true);
+        } else if (!focus && speakOnFocusActive) {
+            document.removeEventListener('focusin', handleSpeakOnFocus, true);
         }
+        speakOnFocusActive = focus;
     }
-    
+
     // Update language dropdown
     function updateLanguageDropdown() {
         const panel = document.getElementById('accessibility-panel');
@@ -1054,6 +3230,8 @@
                 const optionEl = document.createElement('option');
                 optionEl.value = lang.code;
                 optionEl.textContent = lang.name;
+                optionEl.lang = lang.code;
+                optionEl.dir = lang.rtl ? 'rtl' : 'ltr';
                 if (lang.code === currentValue || (!currentValue && lang.code === currentTTSLanguage)) {
                     optionEl.selected = true;
                 }
@@ -1100,6 +3278,7 @@
                 btn.classList.remove('accessibility-tts-active');
             }
         }
+        updateTTSPlayer();
     }
 
     // Get voice options for TTS
@@ -1139,37 +3318,38 @@
         
         if (voices.length > 0) {
             // Filter by language if TTS Manager is available and language is set
+            let listedVoices = voices;
             if (ttsManager && currentState.ttsLanguage) {
                 const currentLang = currentState.ttsLanguage || 'en';
                 const langVoices = ttsManager.getAvailableVoicesForLanguage(currentLang);
                 
                 if (langVoices.length > 0) {
                     console.log('Filtering voices for language', currentLang + ':', langVoices.length);
-                    langVoices.forEach(voice => {
-                        options.push({
-                            value: voice.name,
-                            label: voice.name + (voice.lang ? ' (' + voice.lang + ')' : '')
-                        });
-                    });
+                    listedVoices = langVoices;
                 } else {
                     // Fallback to all voices if no language-specific voices found
                     console.log('No language-specific voices, using all voices');
-                    voices.forEach(voice => {
-                        options.push({
-                            value: voice.name,
-                            label: voice.name + (voice.lang ? ' (' + voice.lang + ')' : '')
-                        });
-                    });
                 }
-            } else {
-                // Use all voices
-                voices.forEach(voice => {
-                    options.push({
-                        value: voice.name,
-                        label: voice.name + (voice.lang ? ' (' + voice.lang + ')' : '')
-                    });
-                });
             }
+
+            // Gender, region and local/network filters - the selected voice stays listed
+            listedVoices = listedVoices.filter(voice => voice.name === currentState.ttsVoice || matchesVoiceFilters(voice));
+            if (listedVoices.length === 0) {
+                options.push({ value: '', label: 'No voices match the filters', disabled: true });
+            }
+
+            // Favorite voices come first, in a group of their own
+            const favorites = currentState.ttsFavoriteVoices;
+            const favoriteVoices = listedVoices.filter(voice => favorites.includes(voice.name));
+            const otherVoices = listedVoices.filter(voice => !favorites.includes(voice.name));
+            const grouped = favoriteVoices.length > 0;
+            favoriteVoices.concat(otherVoices).forEach(voice => {
+                options.push({
+                    value: voice.name,
+                    label: voice.name + (voice.lang ? ' (' + voice.lang + ')' : ''),
+                    group: grouped ? (favorites.includes(voice.name) ? 'Favorites' : 'All Voices') : ''
+                });
+            });
         } else {
             console.warn('No voices available for voice options');
         }
@@ -1178,6 +3358,163 @@
         return options;
     }
 
+    // Fill the voice select with options from getVoiceOptions, keeping the selected voice
+    function fillVoiceSelect(select, options) {
+        const currentValue = select.value;
+        const groups = {};
+        select.innerHTML = '';
+        options.forEach(option => {
+            const optionEl = document.createElement('option');
+            optionEl.value = option.value;
+            optionEl.textContent = option.label;
+            optionEl.disabled = !!option.disabled;
+            if (option.value === currentValue && !option.disabled) {
+                optionEl.selected = true;
+            }
+            if (option.group && !groups[option.group]) {
+                groups[option.group] = document.createElement('optgroup');
+                groups[option.group].label = option.group;
+                select.appendChild(groups[option.group]);
+            }
+            (option.group ? groups[option.group] : select).appendChild(optionEl);
+        });
+    }
+
+    // Locale of a voice as a language tag ("en-GB"; some platforms report "en_GB")
+    function getVoiceLocale(voice) {
+        return (voice.lang || '').replace('_', '-');
+    }
+
+    // Whether a voice passes the Voice Gender, Voice Region and Voice Source filters
+    function matchesVoiceFilters(voice) {
+        if (currentState.ttsVoiceGender !== 'any' && ttsManager &&
+            ttsManager.getVoiceGender(voice) !== currentState.ttsVoiceGender) {
+            return false;
+        }
+        if (currentState.ttsVoiceLocale &&
+            getVoiceLocale(voice).toLowerCase() !== currentState.ttsVoiceLocale.toLowerCase()) {
+            return false;
+        }
+        if (currentState.ttsVoiceService === 'local' && !voice.localService) return false;
+        if (currentState.ttsVoiceService === 'network' && voice.localService) return false;
+        return true;
+    }
+
+    // Regions of the voices for the TTS language ("en-GB (United Kingdom)"), for the Voice Region filter
+    function getVoiceRegionOptions() {
+        const voices = ttsManager && currentState.ttsLanguage
+            ? ttsManager.getAvailableVoicesForLanguage(currentState.ttsLanguage)
+            : availableVoices;
+        const locales = [];
+        voices.forEach(voice => {
+            const locale = getVoiceLocale(voice);
+            if (locale && !locales.includes(locale)) {
+                locales.push(locale);
+            }
+        });
+        if (currentState.ttsVoiceLocale && !locales.includes(currentState.ttsVoiceLocale)) {
+            locales.push(currentState.ttsVoiceLocale);
+        }
+
+        return [{ value: '', label: 'Any Region' }].concat(locales.sort().map(locale => {
+            let region = '';
+            try {
+                const code = locale.split('-')[1];
+                region = code ? new Intl.DisplayNames(['en'], { type: 'region' }).of(code.toUpperCase()) : '';
+            } catch (e) {
+                region = '';
+            }
+            return { value: locale, label: region ? locale + ' (' + region + ')' : locale };
+        }));
+    }
+
+    function updateVoiceRegionSelect() {
+        const panel = document.getElementById('accessibility-panel');
+        const select = panel && panel.querySelector('select[aria-label="Voice Region"]');
+        if (!select) return;
+        select.innerHTML = '';
+        getVoiceRegionOptions().forEach(option => {
+            const optionEl = document.createElement('option');
+            optionEl.value = option.value;
+            optionEl.textContent = option.label;
+            optionEl.selected = option.value === currentState.ttsVoiceLocale;
+            select.appendChild(optionEl);
+        });
+    }
+
+    // Voice a preview or favorite button acts on: the selected voice, or the one chosen automatically
+    function getActiveVoiceName() {
+        if (currentState.ttsVoice) return currentState.ttsVoice;
+        const voice = ttsManager ? ttsManager.getCurrentVoice() : null;
+        return voice ? voice.name : '';
+    }
+
+    // Speak a sample sentence with a voice (default: the selected one) at its speed and pitch
+    function previewVoice(voiceName) {
+        const name = voiceName || getActiveVoiceName();
+        if (!ttsManager || !ttsManager.isAvailable() || !name) {
+            return Promise.reject(new Error('AccessibilityPlugin: No voice to preview'));
+        }
+        const voiceSettings = currentState.ttsVoiceSettings[name] || {};
+        return ttsManager.previewVoice(name, {
+            language: currentState.ttsLanguage,
+            rate: voiceSettings.rate || currentState.ttsRate,
+            pitch: voiceSettings.pitch !== undefined ? voiceSettings.pitch : currentState.ttsPitch,
+            volume: currentState.ttsVolume
+        });
+    }
+
+    // Add a voice to the favorites or take it off, returns whether it is a favorite now
+    function toggleFavoriteVoice(voiceName) {
+        const name = voiceName || getActiveVoiceName();
+        if (!name) return false;
+        const favorite = !currentState.ttsFavoriteVoices.includes(name);
+        updateSettings({
+            ttsFavoriteVoices: favorite
+                ? currentState.ttsFavoriteVoices.concat(name)
+                : currentState.ttsFavoriteVoices.filter(favoriteName => favoriteName !== name)
+        });
+        return favorite;
+    }
+
+    // Remember the speed and pitch for the selected voice
+    function rememberVoiceSettings() {
+        if (!currentState.ttsVoice) return;
+        currentState.ttsVoiceSettings = {
+            ...currentState.ttsVoiceSettings,
+            [currentState.ttsVoice]: { rate: currentState.ttsRate, pitch: currentState.ttsPitch }
+        };
+    }
+
+    // Switch to the speed and pitch remembered for a voice, if there are any
+    function restoreVoiceSettings(voiceName) {
+        const voiceSettings = currentState.ttsVoiceSettings[voiceName];
+        if (!voiceSettings) return;
+        if (voiceSettings.rate !== undefined) {
+            currentState.ttsRate = voiceSettings.rate;
+        }
+        if (voiceSettings.pitch !== undefined) {
+            currentState.ttsPitch = voiceSettings.pitch;
+        }
+        if (ttsManager) {
+            ttsManager.setRate(currentState.ttsRate);
+            ttsManager.setPitch(currentState.ttsPitch);
+        }
+        updateUI();
+        updateTTSPlayer();
+    }
+
+    // Favorite button state for the voice it acts on
+    function updateVoiceActions() {
+        const favoriteBtn = document.getElementById('accessibility-favorite-voice-btn');
+        if (!favoriteBtn) return;
+        const name = getActiveVoiceName();
+        const favorite = !!name && currentState.ttsFavoriteVoices.includes(name);
+        favoriteBtn.disabled = !name;
+        favoriteBtn.setAttribute('aria-pressed', favorite.toString());
+        favoriteBtn.innerHTML = '<i class="bx ' + (favorite ? 'bxs-star' : 'bx-star') + '"></i> <span>Favorite</span>';
+    }
+
     // Reading guide functions
     function moveReadingGuide(e) {
         if (!readingGuideElement || !readingGuideActive) return;
@@ -1482,11 +3819,26 @@
     }
 
     // Braille functions
+
+    // Integrator's Braille tables and default table, added the first time Braille is turned on
+    function configureBrailleTables() {
+        if (brailleTablesConfigured) return;
+        brailleTablesConfigured = true;
+        if (settings.brailleTables) {
+            window.brailleConverter.addTables(settings.brailleTables);
+        }
+        if (settings.brailleTable) {
+            window.brailleConverter.setDefaultTable(settings.brailleTable);
+        }
+    }
+
     function enableBraille() {
         if (brailleEnabled) return;
         
         // Check if Braille converter is available
         if (typeof window.brailleConverter !== 'undefined') {
+            configureBrailleTables();
+            window.brailleConverter.setGrade(currentState.brailleGrade);
             window.brailleConverter.enable();
             brailleEnabled = true;
             console.log('Braille conversion enabled');
@@ -1693,13 +4045,18 @@
         textSection.innerHTML = '<h4 class="accessibility-section-title">Text & Display</h4>';
 
         // Font size control
-        const fontSizeControl = createControl('Font Size', 'fontSize', [
-            { value: 75, label: 'Small (75%)' },
-            { value: 100, label: 'Normal (100%)' },
-            { value: 125, label: 'Large (125%)' },
-            { value: 150, label: 'Extra Large (150%)' },
-            { value: 200, label: 'Huge (200%)' }
-        ], currentState.fontSize);
+        const fontSizeControl = createFontSizeControl();
+
+        // Minimum text size control
+        const fontSizeMinimumControl = createControl('Minimum Text Size', 'fontSizeMinimum', [
+            { value: 0, label: 'Off' },
+            { value: 12, label: '12px' },
+            { value: 14, label: '14px' },
+            { value: 16, label: '16px' },
+            { value: 18, label: '18px' },
+            { value: 20, label: '20px' },
+            { value: 24, label: '24px' }
+        ], currentState.fontSizeMinimum);
 
         // Contrast control
         const contrastControl = createControl('Contrast', 'contrast', [
@@ -1734,6 +4091,14 @@
             applySettings();
         });
 
+        // Target ratio for high contrast mode
+        const contrastTargetControl = createControl('Contrast Target', 'contrastTarget', [
+            { value: 4.5, label: 'AA (4.5:1)' },
+            { value: 7, label: 'AAA (7:1)' }
+        ], currentState.contrastTarget);
+
+        const dimMediaToggle = createToggleControl('Dim Images in Dark Mode', 'darkModeDimMedia', currentState.darkModeDimMedia);
+
         // Line height control
         const lineHeightControl = createControl('Line Height', 'lineHeight', [
             { value: 'normal', label: 'Normal' },
@@ -1756,8 +4121,11 @@
         ], currentState.fontFamily);
 
         textSection.appendChild(fontSizeControl);
+        textSection.appendChild(fontSizeMinimumControl);
         textSection.appendChild(contrastControl);
+        textSection.appendChild(contrastTargetControl);
         textSection.appendChild(darkModeToggle);
+        textSection.appendChild(dimMediaToggle);
         textSection.appendChild(lineHeightControl);
         textSection.appendChild(letterSpacingControl);
         textSection.appendChild(fontFamilyControl);
@@ -1773,10 +4141,48 @@
             { value: 'protanopia', label: 'Protanopia (Red-Blind)' },
             { value: 'deuteranopia', label: 'Deuteranopia (Green-Blind)' },
             { value: 'tritanopia', label: 'Tritanopia (Blue-Blind)' },
+            { value: 'protanomaly', label: 'Protanomaly (Red-Weak)' },
+            { value: 'deuteranomaly', label: 'Deuteranomaly (Green-Weak)' },
+            { value: 'tritanomaly', label: 'Tritanomaly (Blue-Weak)' },
             { value: 'achromatopsia', label: 'Achromatopsia (Total Color Blind)' }
         ], currentState.colorBlindness);
 
+        // Correct the colors for the user, or simulate the deficiency for designers
+        const colorFilterModeControl = createControl('Color Filter Mode', 'colorBlindnessMode', [
+            { value: 'correct', label: 'Correct Colors (for me)' },
+            { value: 'simulate', label: 'Simulate (preview for designers)' }
+        ], currentState.colorBlindnessMode);
+
+        // Color filter intensity slider
+        const intensityControl = document.createElement('div');
+        intensityControl.className = 'accessibility-control';
+        const intensityLabel = document.createElement('label');
+        intensityLabel.className = 'accessibility-control-label';
+        intensityLabel.id = 'accessibility-filter-intensity-label';
+        intensityLabel.textContent = 'Filter Intensity: ' + currentState.colorBlindnessIntensity + '%';
+        const intensitySlider = document.createElement('input');
+        intensitySlider.type = 'range';
+        intensitySlider.min = '0';
+        intensitySlider.max = '100';
+        intensitySlider.step = '10';
+        intensitySlider.value = currentState.colorBlindnessIntensity;
+        intensitySlider.className = 'accessibility-speed-slider';
+        intensitySlider.setAttribute('aria-label', 'Filter Intensity');
+        intensitySlider.setAttribute('aria-valuetext', currentState.colorBlindnessIntensity + '%');
+        intensitySlider.oninput = function() {
+            currentState.colorBlindnessIntensity = parseInt(this.value, 10);
+            applySettings();
+        };
+        intensitySlider.onchange = function() {
+            announceToScreenReader('Filter intensity ' + currentState.colorBlindnessIntensity + '%');
+        };
+        intensityControl.appendChild(intensityLabel);
+        intensityControl.appendChild(intensitySlider);
+
         colorSection.appendChild(colorBlindnessControl);
+        colorSection.appendChild(colorFilterModeControl);
+        colorSection.appendChild(intensityControl);
+        colorSection.appendChild(createCustomColorControl());
 
         // Reading & Navigation Section
         const readingSection = document.createElement('div');
@@ -1793,19 +4199,18 @@
             const languages = ttsManager.getAvailableLanguages();
             ttsLanguageOptions = languages.map(lang => ({
                 value: lang.code,
-                label: lang.name
+                label: lang.name,
+                lang: lang.code,
+                dir: lang.rtl ? 'rtl' : 'ltr'
+            }));
+        } else if (window.TTS_LANGUAGES) {
+            // TTS Manager not ready yet - every language tts.js knows, the list follows the voices once it is
+            ttsLanguageOptions = Object.keys(window.TTS_LANGUAGES).map(code => ({
+                value: code,
+                label: window.TTS_LANGUAGES[code].name,
+                lang: code,
+                dir: window.TTS_LANGUAGES[code].rtl ? 'rtl' : 'ltr'
             }));
-        } else {
-            // Fallback options if TTS Manager not available
-            ttsLanguageOptions = [
-                { value: 'en', label: 'English' },
-                { value: 'es', label: 'Español' },
-                { value: 'de', label: 'Deutsch' },
-                { value: 'fr', label: 'Français' },
-                { value: 'zh', label: '中文 (Mandarin)' },
-                { value: 'ko', label: '한국어' },
-                { value: 'no', label: 'Norsk' }
-            ];
         }
         
         const ttsLanguageControl = createControl('TTS Language', 'ttsLanguage', ttsLanguageOptions, currentState.ttsLanguage || 'en');
@@ -1814,12 +4219,43 @@
             currentState.ttsLanguage = this.value;
             if (ttsManager) {
                 ttsManager.setLanguage(this.value);
+                // A region of another language would filter out every voice
+                if (currentState.ttsVoiceLocale && ttsManager.resolveLanguage(currentState.ttsVoiceLocale) !== this.value) {
+                    currentState.ttsVoiceLocale = '';
+                }
             }
             savePreferences();
+            emitSettingChanges();
             // Update voice dropdown for selected language
             updateVoiceDropdown();
         };
         readingSection.appendChild(ttsLanguageControl);
+        readingSection.appendChild(createToggleControl('Detect Language per Paragraph', 'ttsAutoLanguage', currentState.ttsAutoLanguage));
+
+        // Voice filters - narrow down the voice menu below
+        const createVoiceFilterControl = (label, settingKey, options) => {
+            const control = createControl(label, settingKey, options, currentState[settingKey]);
+            const select = control.querySelector('select');
+            select.onchange = function() {
+                currentState[settingKey] = this.value;
+                savePreferences();
+                emitSettingChanges();
+                updateVoiceDropdown();
+                announceToScreenReader(label + ' changed to ' + this.options[this.selectedIndex].text);
+            };
+            return control;
+        };
+        readingSection.appendChild(createVoiceFilterControl('Voice Gender', 'ttsVoiceGender', [
+            { value: 'any', label: 'Any' },
+            { value: 'female', label: 'Female' },
+            { value: 'male', label: 'Male' }
+        ]));
+        readingSection.appendChild(createVoiceFilterControl('Voice Region', 'ttsVoiceLocale', getVoiceRegionOptions()));
+        readingSection.appendChild(createVoiceFilterControl('Voice Source', 'ttsVoiceService', [
+            { value: 'any', label: 'Any' },
+            { value: 'local', label: 'On This Device' },
+            { value: 'network', label: 'Online' }
+        ]));
 
         // TTS Voice selection
         // Load voices multiple times to ensure they're available
@@ -1834,19 +4270,11 @@
         
         // Update voice options when voices are loaded
         const updateVoiceOptions = () => {
-            const currentValue = ttsVoiceSelect.value;
             const options = getVoiceOptions();
             console.log('Updating voice options, found', options.length, 'options');
-            ttsVoiceSelect.innerHTML = '';
-            options.forEach(option => {
-                const optionEl = document.createElement('option');
-                optionEl.value = option.value;
-                optionEl.textContent = option.label;
-                if (option.value === currentValue) {
-                    optionEl.selected = true;
-                }
-                ttsVoiceSelect.appendChild(optionEl);
-            });
+            fillVoiceSelect(ttsVoiceSelect, options);
+            updateVoiceRegionSelect();
+            updateVoiceActions();
             // If no voices found, show a message
             if (options.length === 1 && options[0].value === '') {
                 console.warn('No voices available for voice dropdown');
@@ -1903,8 +4331,12 @@
                 const success = ttsManager.setVoice(this.value);
                 console.log('TTS Manager setVoice result:', success);
             }
+            // Each voice keeps the speed and pitch it was last used with
+            restoreVoiceSettings(this.value);
+            updateVoiceActions();
             
             savePreferences();
+            emitSettingChanges();
             
             // Test the voice immediately if TTS is enabled
             if (currentState.ttsEnabled && this.value) {
@@ -1950,6 +4382,40 @@
         
         readingSection.appendChild(ttsVoiceControl);
 
+        // Preview and favorite the voice
+        const voiceActions = document.createElement('div');
+        voiceActions.className = 'accessibility-voice-actions';
+        voiceActions.setAttribute('role', 'group');
+        voiceActions.setAttribute('aria-label', 'Voice actions');
+
+        const previewVoiceBtn = document.createElement('button');
+        previewVoiceBtn.className = 'accessibility-voice-action';
+        previewVoiceBtn.setAttribute('type', 'button');
+        previewVoiceBtn.setAttribute('aria-label', 'Preview voice');
+        previewVoiceBtn.innerHTML = '<i class="bx bx-play-circle"></i> <span>Preview</span>';
+        previewVoiceBtn.onclick = function(e) {
+            e.preventDefault();
+            e.stopPropagation();
+            previewVoice().catch(err => {
+                console.warn('Voice preview failed:', err);
+            });
+        };
+        voiceActions.appendChild(previewVoiceBtn);
+
+        const favoriteVoiceBtn = document.createElement('button');
+        favoriteVoiceBtn.id = 'accessibility-favorite-voice-btn';
+        favoriteVoiceBtn.className = 'accessibility-voice-action';
+        favoriteVoiceBtn.setAttribute('type', 'button');
+        favoriteVoiceBtn.setAttribute('aria-label', 'Favorite voice');
+        favoriteVoiceBtn.onclick = function(e) {
+            e.preventDefault();
+            e.stopPropagation();
+            const favorite = toggleFavoriteVoice();
+            announceToScreenReader(getActiveVoiceName() + (favorite ? ' added to' : ' removed from') + ' favorite voices');
+        };
+        voiceActions.appendChild(favoriteVoiceBtn);
+        readingSection.appendChild(voiceActions);
+
         // TTS Speed control
         const ttsSpeedControl = document.createElement('div');
         ttsSpeedControl.className = 'accessibility-control';
@@ -1967,19 +4433,63 @@
         speedSlider.oninput = function() {
             currentState.ttsRate = parseFloat(this.value);
             speedLabel.textContent = 'TTS Speed: ' + (currentState.ttsRate * 100).toFixed(0) + '%';
+            rememberVoiceSettings();
             savePreferences();
-            // Update current utterance if speaking
-            if (isSpeaking && currentUtterance) {
-                speechSynthesis.cancel();
-                const text = currentUtterance.text;
-                const sourceElement = currentUtterance.sourceElement;
-                setTimeout(() => speakText(text, sourceElement), 100);
-            }
+            emitSettingChanges();
+            updateTTSPlayer();
+            // Update current speech if speaking
+            applyLiveTTSRate();
         };
         ttsSpeedControl.appendChild(speedLabel);
         ttsSpeedControl.appendChild(speedSlider);
         readingSection.appendChild(ttsSpeedControl);
 
+        // TTS Pitch control
+        const ttsPitchControl = document.createElement('div');
+        ttsPitchControl.className = 'accessibility-control';
+        const pitchLabel = document.createElement('label');
+        pitchLabel.className = 'accessibility-control-label';
+        pitchLabel.textContent = 'TTS Pitch: ' + (currentState.ttsPitch * 100).toFixed(0) + '%';
+        const pitchSlider = document.createElement('input');
+        pitchSlider.type = 'range';
+        pitchSlider.min = '0';
+        pitchSlider.max = '2.0';
+        pitchSlider.step = '0.1';
+        pitchSlider.value = currentState.ttsPitch;
+        pitchSlider.className = 'accessibility-speed-slider';
+        pitchSlider.setAttribute('aria-label', 'TTS Pitch');
+        pitchSlider.oninput = function() {
+            currentState.ttsPitch = parseFloat(this.value);
+            pitchLabel.textContent = 'TTS Pitch: ' + (currentState.ttsPitch * 100).toFixed(0) + '%';
+            rememberVoiceSettings();
+            savePreferences();
+            emitSettingChanges();
+            // Update current speech if speaking
+            applyLiveTTSRate();
+        };
+        ttsPitchControl.appendChild(pitchLabel);
+        ttsPitchControl.appendChild(pitchSlider);
+        readingSection.appendChild(ttsPitchControl);
+
+        // How much text follows the voice
+        const ttsHighlightControl = createControl('TTS Highlight', 'ttsHighlightGranularity', [
+            { value: 'word', label: 'Word by Word' },
+            { value: 'sentence', label: 'Whole Sentence' }
+        ], currentState.ttsHighlightGranularity);
+        readingSection.appendChild(ttsHighlightControl);
+
+        // Speak on hover / focus
+        readingSection.appendChild(createToggleControl('Speak on Hover', 'ttsHoverSpeak', currentState.ttsHoverSpeak));
+        const hoverDelayControl = createControl('Hover Delay', 'ttsHoverDelay', [
+            { value: 300, label: 'Short (0.3s)' },
+            { value: 600, label: 'Medium (0.6s)' },
+            { value: 1000, label: 'Long (1s)' },
+            { value: 1500, label: 'Very Long (1.5s)' }
+        ], currentState.ttsHoverDelay);
+        readingSection.appendChild(hoverDelayControl);
+        readingSection.appendChild(createToggleControl('Speak on Focus', 'ttsFocusSpeak', currentState.ttsFocusSpeak));
+        readingSection.appendChild(createToggleControl('Announce Roles (Link, Button, Heading)', 'ttsAnnounceRoles', currentState.ttsAnnounceRoles));
+
         // TTS button
         const ttsBtn = document.createElement('button');
         ttsBtn.id = 'accessibility-tts-btn';
@@ -2014,34 +4524,55 @@
                     ? container.parentElement 
                     : container;
                 
+                // Read the selection's accessible text: form fields, image alt text, no hidden content
+                const spokenText = getSpeechText(range) || text;
+
                 // Enable TTS temporarily for this action
                 const wasEnabled = currentState.ttsEnabled;
                 currentState.ttsEnabled = true;
-                speakText(text, element);
+                speakText(spokenText, element, { range: range });
                 
                 // Restore previous state
                 currentState.ttsEnabled = wasEnabled;
-            } else {
-                // Read page content - get visible text
-                const bodyText = document.body.innerText || document.body.textContent || '';
-                const textToRead = bodyText.substring(0, 5000).trim();
-                console.log('Reading page content:', textToRead ? textToRead.substring(0, 50) + '...' : 'No content found');
-                
-                if (textToRead) {
-                    // Enable TTS temporarily for this action
-                    const wasEnabled = currentState.ttsEnabled;
-                    currentState.ttsEnabled = true;
-                    speakText(textToRead, document.body);
-                    
-                    // Restore previous state
-                    currentState.ttsEnabled = wasEnabled;
-                } else {
-                    alert('No text found to read. Please select some text on the page first.');
-                }
+            } else if (!readPage()) { // Nothing selected: read the page content
+                alert('No text found to read. Please select some text on the page first.');
             }
         };
         readingSection.appendChild(ttsBtn);
 
+        // Read page button
+        const readPageBtn = document.createElement('button');
+        readPageBtn.id = 'accessibility-read-page-btn';
+        readPageBtn.className = 'accessibility-btn accessibility-read-page-btn';
+        readPageBtn.setAttribute('type', 'button');
+        readPageBtn.onclick = function(e) {
+            e.preventDefault();
+            e.stopPropagation();
+            if (readPageActive) {
+                stopSpeaking();
+            } else if (!readPage()) {
+                announceToScreenReader('No readable content found on this page');
+            }
+        };
+        readingSection.appendChild(readPageBtn);
+        readingSection.appendChild(createReadPageControls());
+        updateReadPageControls();
+
+        // Download as audio button (engines that make audio files, see ttsEngine)
+        const downloadAudioBtn = document.createElement('button');
+        downloadAudioBtn.id = 'accessibility-download-audio-btn';
+        downloadAudioBtn.className = 'accessibility-btn accessibility-download-audio-btn';
+        downloadAudioBtn.setAttribute('type', 'button');
+        downloadAudioBtn.onclick = function(e) {
+            e.preventDefault();
+            e.stopPropagation();
+            if (!cancelAudioDownload()) {
+                downloadAudio();
+            }
+        };
+        readingSection.appendChild(downloadAudioBtn);
+        updateDownloadAudioButton();
+
         // Reading guide toggle
         const readingGuideToggle = createToggleControl('Reading Guide', 'readingGuide', currentState.readingGuide);
         readingSection.appendChild(readingGuideToggle);
@@ -2057,6 +4588,11 @@
         // Braille toggle
         const brailleToggle = createToggleControl('Braille Conversion', 'brailleEnabled', currentState.brailleEnabled);
         readingSection.appendChild(brailleToggle);
+        const brailleGradeControl = createControl('Braille Grade', 'brailleGrade', [
+            { value: 2, label: 'Grade 2 (Contracted)' },
+            { value: 1, label: 'Grade 1 (Uncontracted)' }
+        ], currentState.brailleGrade);
+        readingSection.appendChild(brailleGradeControl);
 
         // Language Selector
         const languageSelectorControl = document.createElement('div');
@@ -2182,6 +4718,7 @@
                 console.log('Looking up word:', word);
                 const result = await window.dictionaryManager.lookupWord(word);
                 console.log('Dictionary result:', result);
+                emitEvent('dictionarylookup', { word: word, result: result || null });
                 
                 if (result && result.word) {
                     showDictionaryModal(result);
@@ -2190,6 +4727,7 @@
                 }
             } catch (error) {
                 console.error('Dictionary lookup error:', error);
+                emitEvent('dictionarylookup', { word: word, result: null, error: error });
                 const errorMsg = error.message || 'Unknown error';
                 alert('Error looking up word: ' + errorMsg + '. Please check your internet connection and try again.');
             } finally {
@@ -2285,6 +4823,7 @@
         featuresSection.appendChild(showImageAltToggle);
 
         // Add sections to content
+        content.appendChild(createProfileSection());
         content.appendChild(textSection);
         content.appendChild(colorSection);
         content.appendChild(readingSection);
@@ -2331,6 +4870,261 @@
         }
     }
 
+    // Create the font size slider with -/+ buttons
+    function createFontSizeControl() {
+        const control = document.createElement('div');
+        control.className = 'accessibility-control accessibility-font-size-control';
+
+        const label = document.createElement('label');
+        label.className = 'accessibility-control-label';
+        label.id = 'accessibility-font-size-label';
+        label.textContent = 'Font Size: ' + currentState.fontSize + '%';
+
+        const row = document.createElement('div');
+        row.className = 'accessibility-font-size-row';
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = String(settingsSchema.fontSize.min);
+        slider.max = String(settingsSchema.fontSize.max);
+        slider.step = '5';
+        slider.value = currentState.fontSize;
+        slider.className = 'accessibility-speed-slider accessibility-font-size-slider';
+        slider.setAttribute('aria-label', 'Font Size');
+        slider.setAttribute('aria-valuetext', currentState.fontSize + '%');
+
+        const setFontSize = function(value) {
+            const size = Math.max(settingsSchema.fontSize.min, Math.min(settingsSchema.fontSize.max, value));
+            if (size === currentState.fontSize) return;
+            currentState.fontSize = size;
+            applySettings();
+        };
+
+        slider.oninput = function() {
+            setFontSize(parseInt(this.value, 10));
+        };
+        slider.onchange = function() {
+            announceToScreenReader('Font size ' + currentState.fontSize + '%');
+        };
+        // +/- as well as the arrow keys the range input already supports
+        slider.addEventListener('keydown', function(e) {
+            if (e.key === '+' || e.key === '=') {
+                e.preventDefault();
+                setFontSize(currentState.fontSize + 10);
+                announceToScreenReader('Font size ' + currentState.fontSize + '%');
+            } else if (e.key === '-' || e.key === '_') {
+                e.preventDefault();
+                setFontSize(currentState.fontSize - 10);
+                announceToScreenReader('Font size ' + currentState.fontSize + '%');
+            }
+        });
+
+        const createStepButton = function(text, ariaLabel, delta) {
+            const btn = document.createElement('button');
+            btn.className = 'accessibility-font-size-btn';
+            btn.setAttribute('type', 'button');
+            btn.setAttribute('tabindex', '0');
+            btn.setAttribute('aria-label', ariaLabel);
+            btn.textContent = text;
+            btn.onclick = function(e) {
+                e.preventDefault();
+                e.stopPropagation();
+                setFontSize(currentState.fontSize + delta);
+                announceToScreenReader('Font size ' + currentState.fontSize + '%');
+            };
+            return btn;
+        };
+
+        row.appendChild(createStepButton('A-', 'Decrease font size', -10));
+        row.appendChild(slider);
+        row.appendChild(createStepButton('A+', 'Increase font size', 10));
+        control.appendChild(label);
+        control.appendChild(row);
+        return control;
+    }
+
+    // Create the custom color editor (toggle, presets, pickers and a live contrast readout)
+    function createCustomColorControl() {
+        const control = document.createElement('div');
+        control.className = 'accessibility-custom-colors';
+
+        const toggle = createToggleControl('Use Custom Colors', 'customColorsEnabled', currentState.customColorsEnabled);
+        control.appendChild(toggle);
+
+        const setColors = function(colors) {
+            currentState.customColors = { ...getCustomColors(), ...colors };
+            currentState.customColorsEnabled = true;
+            applySettings();
+        };
+
+        const presets = document.createElement('div');
+        presets.className = 'accessibility-color-presets';
+        presets.setAttribute('role', 'group');
+        presets.setAttribute('aria-label', 'Color presets');
+        customColorPresets.forEach(preset => {
+            const btn = document.createElement('button');
+            btn.className = 'accessibility-color-preset-btn';
+            btn.setAttribute('type', 'button');
+            btn.setAttribute('tabindex', '0');
+            btn.style.background = preset.colors.background;
+            btn.style.color = preset.colors.text;
+            btn.textContent = preset.name;
+            btn.onclick = function(e) {
+                e.preventDefault();
+                e.stopPropagation();
+                setColors(preset.colors);
+                announceToScreenReader('Custom colors set to ' + preset.name);
+            };
+            presets.appendChild(btn);
+        });
+        control.appendChild(presets);
+
+        const labels = {
+            text: 'Text Color',
+            background: 'Background Color',
+            link: 'Link Color',
+            heading: 'Heading Color',
+            focus: 'Focus Outline Color'
+        };
+        const grid = document.createElement('div');
+        grid.className = 'accessibility-color-grid';
+        CUSTOM_COLOR_ROLES.forEach(role => {
+            const id = 'accessibility-color-' + role;
+            const label = document.createElement('label');
+            label.className = 'accessibility-control-label';
+            label.setAttribute('for', id);
+            label.textContent = labels[role];
+
+            const input = document.createElement('input');
+            input.type = 'color';
+            input.id = id;
+            input.className = 'accessibility-color-input';
+            input.value = getCustomColors()[role];
+            input.dataset.colorRole = role;
+            input.oninput = function() {
+                setColors({ [role]: this.value });
+            };
+            input.onchange = function() {
+                const failing = getCustomColorReport(getCustomColors()).filter(check => !check.passes);
+                announceToScreenReader(labels[role] + ' changed' +
+                    (failing.length ? '. Warning: ' + failing.map(check => check.label.toLowerCase()).join(', ') + ' below the required contrast' : ''));
+            };
+
+            grid.appendChild(label);
+            grid.appendChild(input);
+        });
+        control.appendChild(grid);
+
+        const readout = document.createElement('ul');
+        readout.className = 'accessibility-contrast-readout';
+        readout.setAttribute('aria-label', 'Contrast check');
+        control.appendChild(readout);
+        renderContrastReadout(readout);
+
+        return control;
+    }
+
+    // (Re)build the contrast readout for the current custom colors
+    function renderContrastReadout(readout) {
+        readout.innerHTML = '';
+        getCustomColorReport(getCustomColors()).forEach(check => {
+            const item = document.createElement('li');
+            item.className = check.passes ? 'accessibility-contrast-pass' : 'accessibility-contrast-fail';
+            let verdict = 'fails (needs ' + check.required + ':1)';
+            if (check.passes) {
+                verdict = check.enhanced && check.ratio >= check.enhanced ? 'passes AAA' : 'passes AA';
+            }
+            item.innerHTML = '<i class="bx ' + (check.passes ? 'bx-check' : 'bx-error') + '" aria-hidden="true"></i> <span></span>';
+            item.querySelector('span').textContent = check.label + ': ' + check.ratio.toFixed(1) + ':1, ' + verdict;
+            readout.appendChild(item);
+        });
+    }
+
+    // Create the profile picker section
+    function createProfileSection() {
+        const section = document.createElement('div');
+        section.className = 'accessibility-section accessibility-profiles-section';
+        section.innerHTML = '<h4 class="accessibility-section-title" id="accessibility-profiles-title">Profiles</h4>';
+
+        const list = document.createElement('div');
+        list.className = 'accessibility-profile-list';
+        list.setAttribute('role', 'group');
+        list.setAttribute('aria-labelledby', 'accessibility-profiles-title');
+        section.appendChild(list);
+
+        const saveBtn = document.createElement('button');
+        saveBtn.className = 'accessibility-btn accessibility-profile-save-btn';
+        saveBtn.innerHTML = '<i class="bx bx-save" aria-hidden="true"></i> <span>Save Current as Profile</span>';
+        saveBtn.setAttribute('type', 'button');
+        saveBtn.setAttribute('tabindex', '0');
+        saveBtn.onclick = function(e) {
+            e.preventDefault();
+            e.stopPropagation();
+            const name = prompt('Name for this profile:');
+            if (!name || !name.trim()) return;
+            const existing = (currentState.userProfiles || {})[getUserProfileId(name)];
+            if (existing && !confirm('Replace the profile "' + existing.name + '"?')) return;
+            try {
+                saveProfile(name, { replace: !!existing });
+                announceToScreenReader('Profile ' + name.trim() + ' saved');
+            } catch (error) {
+                console.error('Failed to save profile:', error);
+                alert(error.message);
+            }
+        };
+        section.appendChild(saveBtn);
+
+        renderProfileButtons(list);
+        return section;
+    }
+
+    // (Re)build the profile buttons, marking the ones whose settings are all in effect
+    function renderProfileButtons(list) {
+        const profiles = getProfiles();
+        list.innerHTML = '';
+
+        Object.keys(profiles).forEach(id => {
+            const profile = profiles[id];
+            const item = document.createElement('div');
+            item.className = 'accessibility-profile-item';
+
+            const btn = document.createElement('button');
+            btn.className = 'accessibility-profile-btn';
+            btn.setAttribute('type', 'button');
+            btn.setAttribute('tabindex', '0');
+            btn.setAttribute('aria-pressed', isProfileActive(profile).toString());
+            btn.dataset.profileId = id;
+            btn.innerHTML = '<i class="bx ' + profile.icon + '" aria-hidden="true"></i> <span></span>';
+            btn.querySelector('span').textContent = profile.name;
+            btn.onclick = function(e) {
+                e.preventDefault();
+                e.stopPropagation();
+                applyProfile(id);
+            };
+            item.appendChild(btn);
+
+            if (profile.source === 'user') {
+                const deleteBtn = document.createElement('button');
+                deleteBtn.className = 'accessibility-profile-delete-btn';
+                deleteBtn.setAttribute('type', 'button');
+                deleteBtn.setAttribute('tabindex', '0');
+                deleteBtn.setAttribute('aria-label', 'Delete profile ' + profile.name);
+                deleteBtn.innerHTML = '<i class="bx bx-trash" aria-hidden="true"></i>';
+                deleteBtn.onclick = function(e) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    if (confirm('Delete the profile "' + profile.name + '"?')) {
+                        deleteProfile(id);
+                        announceToScreenReader('Profile ' + profile.name + ' deleted');
+                    }
+                };
+                item.appendChild(deleteBtn);
+            }
+
+            list.appendChild(item);
+        });
+    }
+
     // Create a control element
     function createControl(label, settingKey, options, currentValue) {
         const control = document.createElement('div');
@@ -2349,6 +5143,13 @@
             const optionEl = document.createElement('option');
             optionEl.value = option.value;
             optionEl.textContent = option.label;
+            // Labels in another language or script (e.g. right-to-left language names)
+            if (option.lang) {
+                optionEl.lang = option.lang;
+            }
+            if (option.dir) {
+                optionEl.dir = option.dir;
+            }
             if (option.value === currentValue) {
                 optionEl.selected = true;
             }
@@ -2358,7 +5159,7 @@
         select.onchange = function() {
             const value = this.value;
             // Convert to number if it's a numeric string
-            currentState[settingKey] = isNaN(value) ? value : parseInt(value);
+            currentState[settingKey] = isNaN(value) ? value : parseFloat(value);
             applySettings();
             // Announce change to screen readers
             const selectedOption = this.options[this.selectedIndex];
@@ -2382,13 +5183,22 @@
             const settingKey = select.getAttribute('aria-label').toLowerCase().replace(/\s+/g, '');
             const keyMap = {
                 'fontsize': 'fontSize',
+                'minimumtextsize': 'fontSizeMinimum',
                 'contrast': 'contrast',
+                'contrasttarget': 'contrastTarget',
                 'lineheight': 'lineHeight',
                 'letterspacing': 'letterSpacing',
                 'fontfamily': 'fontFamily',
                 'colorblindnessfilter': 'colorBlindness',
+                'colorfiltermode': 'colorBlindnessMode',
                 'ttsvoice': 'ttsVoice',
-                'ttslanguage': 'ttsLanguage'
+                'ttslanguage': 'ttsLanguage',
+                'ttshighlight': 'ttsHighlightGranularity',
+                'hoverdelay': 'ttsHoverDelay',
+                'voicegender': 'ttsVoiceGender',
+                'voiceregion': 'ttsVoiceLocale',
+                'voicesource': 'ttsVoiceService',
+                'braillegrade': 'brailleGrade'
             };
             const key = keyMap[settingKey] || settingKey;
             if (currentState[key] !== undefined) {
@@ -2396,6 +5206,79 @@
             }
         });
         
+        // Achromatopsia has nothing to correct, it only has a simulation
+        const achromatopsiaOption = panel.querySelector('select[aria-label="Color Blindness Filter"] option[value="achromatopsia"]');
+        if (achromatopsiaOption) {
+            const simulateOnly = currentState.colorBlindnessMode !== 'simulate';
+            achromatopsiaOption.disabled = simulateOnly && currentState.colorBlindness !== 'achromatopsia';
+            achromatopsiaOption.textContent = 'Achromatopsia (Total Color Blind)' + (simulateOnly ? ' - Simulate mode only' : '');
+        }
+
+        // Update profile picker (user profiles may have changed, and any setting can (de)activate a profile)
+        const profileList = panel.querySelector('.accessibility-profile-list');
+        if (profileList) {
+            const focusedId = document.activeElement && document.activeElement.dataset
+                ? document.activeElement.dataset.profileId
+                : null;
+            renderProfileButtons(profileList);
+            if (focusedId) {
+                const focusedBtn = profileList.querySelector('[data-profile-id="' + focusedId + '"]');
+                if (focusedBtn) focusedBtn.focus();
+            }
+        }
+
+        // Update font size slider
+        const fontSizeSlider = panel.querySelector('input[aria-label="Font Size"]');
+        if (fontSizeSlider) {
+            fontSizeSlider.value = currentState.fontSize;
+            fontSizeSlider.setAttribute('aria-valuetext', currentState.fontSize + '%');
+            const fontSizeLabel = panel.querySelector('#accessibility-font-size-label');
+            if (fontSizeLabel) {
+                fontSizeLabel.textContent = 'Font Size: ' + currentState.fontSize + '%';
+            }
+        }
+
+        // Update custom color pickers and their contrast readout
+        const customColors = getCustomColors();
+        panel.querySelectorAll('.accessibility-color-input').forEach(input => {
+            if (input !== document.activeElement) {
+                input.value = customColors[input.dataset.colorRole];
+            }
+        });
+        const contrastReadout = panel.querySelector('.accessibility-contrast-readout');
+        if (contrastReadout) {
+            renderContrastReadout(contrastReadout);
+        }
+
+        // Update color filter intensity slider
+        const intensitySlider = panel.querySelector('input[aria-label="Filter Intensity"]');
+        if (intensitySlider) {
+            intensitySlider.value = currentState.colorBlindnessIntensity;
+            intensitySlider.setAttribute('aria-valuetext', currentState.colorBlindnessIntensity + '%');
+            const intensityLabel = panel.querySelector('#accessibility-filter-intensity-label');
+            if (intensityLabel) {
+                intensityLabel.textContent = 'Filter Intensity: ' + currentState.colorBlindnessIntensity + '%';
+            }
+        }
+
+        // Update TTS speed slider (preferences can arrive after the panel is built)
+        const speedSlider = panel.querySelector('input[aria-label="TTS Speed"]');
+        if (speedSlider && parseFloat(speedSlider.value) !== currentState.ttsRate) {
+            speedSlider.value = currentState.ttsRate;
+            const speedLabel = speedSlider.parentNode.querySelector('.accessibility-control-label');
+            if (speedLabel) {
+                speedLabel.textContent = 'TTS Speed: ' + (currentState.ttsRate * 100).toFixed(0) + '%';
+            }
+        }
+        const pitchSlider = panel.querySelector('input[aria-label="TTS Pitch"]');
+        if (pitchSlider && parseFloat(pitchSlider.value) !== currentState.ttsPitch) {
+            pitchSlider.value = currentState.ttsPitch;
+            const pitchLabel = pitchSlider.parentNode.querySelector('.accessibility-control-label');
+            if (pitchLabel) {
+                pitchLabel.textContent = 'TTS Pitch: ' + (currentState.ttsPitch * 100).toFixed(0) + '%';
+            }
+        }
+
         // Update language dropdown if TTS Manager is available
         if (ttsManager && ttsManager.isAvailable()) {
             updateLanguageDropdown();
@@ -2406,19 +5289,17 @@
         if (ttsVoiceSelect && availableVoices.length === 0) {
             loadVoices();
             // Update voice options
-            const currentValue = ttsVoiceSelect.value;
-            const options = getVoiceOptions();
-            ttsVoiceSelect.innerHTML = '';
-            options.forEach(option => {
-                const optionEl = document.createElement('option');
-                optionEl.value = option.value;
-                optionEl.textContent = option.label;
-                if (option.value === currentValue) {
-                    optionEl.selected = true;
-                }
-                ttsVoiceSelect.appendChild(optionEl);
-            });
+            fillVoiceSelect(ttsVoiceSelect, getVoiceOptions());
+        }
+
+        // Rebuild the voice menu when its filters or favorites changed (setSettings, profiles, reset)
+        const voiceMenuKey = JSON.stringify([currentState.ttsLanguage, currentState.ttsVoiceGender,
+            currentState.ttsVoiceLocale, currentState.ttsVoiceService, currentState.ttsFavoriteVoices]);
+        if (ttsVoiceSelect && voiceMenuKey !== lastVoiceMenuKey) {
+            lastVoiceMenuKey = voiceMenuKey;
+            updateVoiceDropdown();
         }
+        updateVoiceActions();
 
         // Update toggles
         const toggles = panel.querySelectorAll('.accessibility-toggle-checkbox');
@@ -2444,6 +5325,7 @@
                     'stopanimations': 'stopAnimations',
                     'underlinealllinks': 'underlineLinks',
                     'showimagedescriptions': 'showImageAlt',
+                    'dimimagesindarkmode': 'darkModeDimMedia',
                     'quickdarkmode': 'darkMode'
                 };
                 const key = keyMap[label] || label;
@@ -2503,6 +5385,7 @@
                     : 'left: 20px !important; right: auto !important;';
                 
                 panel.style.cssText = `display: block !important; opacity: 1 !important; visibility: visible !important; transform: translateY(0) !important; position: fixed !important; z-index: 10001 !important; bottom: 70px !important; width: 260px !important; max-width: calc(100vw - 40px) !important; background: #ffffff !important; border-radius: 8px !important; box-shadow: 0 8px 32px rgba(0, 0, 0, 0.2) !important; overflow: hidden !important; ${positionStyle}`;
+                emitEvent('panelopen', { panel: panel });
                 
                 // Focus management - WCAG 2.4.3 Focus Order
                 setTimeout(() => {
@@ -2580,6 +5463,7 @@
                 
                 // Announce to screen readers
                 announceToScreenReader('Accessibility options panel closed');
+                emitEvent('panelclose', { panel: panel });
                 
                 // Remove click-outside handler if it exists
                 if (panel._clickOutsideHandler) {
@@ -2619,13 +5503,21 @@
 
     // Reset to default settings
     function resetSettings() {
+        appliedProfileId = null;
         currentState = {
             fontSize: defaultSettings.fontSize,
+            fontSizeMinimum: defaultSettings.fontSizeMinimum,
             contrast: defaultSettings.contrast,
+            contrastTarget: defaultSettings.contrastTarget,
+            darkModeDimMedia: defaultSettings.darkModeDimMedia,
+            customColorsEnabled: defaultSettings.customColorsEnabled,
+            customColors: { ...defaultSettings.customColors },
             lineHeight: defaultSettings.lineHeight,
             letterSpacing: defaultSettings.letterSpacing,
             fontFamily: defaultSettings.fontFamily,
             colorBlindness: defaultSettings.colorBlindness,
+            colorBlindnessMode: defaultSettings.colorBlindnessMode,
+            colorBlindnessIntensity: defaultSettings.colorBlindnessIntensity,
             focusIndicator: defaultSettings.focusIndicator,
             readingGuide: defaultSettings.readingGuide,
             stopAnimations: defaultSettings.stopAnimations,
@@ -2635,9 +5527,23 @@
             ttsRate: defaultSettings.ttsRate,
             ttsPitch: defaultSettings.ttsPitch,
             ttsVolume: defaultSettings.ttsVolume,
+            ttsHighlightGranularity: defaultSettings.ttsHighlightGranularity,
+            ttsHoverSpeak: defaultSettings.ttsHoverSpeak,
+            ttsFocusSpeak: defaultSettings.ttsFocusSpeak,
+            ttsHoverDelay: defaultSettings.ttsHoverDelay,
+            ttsAnnounceRoles: defaultSettings.ttsAnnounceRoles,
             ttsVoice: defaultSettings.ttsVoice,
+            ttsAutoLanguage: defaultSettings.ttsAutoLanguage,
+            ttsVoiceGender: defaultSettings.ttsVoiceGender,
+            ttsVoiceLocale: defaultSettings.ttsVoiceLocale,
+            ttsVoiceService: defaultSettings.ttsVoiceService,
+            ttsVoiceSettings: {},
             readingMask: defaultSettings.readingMask,
-            textHighlight: defaultSettings.textHighlight
+            textHighlight: defaultSettings.textHighlight,
+            brailleGrade: defaultSettings.brailleGrade,
+            // Saved profiles and favorite voices are the user's own data, not display settings
+            ttsFavoriteVoices: currentState.ttsFavoriteVoices,
+            userProfiles: currentState.userProfiles
         };
         stopSpeaking();
         disableReadingGuide();
@@ -2680,9 +5586,10 @@
         console.log('Speech Synthesis API available:', 'speechSynthesis' in window);
         
         initTTS();
-        loadPreferences();
         createWidget();
         applySettings();
+        // Remote adapters may take a while, the widget works with defaults until they arrive
+        loadPreferences();
 
         // Handle text selection for TTS
         document.addEventListener('mouseup', function() {
@@ -2859,21 +5766,48 @@
         reset: resetSettings,
         getSettings: function() { return { ...currentState }; },
         setFontSize: function(size) {
-            currentState.fontSize = size;
-            applySettings();
+            updateSettings({ fontSize: size });
         },
         setContrast: function(contrast) {
-            currentState.contrast = contrast;
-            applySettings();
+            updateSettings({ contrast: contrast });
         },
         setColorBlindness: function(type) {
-            currentState.colorBlindness = type;
-            applySettings();
+            updateSettings({ colorBlindness: type });
+        },
+        setSetting: function(key, value) {
+            updateSettings({ [key]: value });
+        },
+        setSettings: updateSettings,
+        getSettingsSchema: function() {
+            return JSON.parse(JSON.stringify(settingsSchema, (key, value) => value instanceof RegExp ? value.source : value));
+        },
+        speak: function(textOrElement) {
+            speakText(textOrElement);
+        },
+        stopSpeaking: stopSpeaking,
+        readPage: readPage,
+        pauseReading: pauseSpeaking,
+        resumeReading: resumeSpeaking,
+        nextParagraph: nextReadPageParagraph,
+        previousParagraph: previousReadPageParagraph,
+        skipToHeading: skipReadPageHeading,
+        skipSentence: skipSentence,
+        getReadingState: getReadPageState,
+        downloadAudio: downloadAudio,
+        cancelAudioDownload: cancelAudioDownload,
+        previewVoice: previewVoice,
+        toggleFavoriteVoice: toggleFavoriteVoice,
+        on: function(eventName, handler) {
+            return subscribe(eventName, handler);
         },
-        speak: function(text) {
-            speakText(text);
+        once: function(eventName, handler) {
+            return subscribe(eventName, handler, { once: true });
         },
-        stopSpeaking: stopSpeaking
+        off: unsubscribe,
+        getProfiles: function() { return JSON.parse(JSON.stringify(getProfiles())); },
+        applyProfile: applyProfile,
+        saveProfile: saveProfile,
+        deleteProfile: deleteProfile
     };
 
 })();
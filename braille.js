@@ -1,77 +1,804 @@
 /**
  * Braille Conversion Module
  * Converts text to Braille characters (Unicode Braille patterns)
- * Supports English text to Braille conversion
+ * Translated from rule tables: Unified English Braille (uncontracted or contracted) and uncontracted German,
+ * French, Spanish and Norwegian built in, more from liblouis tables or the same tables as JSON.
+ * The table follows the lang attribute of the text, with a default table for everything else.
  */
 
 (function() {
     'use strict';
 
-    // Braille character mapping (Grade 1 Braille - letter by letter)
-    const BRAILLE_MAP = {
-        'a': '\u2801', 'b': '\u2803', 'c': '\u2809', 'd': '\u2819',
-        'e': '\u2811', 'f': '\u280b', 'g': '\u281b', 'h': '\u2813',
-        'i': '\u280a', 'j': '\u281a', 'k': '\u2805', 'l': '\u2807',
-        'm': '\u280d', 'n': '\u281d', 'o': '\u2815', 'p': '\u280f',
-        'q': '\u281f', 'r': '\u2809', 's': '\u281e', 't': '\u281e',
-        'u': '\u2825', 'v': '\u2827', 'w': '\u283a', 'x': '\u282d',
-        'y': '\u283d', 'z': '\u2835',
-        '1': '\u2801', '2': '\u2803', '3': '\u2809', '4': '\u2819',
-        '5': '\u2811', '6': '\u280b', '7': '\u281b', '8': '\u2813',
-        '9': '\u280a', '0': '\u281a',
-        '.': '\u2832', ',': '\u2802', ';': '\u2806', ':': '\u2812',
-        '!': '\u2816', '?': '\u2826', '-': '\u2824', '(': '\u2836',
-        ')': '\u2836', '/': '\u280c', ' ': '\u2800', '\n': '\n'
+    // Translation tables - this is also the JSON table format:
+    //   name, languages (lang attribute values the table is used for),
+    //   contracted (true when the table has contractions that are only used in grade 2),
+    //   indicators (capital, capitalWord, capitalPassage, capitalTerminator, number, grade1 - the sign
+    //   that stops letters after a number reading as digits), numberPunctuation, rules.
+    // Cells are written as in liblouis tables: the dot numbers of each cell ("125" is dots 1, 2 and 5),
+    // cells separated by "-". Rules are [opcode, text, dots]; the opcodes are liblouis's:
+    //   letter, digit, punctuation, sign - single characters, used in both grades
+    //   word - a whole word standing alone (wordsigns and shortforms)
+    //   lowword - a whole word standing alone that doesn't touch punctuation (lower wordsigns)
+    //   always - anywhere in a word
+    //   begword - at the start of a word, when the rest of the word is another syllable
+    //   midword - inside a word, not at either end
+    //   midendword - anywhere but the start of a word
+    //   endword - at the end of a word
+    //   begmidword - anywhere but the end of a word
+
+    const LATIN_LETTERS = [
+        ['letter', 'a', '1'], ['letter', 'b', '12'], ['letter', 'c', '14'], ['letter', 'd', '145'],
+        ['letter', 'e', '15'], ['letter', 'f', '124'], ['letter', 'g', '1245'], ['letter', 'h', '125'],
+        ['letter', 'i', '24'], ['letter', 'j', '245'], ['letter', 'k', '13'], ['letter', 'l', '123'],
+        ['letter', 'm', '134'], ['letter', 'n', '1345'], ['letter', 'o', '135'], ['letter', 'p', '1234'],
+        ['letter', 'q', '12345'], ['letter', 'r', '1235'], ['letter', 's', '234'], ['letter', 't', '2345'],
+        ['letter', 'u', '136'], ['letter', 'v', '1236'], ['letter', 'w', '2456'], ['letter', 'x', '1346'],
+        ['letter', 'y', '13456'], ['letter', 'z', '1356']
+    ];
+
+    // Digits written as the letters a-j after a number sign
+    const LETTER_DIGITS = [
+        ['digit', '1', '1'], ['digit', '2', '12'], ['digit', '3', '14'], ['digit', '4', '145'],
+        ['digit', '5', '15'], ['digit', '6', '124'], ['digit', '7', '1245'], ['digit', '8', '125'],
+        ['digit', '9', '24'], ['digit', '0', '245']
+    ];
+
+    // Unified English Braille
+    const UEB_TABLE = {
+        name: 'en-ueb',
+        languages: ['en'],
+        contracted: true,
+        indicators: {
+            capital: '6',
+            capitalWord: '6-6',
+            capitalPassage: '6-6-6',
+            capitalTerminator: '6-3',
+            number: '3456',
+            grade1: '56'
+        },
+        // Punctuation that stays in numeric mode when a digit follows (1,000.5 and 1/2)
+        numberPunctuation: { ',': '2', '.': '256', '/': '34' },
+        rules: LATIN_LETTERS.concat(LETTER_DIGITS, [
+            ['punctuation', ',', '2'], ['punctuation', '.', '256'], ['punctuation', '?', '236'],
+            ['punctuation', '!', '235'], ['punctuation', ';', '23'], ['punctuation', ':', '25'],
+            ['punctuation', '\'', '3'], ['punctuation', '’', '3'], ['punctuation', '‘', '6-236'],
+            ['punctuation', '“', '236'], ['punctuation', '”', '356'], ['punctuation', '-', '36'],
+            ['punctuation', '–', '6-36'], ['punctuation', '—', '5-6-36'], ['punctuation', '…', '256-256-256'],
+            ['punctuation', '(', '5-126'], ['punctuation', ')', '5-345'], ['punctuation', '[', '46-126'],
+            ['punctuation', ']', '46-345'], ['punctuation', '{', '456-126'], ['punctuation', '}', '456-345'],
+            ['punctuation', '/', '456-34'],
+
+            ['sign', '@', '4-1'], ['sign', '#', '456-1456'], ['sign', '$', '4-234'], ['sign', '%', '46-356'],
+            ['sign', '&', '4-12346'], ['sign', '*', '5-35'], ['sign', '+', '5-235'], ['sign', '=', '5-2356'],
+            ['sign', '<', '4-126'], ['sign', '>', '4-345'], ['sign', '\\', '456-16'], ['sign', '_', '46-36'],
+            ['sign', '~', '4-35'], ['sign', '^', '4-26'], ['sign', '|', '456-1256'], ['sign', '×', '5-236'],
+            ['sign', '÷', '5-34'], ['sign', '€', '4-15'], ['sign', '£', '4-123'], ['sign', '°', '45-245'],
+            ['sign', '©', '45-14'],
+
+            // Alphabetic and strong wordsigns
+            ['word', 'but', '12'], ['word', 'can', '14'], ['word', 'do', '145'], ['word', 'every', '15'],
+            ['word', 'from', '124'], ['word', 'go', '1245'], ['word', 'have', '125'], ['word', 'just', '245'],
+            ['word', 'knowledge', '13'], ['word', 'like', '123'], ['word', 'more', '134'], ['word', 'not', '1345'],
+            ['word', 'people', '1234'], ['word', 'quite', '12345'], ['word', 'rather', '1235'], ['word', 'so', '234'],
+            ['word', 'that', '2345'], ['word', 'us', '136'], ['word', 'very', '1236'], ['word', 'will', '2456'],
+            ['word', 'it', '1346'], ['word', 'you', '13456'], ['word', 'as', '1356'],
+            ['word', 'child', '16'], ['word', 'shall', '146'], ['word', 'this', '1456'], ['word', 'which', '156'],
+            ['word', 'out', '1256'], ['word', 'still', '34'],
+
+            // Lower wordsigns
+            ['lowword', 'be', '23'], ['lowword', 'enough', '26'], ['lowword', 'were', '2356'],
+            ['lowword', 'his', '236'], ['lowword', 'in', '35'], ['lowword', 'was', '356'],
+
+            // Shortforms
+            ['word', 'about', '1-12'], ['word', 'above', '1-12-1236'], ['word', 'according', '1-14'],
+            ['word', 'across', '1-14-1235'], ['word', 'after', '1-124'], ['word', 'afternoon', '1-124-1345'],
+            ['word', 'afterward', '1-124-2456'], ['word', 'again', '1-1245'], ['word', 'against', '1-1245-34'],
+            ['word', 'almost', '1-123-134'], ['word', 'already', '1-123-1235'], ['word', 'also', '1-123'],
+            ['word', 'although', '1-123-1456'], ['word', 'altogether', '1-123-2345'], ['word', 'always', '1-123-2456'],
+            ['word', 'because', '23-14'], ['word', 'before', '23-124'], ['word', 'behind', '23-125'],
+            ['word', 'below', '23-123'], ['word', 'beneath', '23-1345'], ['word', 'beside', '23-234'],
+            ['word', 'between', '23-2345'], ['word', 'beyond', '23-13456'], ['word', 'blind', '12-123'],
+            ['word', 'braille', '12-1235-123'], ['word', 'children', '16-1345'], ['word', 'conceive', '25-14-1236'],
+            ['word', 'conceiving', '25-14-1236-1245'], ['word', 'could', '14-145'], ['word', 'deceive', '145-14-1236'],
+            ['word', 'deceiving', '145-14-1236-1245'], ['word', 'declare', '145-14-123'],
+            ['word', 'declaring', '145-14-123-1245'], ['word', 'either', '15-24'], ['word', 'first', '124-34'],
+            ['word', 'friend', '124-1235'], ['word', 'good', '1245-145'], ['word', 'great', '1245-1235-2345'],
+            ['word', 'herself', '125-12456-124'], ['word', 'him', '125-134'], ['word', 'himself', '125-134-124'],
+            ['word', 'immediate', '24-134-134'], ['word', 'its', '1346-234'], ['word', 'itself', '1346-124'],
+            ['word', 'letter', '123-1235'], ['word', 'little', '123-123'], ['word', 'much', '134-16'],
+            ['word', 'must', '134-34'], ['word', 'myself', '134-13456-124'], ['word', 'necessary', '1345-15-14'],
+            ['word', 'neither', '1345-15-24'], ['word', 'oneself', '5-135-124'],
+            ['word', 'ourselves', '1256-1235-1236-234'], ['word', 'paid', '1234-145'],
+            ['word', 'perceive', '1234-12456-14-1236'], ['word', 'perceiving', '1234-12456-14-1236-1245'],
+            ['word', 'perhaps', '1234-12456-125'], ['word', 'quick', '12345-13'], ['word', 'receive', '1235-14-1236'],
+            ['word', 'receiving', '1235-14-1236-1245'], ['word', 'rejoice', '1235-245-14'],
+            ['word', 'rejoicing', '1235-245-14-1245'], ['word', 'said', '234-145'], ['word', 'should', '146-145'],
+            ['word', 'such', '234-16'], ['word', 'themselves', '2346-134-1236-234'], ['word', 'thyself', '1456-13456-124'],
+            ['word', 'today', '2345-145'], ['word', 'together', '2345-1245-1235'], ['word', 'tomorrow', '2345-134'],
+            ['word', 'tonight', '2345-1345'], ['word', 'would', '2456-145'], ['word', 'your', '13456-1235'],
+            ['word', 'yourself', '13456-1235-124'], ['word', 'yourselves', '13456-1235-1236-234'],
+
+            // Strong contractions and groupsigns
+            ['always', 'and', '12346'], ['always', 'for', '123456'], ['always', 'of', '12356'],
+            ['always', 'the', '2346'], ['always', 'with', '23456'],
+            ['always', 'ch', '16'], ['always', 'gh', '126'], ['always', 'sh', '146'], ['always', 'th', '1456'],
+            ['always', 'wh', '156'], ['always', 'ed', '1246'], ['always', 'er', '12456'], ['always', 'ou', '1256'],
+            ['always', 'ow', '246'], ['always', 'st', '34'], ['always', 'ar', '345'], ['midendword', 'ing', '346'],
+
+            // Lower groupsigns
+            ['begword', 'be', '23'], ['begword', 'con', '25'], ['begword', 'dis', '256'],
+            ['midword', 'ea', '2'], ['midword', 'bb', '23'], ['midword', 'cc', '25'], ['midword', 'ff', '235'],
+            ['midword', 'gg', '2356'], ['always', 'en', '26'], ['always', 'in', '35'],
+
+            // Initial-letter contractions
+            ['always', 'day', '5-145'], ['always', 'ever', '5-15'], ['always', 'father', '5-124'],
+            ['always', 'here', '5-125'], ['always', 'know', '5-13'], ['always', 'lord', '5-123'],
+            ['always', 'mother', '5-134'], ['always', 'name', '5-1345'], ['always', 'one', '5-135'],
+            ['always', 'part', '5-1234'], ['always', 'question', '5-12345'], ['always', 'right', '5-1235'],
+            ['always', 'some', '5-234'], ['always', 'time', '5-2345'], ['always', 'under', '5-136'],
+            ['always', 'work', '5-2456'], ['always', 'young', '5-13456'], ['always', 'there', '5-2346'],
+            ['always', 'character', '5-16'], ['always', 'through', '5-1456'], ['always', 'where', '5-156'],
+            ['always', 'ought', '5-1256'],
+            ['always', 'upon', '45-136'], ['always', 'word', '45-2456'], ['always', 'these', '45-2346'],
+            ['always', 'those', '45-1456'], ['always', 'whose', '45-156'],
+            ['always', 'cannot', '456-14'], ['always', 'had', '456-125'], ['always', 'many', '456-134'],
+            ['always', 'spirit', '456-234'], ['always', 'world', '456-2456'], ['always', 'their', '456-2346'],
+
+            // Final-letter groupsigns
+            ['midendword', 'ance', '46-15'], ['midendword', 'sion', '46-1345'], ['midendword', 'less', '46-234'],
+            ['midendword', 'ound', '46-145'], ['midendword', 'ount', '46-2345'], ['midendword', 'ence', '56-15'],
+            ['midendword', 'ong', '56-1245'], ['midendword', 'ful', '56-123'], ['midendword', 'tion', '56-1345'],
+            ['midendword', 'ness', '56-234'], ['midendword', 'ment', '56-2345'], ['midendword', 'ity', '56-13456']
+        ])
     };
 
-    // Number prefix (indicates following characters are numbers)
-    const NUMBER_PREFIX = '\u283c';
+    // German uncontracted braille (Vollschrift), with its letter groups. Capitals aren't marked.
+    const GERMAN_TABLE = {
+        name: 'de-g0',
+        languages: ['de'],
+        indicators: { number: '3456', grade1: '6' },
+        numberPunctuation: { '.': '3', ',': '2' },
+        rules: LATIN_LETTERS.concat(LETTER_DIGITS, [
+            ['letter', 'ä', '345'], ['letter', 'ö', '246'], ['letter', 'ü', '1256'], ['letter', 'ß', '2346'],
+            ['always', 'sch', '156'], ['always', 'äu', '34'], ['always', 'au', '16'], ['always', 'eu', '126'],
+            ['always', 'ei', '146'], ['always', 'ie', '346'], ['always', 'ch', '1456'], ['always', 'st', '23456'],
+            ['punctuation', '.', '3'], ['punctuation', ',', '2'], ['punctuation', ';', '23'], ['punctuation', ':', '25'],
+            ['punctuation', '?', '26'], ['punctuation', '!', '235'], ['punctuation', '-', '36'],
+            ['punctuation', '(', '2356'], ['punctuation', ')', '2356'], ['punctuation', '„', '236'],
+            ['punctuation', '“', '356'], ['punctuation', '"', '236'], ['punctuation', '\'', '6']
+        ])
+    };
+
+    // French uncontracted braille (braille intégral), digits in Antoine notation
+    const FRENCH_TABLE = {
+        name: 'fr-bfu',
+        languages: ['fr'],
+        indicators: { capital: '46', capitalWord: '46-46', number: '6' },
+        numberPunctuation: { ',': '2', '.': '3' },
+        rules: LATIN_LETTERS.concat([
+            ['letter', 'é', '123456'], ['letter', 'à', '12356'], ['letter', 'è', '2346'], ['letter', 'ù', '23456'],
+            ['letter', 'â', '16'], ['letter', 'ê', '126'], ['letter', 'î', '146'], ['letter', 'ô', '1456'],
+            ['letter', 'û', '156'], ['letter', 'ë', '1246'], ['letter', 'ï', '12456'], ['letter', 'ü', '1256'],
+            ['letter', 'œ', '246'], ['letter', 'ç', '12346'],
+            ['digit', '1', '16'], ['digit', '2', '126'], ['digit', '3', '146'], ['digit', '4', '1456'],
+            ['digit', '5', '156'], ['digit', '6', '1246'], ['digit', '7', '12456'], ['digit', '8', '1256'],
+            ['digit', '9', '246'], ['digit', '0', '3456'],
+            ['punctuation', ',', '2'], ['punctuation', ';', '23'], ['punctuation', ':', '25'], ['punctuation', '.', '256'],
+            ['punctuation', '?', '26'], ['punctuation', '!', '235'], ['punctuation', '«', '2356'],
+            ['punctuation', '»', '2356'], ['punctuation', '"', '2356'], ['punctuation', '(', '236'],
+            ['punctuation', ')', '356'], ['punctuation', '\'', '3'], ['punctuation', '’', '3'], ['punctuation', '-', '36']
+        ])
+    };
+
+    // Spanish uncontracted braille
+    const SPANISH_TABLE = {
+        name: 'es-g1',
+        languages: ['es'],
+        indicators: { capital: '46', capitalWord: '46-46', number: '3456' },
+        numberPunctuation: { '.': '3', ',': '2' },
+        rules: LATIN_LETTERS.concat(LETTER_DIGITS, [
+            ['letter', 'ñ', '12456'], ['letter', 'á', '12356'], ['letter', 'é', '2346'], ['letter', 'í', '34'],
+            ['letter', 'ó', '346'], ['letter', 'ú', '23456'], ['letter', 'ü', '1256'],
+            ['punctuation', '.', '3'], ['punctuation', ',', '2'], ['punctuation', ';', '23'], ['punctuation', ':', '25'],
+            ['punctuation', '¿', '26'], ['punctuation', '?', '26'], ['punctuation', '¡', '235'], ['punctuation', '!', '235'],
+            ['punctuation', '"', '236'], ['punctuation', '(', '126'], ['punctuation', ')', '345'],
+            ['punctuation', '-', '36']
+        ])
+    };
+
+    // Norwegian uncontracted braille
+    const NORWEGIAN_TABLE = {
+        name: 'no-g0',
+        languages: ['no', 'nb', 'nn'],
+        indicators: { capital: '46', number: '3456', grade1: '56' },
+        numberPunctuation: { ',': '2', '.': '3' },
+        rules: LATIN_LETTERS.concat(LETTER_DIGITS, [
+            ['letter', 'æ', '345'], ['letter', 'ø', '246'], ['letter', 'å', '16'],
+            ['punctuation', '.', '3'], ['punctuation', ',', '2'], ['punctuation', ';', '23'], ['punctuation', ':', '25'],
+            ['punctuation', '?', '26'], ['punctuation', '!', '235'], ['punctuation', '-', '36'],
+            ['punctuation', '(', '2356'], ['punctuation', ')', '2356'], ['punctuation', '"', '236'],
+            ['punctuation', '«', '236'], ['punctuation', '»', '356']
+        ])
+    };
+
+    const BUILT_IN_TABLES = [UEB_TABLE, GERMAN_TABLE, FRENCH_TABLE, SPANISH_TABLE, NORWEGIAN_TABLE];
+
+    // liblouis opcodes and where they go in a table. Other opcodes (display, attribute, multipass
+    // and back-translation rules) are skipped.
+    const LIBLOUIS_RULE_OPCODES = {
+        letter: 'letter', lowercase: 'letter', digit: 'digit', litdigit: 'digit', punctuation: 'punctuation',
+        sign: 'sign', math: 'sign', word: 'word', joinword: 'word', lowword: 'lowword', always: 'always',
+        largesign: 'always', partword: 'always', begword: 'begword', midword: 'midword',
+        midendword: 'midendword', endword: 'endword', begmidword: 'begmidword'
+    };
+    const LIBLOUIS_INDICATORS = {
+        capsletter: 'capital', begcapsword: 'capitalWord', endcapsword: 'capitalTerminator',
+        begcapsphrase: 'capitalPassage', numsign: 'number', nocontractsign: 'grade1', letsign: 'grade1'
+    };
+
+    // Characters in liblouis escapes: \s (space), \t, \x0041, \y00041, \\
+    function unescapeLiblouis(text) {
+        return text.replace(/\\(s|t|n|\\|x[0-9a-fA-F]{4}|y[0-9a-fA-F]{5}|z[0-9a-fA-F]{8})/g, (match, code) => {
+            if (code === 's') return ' ';
+            if (code === 't') return '\t';
+            if (code === 'n') return '\n';
+            if (code === '\\') return '\\';
+            return String.fromCodePoint(parseInt(code.slice(1), 16));
+        });
+    }
+
+    /**
+     * Table (in the JSON format above) from the text of a liblouis table. include lines have to be
+     * resolved before (see BrailleConverter.loadTable), as the rest of the file is parsed on its own.
+     */
+    function parseLiblouisTable(source, name) {
+        const table = { name: name, indicators: {}, numberPunctuation: {}, rules: [] };
+        const skipped = new Set();
+
+        source.split(/\r?\n/).forEach(line => {
+            const fields = line.trim().split(/\s+/);
+            // Rules only used for back-translation
+            if (fields[0] === 'nofor') return;
+            if (fields[0] === 'noback') fields.shift();
+            const opcode = fields[0];
+            if (!opcode || opcode[0] === '#' || opcode[0] === '<') return;
+
+            if (LIBLOUIS_RULE_OPCODES[opcode] && fields.length >= 3) {
+                const text = unescapeLiblouis(fields[1]);
+                // Capital letters are written with the capital indicator instead
+                if (opcode === 'letter' && text.length === 1 && text !== text.toLowerCase()) return;
+                table.rules.push([LIBLOUIS_RULE_OPCODES[opcode], text.toLowerCase(), fields[2]]);
+            } else if (opcode === 'uplow' && fields.length >= 3) {
+                // uplow Aa 1 (or 46-1,1): the small letter and its dots
+                const dots = fields[2].split(',');
+                table.rules.push(['letter', unescapeLiblouis(fields[1]).slice(-1), dots[dots.length - 1]]);
+            } else if (LIBLOUIS_INDICATORS[opcode] && fields.length >= 2) {
+                table.indicators[LIBLOUIS_INDICATORS[opcode]] = fields[1];
+            } else if (opcode === 'midnum' || opcode === 'decpoint') {
+                table.numberPunctuation[unescapeLiblouis(fields[1])] = fields[2];
+            } else if (opcode === 'include') {
+                console.warn('Braille Converter: Unresolved include', fields[1], 'in table', name);
+            } else {
+                skipped.add(opcode);
+            }
+        });
+
+        if (skipped.size > 0) {
+            console.log('Braille Converter: Skipped liblouis opcodes in', name + ':', Array.from(skipped).join(', '));
+        }
+        return table;
+    }
+
+    // What may come right before and after a word for it to be "standing alone", so wordsigns can be used
+    const STANDING_ALONE_BEFORE = '([{"\'“‘-–—';
+    const STANDING_ALONE_AFTER = '.,;:!?)]}"\'”’-–—…';
+
+    // Endings after an apostrophe that still leave the word standing alone ("that's", "you'll")
+    const STANDING_ALONE_SUFFIXES = ['s', 'd', 'll', 're', 've', 'm'];
+
+    // Unicode Braille pattern for liblouis-style dots: "125" is one cell, "5-13" two
+    function dotsToCells(dots) {
+        return dots.split('-').map(cell => {
+            let bits = 0;
+            for (const dot of cell) {
+                if (dot >= '1' && dot <= '8') {
+                    bits |= 1 << (dot - 1);
+                }
+            }
+            return String.fromCharCode(0x2800 + bits);
+        }).join('');
+    }
+
+    // Turn a table into lookups: characters, whole words, and contractions by first letter (longest first)
+    function compileTable(table) {
+        const compiled = {
+            name: table.name,
+            languages: (table.languages || []).map(language => language.toLowerCase()),
+            contracted: !!table.contracted,
+            indicators: {},
+            numberPunctuation: {},
+            characters: {}, // letters, digits, punctuation and signs
+            letters: new Set(),
+            digitCells: new Set(),
+            words: {},
+            lowWords: {},
+            wordCells: new Set(), // what wordsigns and shortforms look like, to spot letters read as one
+            contractions: {}
+        };
+        ['capital', 'capitalWord', 'capitalPassage', 'capitalTerminator', 'number', 'grade1'].forEach(key => {
+            compiled.indicators[key] = table.indicators && table.indicators[key] ? dotsToCells(table.indicators[key]) : '';
+        });
+        Object.keys(table.numberPunctuation || {}).forEach(char => {
+            compiled.numberPunctuation[char] = dotsToCells(table.numberPunctuation[char]);
+        });
+
+        // Characters first: liblouis rules can give "=" as dots, meaning the dots of each of their characters
+        const characterOpcodes = ['letter', 'digit', 'punctuation', 'sign'];
+        const rules = table.rules.filter(rule => characterOpcodes.includes(rule[0]))
+            .concat(table.rules.filter(rule => !characterOpcodes.includes(rule[0])));
+        rules.forEach(([opcode, text, dots]) => {
+            const cells = dots === '='
+                ? Array.from(text).map(char => compiled.characters[char] || '').join('')
+                : dotsToCells(dots);
+            switch (opcode) {
+                case 'letter':
+                    compiled.characters[text] = cells;
+                    compiled.letters.add(text);
+                    break;
+                case 'digit':
+                    compiled.characters[text] = cells;
+                    compiled.digitCells.add(cells);
+                    break;
+                case 'punctuation':
+                case 'sign':
+                    compiled.characters[text] = cells;
+                    break;
+                case 'word':
+                case 'lowword':
+                    (opcode === 'word' ? compiled.words : compiled.lowWords)[text] = cells;
+                    compiled.wordCells.add(cells);
+                    break;
+                case 'always':
+                case 'begword':
+                case 'midword':
+                case 'midendword':
+                case 'endword':
+                case 'begmidword':
+                    (compiled.contractions[text[0]] = compiled.contractions[text[0]] || [])
+                        .push({ opcode: opcode, text: text, cells: cells });
+                    break;
+                default:
+                    console.warn('Braille Converter: Unknown opcode', opcode, 'in table', table.name);
+            }
+        });
+        Object.keys(compiled.contractions).forEach(letter => {
+            // Longest first; the sort is stable, so equal lengths keep the table's order
+            compiled.contractions[letter].sort((a, b) => b.text.length - a.text.length);
+        });
+        return compiled;
+    }
+
+    const isUpperCase = char => char !== char.toLowerCase();
 
     class BrailleConverter {
         constructor() {
             this.enabled = false;
+            this.grade = 2;
+            this.tables = {};
+            this.languageTables = {};
+            this.defaultTableName = UEB_TABLE.name;
+            this.loading = null;
+            BUILT_IN_TABLES.forEach(table => this.addTable(table.name, table));
+            // Table of the text being translated
+            this.table = this.tables[UEB_TABLE.name];
             this.originalTexts = new Map();
             console.log('Braille Converter initialized');
         }
 
+        /**
+         * Add a translation table: a table object in the JSON format, a JSON string or the text of a
+         * liblouis table (without include lines). languages: lang attribute values it is used for,
+         * instead of the table's own languages.
+         */
+        addTable(name, table, languages) {
+            if (typeof table === 'string') {
+                table = table.trim()[0] === '{' ? JSON.parse(table) : parseLiblouisTable(table, name);
+            }
+            const compiled = compileTable(Object.assign({}, table, { name: name }));
+            this.tables[name] = compiled;
+            (languages || compiled.languages).forEach(language => {
+                this.languageTables[language.toLowerCase()] = name;
+            });
+            return compiled;
+        }
+
+        /**
+         * Load a liblouis table (.ctb, .utb, .tbl - include lines are loaded too) or a JSON table from a URL.
+         * Resolves with the table's name: the file name without its extension.
+         */
+        loadTable(url, languages) {
+            const href = new URL(url, document.baseURI).href;
+            const name = href.split('/').pop().replace(/\.[^.]*$/, '');
+            return this.readTableSource(href, new Set()).then(source => {
+                this.addTable(name, source, languages);
+                console.log('Braille Converter: Loaded table', name, 'from', href);
+                return name;
+            });
+        }
+
+        readTableSource(href, seen) {
+            if (seen.has(href)) return Promise.resolve('');
+            seen.add(href);
+            return fetch(href).then(response => {
+                if (!response.ok) {
+                    throw new Error('Could not load Braille table ' + href + ' (' + response.status + ')');
+                }
+                return response.text();
+            }).then(source => {
+                if (source.trim()[0] === '{') return source;
+                // Replace include lines with the included table, resolved from this table's URL
+                return Promise.all(source.split(/\r?\n/).map(line => {
+                    const include = line.match(/^\s*include\s+(\S+)/);
+                    return include ? this.readTableSource(new URL(include[1], href).href, seen) : line;
+                })).then(lines => lines.join('\n'));
+            });
+        }
+
+        /**
+         * Add tables by language: { de: 'tables/de-g2.ctb', fr: { ...JSON table } }.
+         * Tables from URLs load in the background; converted text is redone when they are in.
+         */
+        addTables(tables) {
+            const loads = Object.keys(tables || {}).map(language => {
+                const table = tables[language];
+                if (typeof table !== 'string') {
+                    this.addTable(table.name || language, table, [language]);
+                    return Promise.resolve();
+                }
+                return this.loadTable(table, [language]).catch(error => {
+                    console.error('Braille Converter: Error loading table for', language + ':', error);
+                });
+            });
+            const loading = Promise.all(loads).then(() => {
+                if (this.loading === loading) this.loading = null;
+                this.refresh();
+            });
+            this.loading = loading;
+            return loading;
+        }
+
+        /**
+         * Table for text without a lang attribute (or in a language without a table), by table name or language
+         */
+        setDefaultTable(nameOrLanguage) {
+            this.defaultTableName = nameOrLanguage || UEB_TABLE.name;
+            this.refresh();
+        }
+
+        /**
+         * Table by name or by language ("de-CH" falls back to "de"), or null
+         */
+        findTable(nameOrLanguage) {
+            if (!nameOrLanguage) return null;
+            if (this.tables[nameOrLanguage]) return this.tables[nameOrLanguage];
+            return this.findTableForLanguage(nameOrLanguage);
+        }
+
+        findTableForLanguage(language) {
+            language = (language || '').toLowerCase();
+            const name = this.languageTables[language] || this.languageTables[language.split('-')[0]];
+            return name ? this.tables[name] : null;
+        }
+
+        getDefaultTable() {
+            return this.findTable(this.defaultTableName) || this.tables[UEB_TABLE.name];
+        }
+
+        /**
+         * Table for the text of an element: by the nearest lang attribute, else the default table
+         */
+        getTableFor(element) {
+            const languageElement = element && element.closest ? element.closest('[lang]') : null;
+            const language = languageElement ? languageElement.getAttribute('lang') : '';
+            return this.findTableForLanguage(language) || this.getDefaultTable();
+        }
+
+        /**
+         * Redo converted text, after the grade or tables changed
+         */
+        refresh() {
+            if (!this.enabled) return;
+            this.restoreElement(document.body);
+            this.convertElement(document.body);
+        }
+
+        /**
+         * Set the braille grade: 1 (uncontracted) or 2 (contracted). Converted text is redone.
+         */
+        setGrade(grade) {
+            grade = grade === 1 ? 1 : 2;
+            if (grade === this.grade) return;
+            this.grade = grade;
+            this.refresh();
+        }
+
         /**
          * Convert a single character to Braille
          */
         charToBraille(char) {
-            const lower = char.toLowerCase();
-            if (BRAILLE_MAP[lower]) {
-                return BRAILLE_MAP[lower];
-            }
-            // If character not in map, return original
-            return char;
+            const cells = this.table.characters[char.toLowerCase()];
+            // If character not in table, return original
+            return cells || char;
         }
 
         /**
          * Convert text to Braille
+         * options.grade: 1 (uncontracted) or 2 (contracted), defaults to the converter's grade
+         * options.table: table (or table name) to use; options.language: use the table for a language.
+         * Without either, the default table.
          */
-        textToBraille(text) {
+        textToBraille(text, options = {}) {
             if (!text) return '';
-            
+
+            let table = typeof options.table === 'string' ? this.findTable(options.table) : options.table;
+            if (!table && options.language) {
+                table = this.findTableForLanguage(options.language);
+            }
+            table = table || this.getDefaultTable();
+
+            const previousTable = this.table;
+            this.table = table;
+            try {
+                // The grade only applies to tables with contractions; other tables always use all their rules
+                return this.translate(text, table.contracted ? options.grade || this.grade : 2);
+            } finally {
+                this.table = previousTable;
+            }
+        }
+
+        translate(text, grade) {
+            const table = this.table;
+            const words = this.findWords(text);
             let result = '';
             let inNumber = false;
-            
-            for (let i = 0; i < text.length; i++) {
+            let wordIndex = 0;
+
+            for (let i = 0; i < text.length;) {
                 const char = text[i];
-                const lower = char.toLowerCase();
-                
-                // Check if it's a digit
+                const word = words[wordIndex];
+
+                if (word && word.index === i) {
+                    let cells = this.translateWord(text, word, grade);
+                    // After a number, a-j would read as digits
+                    if (inNumber && table.digitCells.has(cells[0])) {
+                        cells = table.indicators.grade1 + cells;
+                    }
+                    if (word.passageStart) {
+                        cells = table.indicators.capitalPassage + cells;
+                    }
+                    if (word.passageEnd) {
+                        cells += table.indicators.capitalTerminator;
+                    }
+                    result += cells;
+                    inNumber = false;
+                    i += word.text.length;
+                    wordIndex++;
+                    continue;
+                }
+
                 if (/\d/.test(char)) {
                     if (!inNumber) {
-                        result += NUMBER_PREFIX;
+                        result += table.indicators.number;
                         inNumber = true;
                     }
-                    result += this.charToBraille(char);
+                    result += table.characters[char];
+                } else if (inNumber && table.numberPunctuation[char] && /\d/.test(text[i + 1] || '')) {
+                    // Decimal points, thousands separators and fraction lines keep numeric mode
+                    result += table.numberPunctuation[char];
                 } else {
                     inNumber = false;
-                    result += this.charToBraille(char);
+                    result += this.translateSymbol(text, i);
                 }
+                i++;
             }
-            
+
+            return result;
+        }
+
+        /**
+         * Words of a text (letters, with apostrophes between them) and capitalized passages:
+         * three or more words in a row written in capitals
+         */
+        findWords(text) {
+            const words = [];
+            for (let i = 0; i < text.length; i++) {
+                if (!this.isLetter(text[i])) continue;
+                let end = i + 1;
+                while (end < text.length && (this.isLetter(text[end]) ||
+                    ((text[end] === '\'' || text[end] === '’') && this.isLetter(text[end + 1] || '')))) {
+                    end++;
+                }
+                const wordText = text.slice(i, end);
+                const letters = wordText.replace(/['’]/g, '');
+                words.push({
+                    index: i,
+                    text: wordText,
+                    capitals: letters.length > 1 && letters === letters.toUpperCase()
+                });
+                i = end - 1;
+            }
+
+            for (let start = 0; start < words.length;) {
+                let end = start;
+                while (end < words.length && words[end].capitals) end++;
+                if (end - start >= 3 && this.table.indicators.capitalPassage) {
+                    for (let w = start; w < end; w++) words[w].inPassage = true;
+                    words[start].passageStart = true;
+                    words[end - 1].passageEnd = true;
+                }
+                start = end + 1;
+            }
+            return words;
+        }
+
+        isLetter(char) {
+            return this.table.letters.has(char.toLowerCase());
+        }
+
+        /**
+         * A character outside words: quotation marks open or close depending on where they are
+         */
+        translateSymbol(text, index) {
+            const char = text[index];
+            const opening = index === 0 || /\s/.test(text[index - 1]) || '([{-–—'.includes(text[index - 1]);
+            let quote = null;
+            if (char === '"') {
+                quote = opening ? '“' : '”';
+            } else if (char === '\'' && opening && text[index + 1] && !/\s/.test(text[index + 1])) {
+                quote = '‘';
+            } else if (char === ' ' || char === '\u00a0') {
+                return '\u2800';
+            }
+            // Tables without both curly quotation marks use the straight one
+            const curlyQuotes = char === '"' ? this.table.characters['“'] && this.table.characters['”'] : this.table.characters[quote];
+            return this.charToBraille(quote && curlyQuotes ? quote : char);
+        }
+
+        /**
+         * Braille for one word, with its capital indicators. Grade 2 uses wordsigns when the word stands alone
+         * and contractions inside it; a word that would read as a wordsign gets the grade 1 indicator.
+         */
+        translateWord(text, word, grade) {
+            const table = this.table;
+            const before = text[word.index - 1];
+            const after = text[word.index + word.text.length];
+            const standingAlone = (before === undefined || /\s/.test(before) || STANDING_ALONE_BEFORE.includes(before)) &&
+                (after === undefined || /\s/.test(after) || STANDING_ALONE_AFTER.includes(after));
+            const spacedOut = (before === undefined || /\s/.test(before)) && (after === undefined || /\s/.test(after));
+
+            const parts = word.text.split(/['’]/);
+            const letters = parts.join('');
+            const lower = letters.toLowerCase();
+
+            let spans = null;
+            if (grade === 2 && standingAlone &&
+                (parts.length === 1 || (parts.length === 2 && STANDING_ALONE_SUFFIXES.includes(parts[1].toLowerCase())))) {
+                const base = parts[0].toLowerCase();
+                const cells = table.words[base] || (spacedOut && parts.length === 1 ? table.lowWords[base] : null);
+                if (cells && this.canContract(letters, 0, base.length)) {
+                    spans = [{ start: 0, end: base.length, cells: cells }]
+                        .concat(this.contractLetters(lower, letters, parts, 1, base.length, grade));
+                }
+            }
+
+            let grade1 = false;
+            if (!spans) {
+                spans = this.contractLetters(lower, letters, parts, 0, 0, grade);
+                // Letters that would read as a wordsign or shortform: spell them out, and if they still
+                // look like one ("b", "ab"), mark them as grade 1
+                if (grade === 2 && standingAlone && table.wordCells.has(spans.map(span => span.cells).join(''))) {
+                    spans = this.contractLetters(lower, letters, parts, 0, 0, 1);
+                    grade1 = table.wordCells.has(spans.map(span => span.cells).join(''));
+                }
+            }
+
+            return (grade1 ? table.indicators.grade1 : '') + this.addCapitals(letters, word, spans);
+        }
+
+        /**
+         * Spans of letters ({ start, end, cells }) for the word parts from parts[firstPart] on,
+         * longest contraction first at each letter. Contractions don't cross apostrophes.
+         */
+        contractLetters(lower, letters, parts, firstPart, offset, grade) {
+            const spans = [];
+            for (let p = firstPart; p < parts.length; p++) {
+                const partStart = offset;
+                const partEnd = offset + parts[p].length;
+                if (p > 0) {
+                    spans.push({ start: partStart, end: partStart, cells: this.table.characters['\''] });
+                }
+                for (let i = partStart; i < partEnd;) {
+                    const match = grade === 2 ? this.findContraction(lower, letters, i, partStart, partEnd) : null;
+                    if (match) {
+                        spans.push({ start: i, end: i + match.text.length, cells: match.cells });
+                        i += match.text.length;
+                    } else {
+                        spans.push({ start: i, end: i + 1, cells: this.table.characters[lower[i]] });
+                        i++;
+                    }
+                }
+                offset = partEnd;
+            }
+            return spans;
+        }
+
+        findContraction(lower, letters, index, start, end) {
+            const candidates = this.table.contractions[lower[index]] || [];
+            return candidates.find(rule => {
+                const ruleEnd = index + rule.text.length;
+                if (ruleEnd > end || lower.slice(index, ruleEnd) !== rule.text) return false;
+                if (!this.canContract(letters, index, ruleEnd)) return false;
+                switch (rule.opcode) {
+                    case 'begword':
+                        // be, con, dis only as a syllable of their own: something else is said after them
+                        return index === start && ruleEnd < end && /[aeiouy]/.test(lower.slice(ruleEnd, end).replace(/e$/, ''));
+                    case 'midword':
+                        return index > start && ruleEnd < end;
+                    case 'midendword':
+                        return index > start;
+                    case 'endword':
+                        return ruleEnd === end;
+                    case 'begmidword':
+                        return ruleEnd < end;
+                    default:
+                        return true;
+                }
+            });
+        }
+
+        /**
+         * A contraction can't cross a change between capitals and small letters, except a capital
+         * at its start ("The")
+         */
+        canContract(letters, start, end) {
+            for (let i = start + 2; i < end; i++) {
+                if (isUpperCase(letters[i]) !== isUpperCase(letters[i - 1])) return false;
+            }
+            return end - start < 2 || isUpperCase(letters[start]) === isUpperCase(letters[start + 1]) ||
+                (isUpperCase(letters[start]) && (start === 0 || !isUpperCase(letters[start - 1])));
+        }
+
+        /**
+         * Join the spans, adding the capital letter, capitals word and capitals terminator indicators.
+         * Tables without a capitals word indicator mark every capital letter.
+         */
+        addCapitals(letters, word, spans) {
+            const indicators = this.table.indicators;
+            const cells = spans.map(span => span.cells).join('');
+            if (word.inPassage) return cells;
+            if (word.capitals && indicators.capitalWord) return indicators.capitalWord + cells;
+
+            // Length of the run of capitals that starts at a letter
+            const runLength = index => {
+                let end = index;
+                while (end < letters.length && isUpperCase(letters[end])) end++;
+                return end - index;
+            };
+
+            let result = '';
+            spans.forEach(span => {
+                if (span.end > span.start && isUpperCase(letters[span.start]) &&
+                    (!indicators.capitalWord || span.start === 0 || !isUpperCase(letters[span.start - 1]))) {
+                    const run = runLength(span.start);
+                    result += run > 1 && indicators.capitalWord ? indicators.capitalWord : indicators.capital;
+                }
+                result += span.cells;
+                // Small letters after a capitalized part of the word ("CDs")
+                if (indicators.capitalWord && span.end > span.start && span.end < letters.length && isUpperCase(letters[span.end - 1]) &&
+                    !isUpperCase(letters[span.end]) && span.end - 1 > 0 && isUpperCase(letters[span.end - 2])) {
+                    result += indicators.capitalTerminator;
+                }
+            });
             return result;
         }
 
@@ -81,6 +808,7 @@
         convertElement(element) {
             if (!element) return;
 
+            const originalTexts = this.originalTexts;
             const walker = document.createTreeWalker(
                 element,
                 NodeFilter.SHOW_TEXT,
@@ -91,8 +819,8 @@
                         if (parent && (parent.tagName === 'SCRIPT' || parent.tagName === 'STYLE')) {
                             return NodeFilter.FILTER_REJECT;
                         }
-                        // Skip if already converted (has data attribute)
-                        if (node.dataset.brailleConverted === 'true') {
+                        // Skip if already converted
+                        if (originalTexts.has(node)) {
                             return NodeFilter.FILTER_REJECT;
                         }
                         // Skip empty text nodes
@@ -104,20 +832,20 @@
                 }
             );
 
+            // Collect first: changing text while walking would revisit nodes
+            const nodes = [];
             let node;
             while (node = walker.nextNode()) {
-                const originalText = node.textContent;
-                // Store original text
-                node.dataset.originalText = originalText;
-                node.dataset.brailleConverted = 'true';
-                
-                // Convert to Braille
-                const brailleText = this.textToBraille(originalText);
-                node.textContent = brailleText;
-                
-                // Store mapping
-                this.originalTexts.set(node, originalText);
+                nodes.push(node);
             }
+            nodes.forEach(textNode => this.convertTextNode(textNode));
+        }
+
+        convertTextNode(node) {
+            const originalText = node.textContent;
+            // Store original text, then convert to Braille with the table for its language
+            this.originalTexts.set(node, originalText);
+            node.textContent = this.textToBraille(originalText, { table: this.getTableFor(node.parentElement) });
         }
 
         /**
@@ -126,21 +854,12 @@
         restoreElement(element) {
             if (!element) return;
 
-            const walker = document.createTreeWalker(
-                element,
-                NodeFilter.SHOW_TEXT,
-                null
-            );
-
-            let node;
-            while (node = walker.nextNode()) {
-                if (node.dataset.brailleConverted === 'true' && node.dataset.originalText) {
-                    node.textContent = node.dataset.originalText;
-                    delete node.dataset.brailleConverted;
-                    delete node.dataset.originalText;
+            this.originalTexts.forEach((originalText, node) => {
+                if (element.contains(node)) {
+                    node.textContent = originalText;
                     this.originalTexts.delete(node);
                 }
-            }
+            });
         }
 
         /**
@@ -148,13 +867,13 @@
          */
         enable() {
             if (this.enabled) return;
-            
+
             this.enabled = true;
             console.log('Braille conversion enabled');
-            
+
             // Convert body content
             this.convertElement(document.body);
-            
+
             // Watch for new content (like dynamic loading)
             if (!this.observer) {
                 this.observer = new MutationObserver((mutations) => {
@@ -162,20 +881,16 @@
                         mutation.addedNodes.forEach((node) => {
                             if (node.nodeType === Node.ELEMENT_NODE) {
                                 this.convertElement(node);
-                            } else if (node.nodeType === Node.TEXT_NODE && node.textContent.trim()) {
+                            } else if (node.nodeType === Node.TEXT_NODE && node.textContent.trim() && !this.originalTexts.has(node)) {
                                 const parent = node.parentElement;
                                 if (parent && parent.tagName !== 'SCRIPT' && parent.tagName !== 'STYLE') {
-                                    const originalText = node.textContent;
-                                    node.dataset.originalText = originalText;
-                                    node.dataset.brailleConverted = 'true';
-                                    node.textContent = this.textToBraille(originalText);
-                                    this.originalTexts.set(node, originalText);
+                                    this.convertTextNode(node);
                                 }
                             }
                         });
                     });
                 });
-                
+
                 this.observer.observe(document.body, {
                     childList: true,
                     subtree: true
@@ -188,16 +903,16 @@
          */
         disable() {
             if (!this.enabled) return;
-            
+
             this.enabled = false;
             console.log('Braille conversion disabled');
-            
+
             // Stop observing
             if (this.observer) {
                 this.observer.disconnect();
                 this.observer = null;
             }
-            
+
             // Restore all converted text
             this.restoreElement(document.body);
         }
@@ -221,4 +936,3 @@
     }
 
 })();
-
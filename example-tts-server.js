@@ -0,0 +1,198 @@
+/**
+ * Stub speech server for trying out the HTTP TTS engine (tts.js) without a real synthesizer
+ * Speaks every word as a short tone and reports word timings
+ *
+ * Run:  node example-tts-server.js  (PORT=8787 by default)
+ * Then open http://localhost:8787/example.html with this in accessibility-config.js:
+ *     ttsEngine: { type: 'http', url: '/speak', voicesUrl: '/voices' }
+ *
+ * POST /speak   { text, lang, voice } -> { audio: 'data:audio/wav;base64,...', marks: [{ time, charIndex, charLength }] }
+ *               (add ?format=wav for the audio on its own, without timings)
+ * GET  /voices  -> [{ id, name, lang }]
+ * The demo page and the widget's files are served from this directory, nothing else
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+const ROOT = __dirname;
+const SAMPLE_RATE = 16000;
+
+const VOICES = [
+    { id: 'tone-low', name: 'Stub Tone (Low)', lang: 'en-US', frequency: 330 },
+    { id: 'tone-high', name: 'Stub Tone (High)', lang: 'en-US', frequency: 660 },
+    { id: 'tone-de', name: 'Stub Ton', lang: 'de-DE', frequency: 440 }
+];
+
+// Files the demo page needs - never the rest of the directory (.git, server code)
+const DEMO_FILES = [
+    'example.html',
+    'accessibility-plugin.js',
+    'accessibility-plugin.css',
+    'accessibility-config.js',
+    'tts.js',
+    'text-extraction.js',
+    'dictionary.js',
+    'speech-recognition.js',
+    'speech.js',
+    'braille.js',
+    'storage.js'
+];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png'
+};
+
+// A tone per word (longer words last longer) with a pause after it
+function synthesize(text, frequency) {
+    const words = [];
+    const wordPattern = /\S+/g;
+    let match;
+    while ((match = wordPattern.exec(text)) !== null) {
+        words.push({ index: match.index, length: match[0].length });
+    }
+
+    const marks = [];
+    const segments = [];
+    let time = 0;
+    words.forEach(word => {
+        const duration = Math.min(0.08 + word.length * 0.04, 0.5);
+        marks.push({ time: Number(time.toFixed(3)), charIndex: word.index, charLength: word.length, name: 'word' });
+        segments.push({ start: time, duration: duration });
+        time += duration + 0.08;
+    });
+
+    const samples = new Int16Array(Math.ceil((time + 0.1) * SAMPLE_RATE));
+    segments.forEach(segment => {
+        const first = Math.floor(segment.start * SAMPLE_RATE);
+        const count = Math.floor(segment.duration * SAMPLE_RATE);
+        for (let i = 0; i < count; i++) {
+            // Short fade in and out so the tones don't click
+            const envelope = Math.min(1, i / 200, (count - i) / 200);
+            samples[first + i] = Math.round(Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE) * envelope * 8000);
+        }
+    });
+
+    return { audio: encodeWav(samples), marks: marks };
+}
+
+// 16-bit mono PCM in a WAV container
+function encodeWav(samples) {
+    const buffer = Buffer.alloc(44 + samples.length * 2);
+    buffer.write('RIFF', 0);
+    buffer.writeUInt32LE(36 + samples.length * 2, 4);
+    buffer.write('WAVE', 8);
+    buffer.write('fmt ', 12);
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20); // PCM
+    buffer.writeUInt16LE(1, 22); // mono
+    buffer.writeUInt32LE(SAMPLE_RATE, 24);
+    buffer.writeUInt32LE(SAMPLE_RATE * 2, 28);
+    buffer.writeUInt16LE(2, 32);
+    buffer.writeUInt16LE(16, 34);
+    buffer.write('data', 36);
+    buffer.writeUInt32LE(samples.length * 2, 40);
+    for (let i = 0; i < samples.length; i++) {
+        buffer.writeInt16LE(samples[i], 44 + i * 2);
+    }
+    return buffer;
+}
+
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+function handleSpeak(request, response, url) {
+    let body = '';
+    request.on('data', chunk => {
+        body += chunk;
+        if (body.length > 100000) {
+            request.destroy();
+        }
+    });
+    request.on('end', () => {
+        let input;
+        try {
+            input = JSON.parse(body);
+        } catch (e) {
+            sendJson(response, 400, { error: 'Expected JSON { text, lang, voice }' });
+            return;
+        }
+        if (!input.text || typeof input.text !== 'string') {
+            sendJson(response, 400, { error: 'No text' });
+            return;
+        }
+
+        const voice = VOICES.find(v => v.id === input.voice) ||
+            VOICES.find(v => input.lang && v.lang === input.lang) || VOICES[0];
+        const result = synthesize(input.text, voice.frequency);
+        console.log('Speaking', JSON.stringify(input.text.substring(0, 40)), 'with', voice.name);
+
+        if (url.searchParams.get('format') === 'wav') {
+            response.writeHead(200, { 'Content-Type': 'audio/wav' });
+            response.end(result.audio);
+            return;
+        }
+        sendJson(response, 200, {
+            audio: 'data:audio/wav;base64,' + result.audio.toString('base64'),
+            marks: result.marks
+        });
+    });
+}
+
+function serveFile(response, pathname) {
+    const name = pathname.replace(/^\/+/, '');
+    if (!DEMO_FILES.includes(name)) {
+        response.writeHead(404);
+        response.end('Not found');
+        return;
+    }
+    const file = path.join(ROOT, name);
+    fs.readFile(file, (error, data) => {
+        if (error) {
+            response.writeHead(404);
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+        response.end(data);
+    });
+}
+
+const server = http.createServer((request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+
+    // Pages on other origins (or opened from disk) may use the server too
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204);
+        response.end();
+        return;
+    }
+
+    if (url.pathname === '/speak' && request.method === 'POST') {
+        handleSpeak(request, response, url);
+    } else if (url.pathname === '/voices') {
+        sendJson(response, 200, VOICES.map(voice => ({ id: voice.id, name: voice.name, lang: voice.lang })));
+    } else if (request.method === 'GET') {
+        serveFile(response, url.pathname === '/' ? '/example.html' : url.pathname);
+    } else {
+        response.writeHead(405);
+        response.end();
+    }
+});
+
+server.listen(PORT, () => {
+    console.log('Stub speech server on http://localhost:' + PORT + '/');
+});
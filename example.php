@@ -1,7 +1,24 @@
 
 
+<?php
+// Read accessibility preferences saved by the cookie storage adapter (storage.js)
+// so the first render already uses the visitor's font size and contrast
+$accessibilityClasses = [];
+$accessibilityFontSize = null;
+if (isset($_COOKIE['accessibilityPluginSettings'])) {
+    $stored = json_decode($_COOKIE['accessibilityPluginSettings'], true);
+    $prefs = isset($stored['settings']) ? $stored['settings'] : [];
+
+    if (isset($prefs['fontSize']) && is_numeric($prefs['fontSize']) && $prefs['fontSize'] >= 50 && $prefs['fontSize'] <= 300) {
+        $accessibilityFontSize = (float) $prefs['fontSize'];
+    }
+    if (isset($prefs['contrast']) && in_array($prefs['contrast'], ['normal', 'high', 'dark'], true)) {
+        $accessibilityClasses[] = 'accessibility-contrast-' . $prefs['contrast'];
+    }
+}
+?>
 <!DOCTYPE html>
-<html lang="en">
+<html lang="en"<?php if ($accessibilityFontSize !== null): ?> class="accessibility-font-preload" style="--accessibility-font-size: <?php echo $accessibilityFontSize; ?>%"<?php endif; ?>>
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -54,7 +71,7 @@
         }
     </style>
 </head>
-<body>
+<body class="<?php echo htmlspecialchars(implode(' ', $accessibilityClasses)); ?>">
     <h1>Accessibility Plugin Example - PHP Page</h1>
     
     <div class="content">
@@ -67,7 +84,7 @@
         <?php
         // Example PHP content
         $items = [
-            'Font size adjustment (75% to 200%)',
+            'Font size adjustment (50% to 300%)',
             'Contrast modes (Normal, High Contrast, Dark Mode)',
             'Line height customization',
             'Letter spacing options',
@@ -90,16 +107,24 @@
             All text and elements on the page will be affected by the accessibility settings.
         </p>
         <p>
-            The plugin uses localStorage to remember user preferences, so settings will persist
-            across page reloads and visits.
+            This page saves preferences in a cookie, so settings persist across page reloads and visits
+            and the server can apply them before the page is sent.
         </p>
         <a href="#" class="button">Sample Button</a>
         <a href="#" class="button">Another Button</a>
     </div>
     
+    <!-- Include the preference storage module -->
+    <script src="storage.js"></script>
+    
     <!-- Include the configuration file (optional - uses defaults if omitted) -->
     <script src="accessibility-config.js"></script>
     
+    <!-- Save preferences in a cookie so this page can read them server-side -->
+    <script>
+        AccessibilityConfig.storage = 'cookie';
+    </script>
+    
     <!-- Include the plugin JavaScript (must be loaded last) -->
     <script src="accessibility-plugin.js"></script>
 </body>
@@ -0,0 +1,550 @@
+/**
+ * Preference Storage Module
+ * Versioned, migratable storage for accessibility preferences
+ * Storage backends are pluggable adapters: localStorage, sessionStorage, cookies or a REST endpoint
+ * Falls back to in-memory storage when Web Storage is unavailable (Safari private mode, sandboxed iframes)
+ */
+
+(function() {
+    'use strict';
+
+    // Key used by every version of the plugin
+    const STORAGE_KEY = 'accessibilityPluginSettings';
+
+    // Bump this and add a migration below whenever stored settings are renamed or removed
+    const STORAGE_VERSION = 2;
+
+    // Browsers drop cookies longer than this (name and value together) without an error
+    const MAX_COOKIE_LENGTH = 4096;
+
+    // Migrations keyed by the version they produce. Each receives the settings of the previous version.
+    const MIGRATIONS = {
+        // Version 0 is the unversioned blob written by 1.0.x (a raw copy of currentState)
+        1: function(settings) {
+            const migrated = { ...settings };
+            // 1.0.x also saved the quick dark mode toggle; contrast already holds that value
+            delete migrated.darkMode;
+            return migrated;
+        },
+        // Color blindness filters used to always simulate; correcting became the default in version 2
+        2: function(settings) {
+            if (!settings.colorBlindness || settings.colorBlindness === 'none') {
+                return settings;
+            }
+            return { ...settings, colorBlindnessMode: 'simulate' };
+        }
+    };
+
+    // Minimal Storage stand-in, used as a fallback and for tests
+    class MemoryStorage {
+        constructor() {
+            this.items = new Map();
+        }
+
+        getItem(key) {
+            return this.items.has(key) ? this.items.get(key) : null;
+        }
+
+        setItem(key, value) {
+            this.items.set(key, String(value));
+        }
+
+        removeItem(key) {
+            this.items.delete(key);
+        }
+
+        clear() {
+            this.items.clear();
+        }
+    }
+
+    /**
+     * Check that a Storage object can actually be written to
+     */
+    function isStorageUsable(storage) {
+        if (!storage) return false;
+        try {
+            const testKey = STORAGE_KEY + '-test';
+            storage.setItem(testKey, '1');
+            storage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Get window.localStorage or window.sessionStorage without throwing
+     * (accessing them can throw in sandboxed iframes)
+     */
+    function getWebStorage(name) {
+        try {
+            return typeof window !== 'undefined' ? window[name] : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Adapter for the Web Storage API (localStorage, sessionStorage or any Storage-like object)
+     */
+    class WebStorageAdapter {
+        constructor(storage, options = {}) {
+            this.key = options.key || STORAGE_KEY;
+            if (isStorageUsable(storage)) {
+                this.storage = storage;
+                this.persistent = true;
+            } else {
+                console.warn('Preference Storage: Storage unavailable, preferences will only last for this page');
+                this.storage = new MemoryStorage();
+                this.persistent = false;
+            }
+        }
+
+        async load() {
+            const raw = this.storage.getItem(this.key);
+            return raw ? JSON.parse(raw) : null;
+        }
+
+        async save(data) {
+            try {
+                this.storage.setItem(this.key, JSON.stringify(data));
+            } catch (error) {
+                // Quota exceeded or storage revoked mid-session - keep going in memory
+                if (this.persistent) {
+                    this.storage = new MemoryStorage();
+                    this.persistent = false;
+                    this.storage.setItem(this.key, JSON.stringify(data));
+                }
+                throw error;
+            }
+        }
+
+        async clear() {
+            this.storage.removeItem(this.key);
+        }
+
+        isPersistent() {
+            return this.persistent;
+        }
+    }
+
+    class LocalStorageAdapter extends WebStorageAdapter {
+        constructor(options = {}) {
+            super(getWebStorage('localStorage'), options);
+        }
+    }
+
+    class SessionStorageAdapter extends WebStorageAdapter {
+        constructor(options = {}) {
+            super(getWebStorage('sessionStorage'), options);
+        }
+    }
+
+    /**
+     * Adapter storing preferences in a cookie so the server can read them and render server-side.
+     * The cookie value is URL-encoded JSON: { "version": 1, "settings": { ... } }
+     */
+    class CookieAdapter {
+        constructor(options = {}) {
+            this.name = options.name || STORAGE_KEY;
+            this.days = options.days !== undefined ? options.days : 365;
+            this.path = options.path || '/';
+            this.domain = options.domain || '';
+            this.sameSite = options.sameSite || 'Lax';
+            this.secure = options.secure !== undefined
+                ? options.secure
+                : (typeof location !== 'undefined' && location.protocol === 'https:');
+        }
+
+        async load() {
+            const prefix = this.name + '=';
+            const cookie = document.cookie.split(';')
+                .map(part => part.trim())
+                .find(part => part.indexOf(prefix) === 0);
+            return cookie ? JSON.parse(decodeURIComponent(cookie.substring(prefix.length))) : null;
+        }
+
+        async save(data) {
+            const value = encodeURIComponent(JSON.stringify(data));
+            if (this.name.length + 1 + value.length > MAX_COOKIE_LENGTH) {
+                throw new Error('Preferences are too large for a cookie (' + value.length + ' bytes, at most ' +
+                    MAX_COOKIE_LENGTH + ' allowed)');
+            }
+            this.write(value, this.days);
+        }
+
+        async clear() {
+            this.write('', -1);
+        }
+
+        write(value, days) {
+            let cookie = this.name + '=' + value + '; path=' + this.path + '; SameSite=' + this.sameSite;
+            const expires = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+            cookie += '; expires=' + expires.toUTCString();
+            if (this.domain) {
+                cookie += '; domain=' + this.domain;
+            }
+            if (this.secure) {
+                cookie += '; Secure';
+            }
+            document.cookie = cookie;
+        }
+
+        isPersistent() {
+            return navigator.cookieEnabled !== false;
+        }
+    }
+
+    /**
+     * Adapter syncing preferences with a REST endpoint, for profiles that follow a logged-in user.
+     *
+     * GET  url -> 200 { version, settings } (404 when nothing is stored yet)
+     * PUT  url <- { version, settings }, sent with If-Match when the server returned an ETag, and with
+     *             If-None-Match: * when it didn't (so a copy saved meanwhile isn't replaced).
+     *             A 409 or 412 response is a conflict: the adapter reloads the server copy,
+     *             resolves it with onConflict(local, remote) and retries once.
+     *
+     * Writes are debounced so dragging a slider doesn't send a request per step. Nothing is written until
+     * a load has succeeded: after a failed load the local settings are defaults, not the user's.
+     */
+    class RestAdapter {
+        constructor(options = {}) {
+            if (!options.url) {
+                throw new Error('RestAdapter requires a url');
+            }
+            this.url = options.url;
+            this.headers = options.headers || {};
+            this.credentials = options.credentials || 'same-origin';
+            this.debounce = options.debounce !== undefined ? options.debounce : 1000;
+            this.fetch = options.fetch || ((...args) => fetch(...args));
+            this.onConflict = options.onConflict || RestAdapter.preferLocal;
+            this.etag = null;
+            this.exists = false; // whether the server has a copy, to know which precondition a write needs
+            this.loaded = false;
+            this.pendingData = null;
+            this.pendingTimer = null;
+            this.pendingWaiters = [];
+        }
+
+        /**
+         * Default conflict resolution: keep settings from both sides, local changes win
+         */
+        static preferLocal(local, remote) {
+            return {
+                version: local.version,
+                settings: { ...(remote && remote.settings), ...local.settings }
+            };
+        }
+
+        /**
+         * options.keepalive: let the request finish after the page unloads
+         */
+        async request(method, body, options = {}) {
+            const headers = { 'Accept': 'application/json', ...this.headers };
+            if (body !== undefined) {
+                headers['Content-Type'] = 'application/json';
+                // Servers that send no ETag get no precondition for an existing copy
+                if (this.etag) {
+                    headers['If-Match'] = this.etag;
+                } else if (!this.exists) {
+                    headers['If-None-Match'] = '*';
+                }
+            }
+            return this.fetch(this.url, {
+                method: method,
+                headers: headers,
+                credentials: this.credentials,
+                keepalive: !!options.keepalive,
+                body: body !== undefined ? JSON.stringify(body) : undefined
+            });
+        }
+
+        async load() {
+            const response = await this.request('GET');
+            if (response.status === 404 || response.status === 204) {
+                this.etag = null;
+                this.exists = false;
+                this.loaded = true;
+                return null;
+            }
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status + ': ' + response.statusText);
+            }
+            const stored = await response.json();
+            this.etag = response.headers.get('ETag');
+            this.exists = true;
+            this.loaded = true;
+            return stored;
+        }
+
+        save(data) {
+            if (!this.loaded) {
+                return Promise.reject(new Error('Preferences were not loaded from the server, not overwriting them'));
+            }
+            this.pendingData = data;
+            if (this.pendingTimer) {
+                clearTimeout(this.pendingTimer);
+            }
+            return new Promise((resolve, reject) => {
+                this.pendingWaiters.push({ resolve: resolve, reject: reject });
+                this.pendingTimer = setTimeout(() => this.flush(), this.debounce);
+            });
+        }
+
+        /**
+         * Send the pending write now instead of waiting for the debounce delay.
+         * options.keepalive: the page is unloading (see request)
+         */
+        async flush(options = {}) {
+            if (this.pendingTimer) {
+                clearTimeout(this.pendingTimer);
+                this.pendingTimer = null;
+            }
+            const data = this.pendingData;
+            const waiters = this.pendingWaiters;
+            this.pendingData = null;
+            this.pendingWaiters = [];
+            if (!data) return;
+
+            try {
+                await this.put(data, true, options);
+                waiters.forEach(waiter => waiter.resolve());
+            } catch (error) {
+                waiters.forEach(waiter => waiter.reject(error));
+            }
+        }
+
+        async put(data, retryOnConflict, options) {
+            const response = await this.request('PUT', data, options);
+            if ((response.status === 409 || response.status === 412) && retryOnConflict) {
+                console.warn('Preference Storage: Server copy changed, resolving conflict');
+                const remote = await this.load();
+                return this.put(this.onConflict(data, remote), false, options);
+            }
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status + ': ' + response.statusText);
+            }
+            this.etag = response.headers.get('ETag') || null;
+            this.exists = true;
+        }
+
+        async clear() {
+            const response = await this.request('DELETE');
+            if (!response.ok && response.status !== 404) {
+                throw new Error('HTTP ' + response.status + ': ' + response.statusText);
+            }
+            this.etag = null;
+            this.exists = false;
+        }
+
+        isPersistent() {
+            return true;
+        }
+    }
+
+    /**
+     * Turn a storage option into an adapter.
+     * Accepts an adapter object (anything with async load/save), a built-in adapter name
+     * ('localStorage', 'sessionStorage', 'cookie') or { type: 'rest', url: ... } style options.
+     */
+    function createAdapter(spec) {
+        if (!spec) {
+            return new LocalStorageAdapter();
+        }
+        if (typeof spec.load === 'function' && typeof spec.save === 'function') {
+            return spec;
+        }
+
+        const type = typeof spec === 'string' ? spec : spec.type;
+        const options = typeof spec === 'string' ? {} : spec;
+        try {
+            switch (type) {
+                case 'localStorage':
+                    return new LocalStorageAdapter(options);
+                case 'sessionStorage':
+                    return new SessionStorageAdapter(options);
+                case 'cookie':
+                    return new CookieAdapter(options);
+                case 'rest':
+                    return new RestAdapter(options);
+                default:
+                    console.warn('Preference Storage: Unknown storage type "' + type + '", using localStorage');
+                    return new LocalStorageAdapter(options);
+            }
+        } catch (error) {
+            // Bad adapter options (a REST adapter without url) shouldn't stop the plugin from starting
+            console.warn('Preference Storage: ' + error.message + ', using localStorage');
+            return new LocalStorageAdapter();
+        }
+    }
+
+    class PreferenceStorage {
+        /**
+         * @param {Object} options
+         * @param {Object|string} options.adapter - Storage adapter or built-in adapter name, defaults to localStorage
+         * @param {Storage} options.storage - Storage-like object to wrap instead of an adapter (e.g. MemoryStorage in tests)
+         * @param {number} options.version - Current schema version
+         * @param {Object} options.migrations - Migration functions keyed by target version
+         * @param {Function} options.validate - (key, value) => error message or null
+         */
+        constructor(options = {}) {
+            this.version = options.version || STORAGE_VERSION;
+            this.migrations = options.migrations || MIGRATIONS;
+            this.validate = options.validate || null;
+            this.adapter = options.storage
+                ? new WebStorageAdapter(options.storage, options)
+                : createAdapter(options.adapter);
+        }
+
+        /**
+         * Normalize stored data into { version, settings }
+         */
+        parse(stored) {
+            if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+                throw new Error('Stored preferences are not an object');
+            }
+            // Unversioned blobs from 1.0.x are the settings object itself
+            if (typeof stored.version !== 'number' || !stored.settings) {
+                return { version: 0, settings: stored };
+            }
+            return { version: stored.version, settings: stored.settings };
+        }
+
+        /**
+         * Run every migration between the stored version and the current one
+         */
+        migrate(settings, fromVersion) {
+            let migrated = settings;
+            for (let version = fromVersion + 1; version <= this.version; version++) {
+                if (typeof this.migrations[version] === 'function') {
+                    migrated = this.migrations[version](migrated);
+                }
+            }
+            return migrated;
+        }
+
+        /**
+         * Drop keys that are unknown or hold invalid values
+         */
+        sanitize(settings, quiet = false) {
+            if (!this.validate) return { ...settings };
+
+            const sanitized = {};
+            Object.keys(settings).forEach(key => {
+                const error = this.validate(key, settings[key]);
+                if (error) {
+                    if (!quiet) {
+                        console.warn('Preference Storage: Ignoring stored setting -', error);
+                    }
+                } else {
+                    sanitized[key] = settings[key];
+                }
+            });
+            return sanitized;
+        }
+
+        /**
+         * Load, migrate and validate stored preferences. Resolves to {} when nothing usable is stored.
+         */
+        async load() {
+            let stored;
+            try {
+                stored = await this.adapter.load();
+            } catch (error) {
+                // Corrupt JSON is not worth keeping; network errors leave the server copy alone
+                console.warn('Preference Storage: Failed to read preferences:', error);
+                if (error instanceof SyntaxError) {
+                    this.clear();
+                }
+                return {};
+            }
+            if (!stored) return {};
+
+            try {
+                stored = this.parse(stored);
+            } catch (error) {
+                console.warn('Preference Storage: Discarding corrupt preferences:', error);
+                this.clear();
+                return {};
+            }
+
+            if (stored.version > this.version) {
+                // Written by a newer plugin version, keep only what we still understand
+                console.warn('Preference Storage: Preferences were saved by a newer version (' + stored.version + ')');
+                return this.sanitize(stored.settings);
+            }
+
+            let settings;
+            try {
+                settings = this.migrate(stored.settings, stored.version);
+            } catch (error) {
+                console.warn('Preference Storage: Migration failed, discarding preferences:', error);
+                this.clear();
+                return {};
+            }
+
+            settings = this.sanitize(settings);
+            if (stored.version < this.version) {
+                this.save(settings);
+            }
+            return settings;
+        }
+
+        /**
+         * Save preferences. Resolves to false if the adapter rejected the write.
+         */
+        async save(settings) {
+            const data = {
+                version: this.version,
+                settings: this.sanitize(settings || {}, true)
+            };
+            try {
+                await this.adapter.save(data);
+                return true;
+            } catch (error) {
+                console.warn('Preference Storage: Failed to save preferences:', error);
+                return false;
+            }
+        }
+
+        /**
+         * Remove stored preferences
+         */
+        async clear() {
+            try {
+                if (typeof this.adapter.clear === 'function') {
+                    await this.adapter.clear();
+                }
+            } catch (error) {
+                console.warn('Preference Storage: Failed to clear preferences:', error);
+            }
+        }
+
+        /**
+         * Check whether preferences survive a page reload
+         */
+        isPersistent() {
+            return typeof this.adapter.isPersistent === 'function' ? this.adapter.isPersistent() : true;
+        }
+    }
+
+    PreferenceStorage.VERSION = STORAGE_VERSION;
+    PreferenceStorage.MemoryStorage = MemoryStorage;
+    PreferenceStorage.WebStorageAdapter = WebStorageAdapter;
+    PreferenceStorage.LocalStorageAdapter = LocalStorageAdapter;
+    PreferenceStorage.SessionStorageAdapter = SessionStorageAdapter;
+    PreferenceStorage.CookieAdapter = CookieAdapter;
+    PreferenceStorage.RestAdapter = RestAdapter;
+    PreferenceStorage.createAdapter = createAdapter;
+
+    // Export Preference Storage
+    if (typeof window !== 'undefined') {
+        window.PreferenceStorage = PreferenceStorage;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PreferenceStorage;
+    }
+
+})();
@@ -0,0 +1,68 @@
+// Unified English Braille translation, checked against known translation pairs
+// Run: node --test test/
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const BrailleConverter = require('../braille.js');
+
+const converter = new BrailleConverter();
+
+function check(pairs, grade) {
+    pairs.forEach(([text, braille]) => {
+        assert.strictEqual(converter.textToBraille(text, { grade: grade }), braille, JSON.stringify(text));
+    });
+}
+
+test('grade 1 letters and capitals', () => {
+    check([
+        ['r', '⠗'],
+        ['s', '⠎'],
+        ['r s', '⠗⠀⠎'],
+        ['Hello World', '⠠⠓⠑⠇⠇⠕⠀⠠⠺⠕⠗⠇⠙']
+    ], 1);
+});
+
+test('wordsigns and shortforms', () => {
+    check([
+        ['the', '⠮'], ['and', '⠯'], ['but', '⠃'], ['a', '⠁'], ['knowledge', '⠅'], ['children', '⠡⠝'],
+        ['about', '⠁⠃'], ['be', '⠆'], ['in', '⠔'], ['was', '⠴'], ['The', '⠠⠮'], ['I', '⠠⠊']
+    ], 2);
+});
+
+test('grade 1 indicator where letters would read as a wordsign', () => {
+    check([
+        ['b', '⠰⠃'], ['x', '⠰⠭'], ['ab', '⠰⠁⠃'], ['Plan B', '⠠⠏⠇⠁⠝⠀⠰⠠⠃'], ['e-mail', '⠰⠑⠤⠍⠁⠊⠇']
+    ], 2);
+});
+
+test('groupsigns inside words', () => {
+    check([
+        ['thing', '⠹⠬'], ['string', '⠌⠗⠬'], ['other', '⠕⠮⠗'], ['everything', '⠐⠑⠽⠹⠬'], ['nation', '⠝⠁⠰⠝'],
+        ['kindness', '⠅⠔⠙⠰⠎'], ['each', '⠑⠁⠡'], ['rabbit', '⠗⠁⠆⠊⠞'], ['done', '⠙⠐⠕'], ['money', '⠍⠐⠕⠽'],
+        ['bed', '⠃⠫'], ['being', '⠆⠬'], ['disk', '⠙⠊⠎⠅'], ['display', '⠲⠏⠇⠁⠽'], ['accept', '⠁⠒⠑⠏⠞'],
+        ['concert', '⠒⠉⠻⠞'], ['cone', '⠉⠐⠕'], ['shade', '⠩⠁⠙⠑'], ['st', '⠎⠞'], ['well-known', '⠺⠑⠇⠇⠤⠐⠅⠝']
+    ], 2);
+});
+
+test('wordsigns touching punctuation and apostrophes', () => {
+    check([
+        ['in.', '⠊⠝⠲'], ['be.', '⠃⠑⠲'], ['his.', '⠓⠊⠎⠲'], ['it\'s', '⠭⠄⠎'], ['can\'t', '⠉⠁⠝⠄⠞'],
+        ['(you)', '⠐⠣⠽⠐⠜'], ['"Hi," he said.', '⠦⠠⠓⠊⠂⠴⠀⠓⠑⠀⠎⠙⠲']
+    ], 2);
+});
+
+test('capitalized words and passages', () => {
+    check([
+        ['USA', '⠠⠠⠥⠎⠁'], ['NATO', '⠠⠠⠝⠁⠞⠕'], ['CDs', '⠠⠠⠉⠙⠠⠄⠎'], ['McDonald', '⠠⠍⠉⠠⠙⠕⠝⠁⠇⠙'],
+        ['THIS IS VERY LOUD', '⠠⠠⠠⠹⠀⠊⠎⠀⠧⠀⠇⠳⠙⠠⠄']
+    ], 2);
+});
+
+test('numbers', () => {
+    check([
+        ['123', '⠼⠁⠃⠉'], ['3a', '⠼⠉⠰⠁'], ['3d', '⠼⠉⠰⠙'], ['3D', '⠼⠉⠠⠙'], ['4th', '⠼⠙⠹'],
+        ['1,000.5', '⠼⠁⠂⠚⠚⠚⠲⠑'], ['555-1234', '⠼⠑⠑⠑⠤⠼⠁⠃⠉⠙'], ['50%', '⠼⠑⠚⠨⠴'], ['$5', '⠈⠎⠼⠑']
+    ], 2);
+});
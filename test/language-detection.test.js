@@ -0,0 +1,54 @@
+// TTS language detection of Latin-script text, checked against sentences of known language
+// Run: node --test test/
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const TTSManager = require('../tts.js');
+
+const manager = new TTSManager();
+
+function check(pairs) {
+    pairs.forEach(([text, lang]) => {
+        assert.strictEqual(manager.detectLanguage(text), lang, JSON.stringify(text));
+    });
+}
+
+test('sentences without accents', () => {
+    check([
+        ['The quick brown fox jumps over the lazy dog while the farmer watches.', 'en'],
+        ['De snelle bruine vos springt over de luie hond.', 'nl'],
+        ['Het is een mooie dag en wij gaan naar het strand.', 'nl'],
+        ['Jag har inte sett henne sedan vi var barn.', 'sv'],
+        ['Den raske brune reven hopper over den late hunden.', 'no'],
+        ['Jeg har ikke sett henne siden vi var barn.', 'no'],
+        ['La volpe marrone salta sopra il cane pigro.', 'it'],
+        ['Le renard brun rapide saute par-dessus le chien paresseux.', 'fr']
+    ]);
+});
+
+test('accents shared between languages do not decide the language', () => {
+    check([
+        ['The café served a crème brûlée to the naïve fiancé yesterday.', 'en'],
+        ['Él también está aquí, después de la reunión en el café.', 'es'],
+        ['El rápido zorro marrón salta sobre el perro perezoso.', 'es'],
+        ['Non so perché sia partito così presto stamattina.', 'it'],
+        ['Nous avons été très heureux de vous voir à la fête.', 'fr']
+    ]);
+});
+
+test('letters of one language', () => {
+    check([
+        ['El niño pequeño come una manzana en la escuela.', 'es'],
+        ['Die Straße ist heute sehr ruhig und leer.', 'de'],
+        ['Der schnelle braune Fuchs springt über den faulen Hund.', 'de'],
+        ['Den snabba bruna räven hoppar över den lata hunden.', 'sv'],
+        ['Szybki brązowy lis przeskakuje nad leniwym psem.', 'pl']
+    ]);
+});
+
+test('short text falls back', () => {
+    assert.strictEqual(manager.detectLanguage('Hola', { fallback: 'de' }), 'de');
+    assert.strictEqual(manager.detectLanguage('', { fallback: 'fr' }), 'fr');
+});
@@ -0,0 +1,210 @@
+// Storage adapters against a mock preferences server and a stand-in document.cookie
+// Run: node --test test/
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const PreferenceStorage = require('../storage.js');
+
+const { RestAdapter, CookieAdapter, LocalStorageAdapter, createAdapter } = PreferenceStorage;
+
+// Keeps one stored copy with an ETag, like a real preferences endpoint (options.etags: false leaves it out)
+function startServer(options = {}) {
+    const server = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', chunk => {
+            body += chunk;
+        });
+        request.on('end', () => {
+            server.requests.push({ method: request.method, headers: request.headers, body: body });
+            if (server.failing) {
+                response.writeHead(503);
+                response.end();
+                return;
+            }
+            if (request.method === 'GET') {
+                if (!server.stored) {
+                    response.writeHead(404);
+                    response.end();
+                    return;
+                }
+                response.writeHead(200, { 'Content-Type': 'application/json', ...etagHeader() });
+                response.end(JSON.stringify(server.stored));
+            } else if (request.method === 'PUT') {
+                const ifMatch = request.headers['if-match'];
+                const ifNoneMatch = request.headers['if-none-match'];
+                if ((ifMatch && ifMatch !== '"' + server.revision + '"') || (ifNoneMatch === '*' && server.stored)) {
+                    response.writeHead(412);
+                    response.end();
+                    return;
+                }
+                server.stored = JSON.parse(body);
+                server.revision++;
+                response.writeHead(204, etagHeader());
+                response.end();
+            } else {
+                response.writeHead(405);
+                response.end();
+            }
+        });
+    });
+    const etagHeader = () => options.etags === false ? {} : { 'ETag': '"' + server.revision + '"' };
+    server.stored = options.stored || null;
+    server.revision = 1;
+    server.requests = [];
+    server.failing = false;
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            server.url = 'http://127.0.0.1:' + server.address().port + '/preferences';
+            resolve(server);
+        });
+    });
+}
+
+function stopServer(server) {
+    return new Promise(resolve => server.close(resolve));
+}
+
+test('RestAdapter loads the server copy and saves with If-Match', async () => {
+    const server = await startServer({ stored: { version: 1, settings: { fontSize: 150 } } });
+    try {
+        const adapter = new RestAdapter({ url: server.url, debounce: 0 });
+        assert.deepStrictEqual(await adapter.load(), { version: 1, settings: { fontSize: 150 } });
+
+        await adapter.save({ version: 1, settings: { fontSize: 200 } });
+        const put = server.requests.find(request => request.method === 'PUT');
+        assert.strictEqual(put.headers['if-match'], '"1"');
+        assert.deepStrictEqual(server.stored, { version: 1, settings: { fontSize: 200 } });
+    } finally {
+        await stopServer(server);
+    }
+});
+
+test('RestAdapter debounces writes into one request', async () => {
+    const server = await startServer();
+    try {
+        const adapter = new RestAdapter({ url: server.url, debounce: 20 });
+        assert.strictEqual(await adapter.load(), null);
+
+        await Promise.all([
+            adapter.save({ version: 1, settings: { fontSize: 110 } }),
+            adapter.save({ version: 1, settings: { fontSize: 120 } }),
+            adapter.save({ version: 1, settings: { fontSize: 130 } })
+        ]);
+        const puts = server.requests.filter(request => request.method === 'PUT');
+        assert.strictEqual(puts.length, 1);
+        assert.strictEqual(puts[0].headers['if-none-match'], '*');
+        assert.deepStrictEqual(server.stored.settings, { fontSize: 130 });
+    } finally {
+        await stopServer(server);
+    }
+});
+
+test('RestAdapter merges a conflicting server copy and retries', async () => {
+    const server = await startServer({ stored: { version: 1, settings: { fontSize: 150, contrast: 'dark' } } });
+    try {
+        const adapter = new RestAdapter({ url: server.url, debounce: 0 });
+        await adapter.load();
+        // Another device saves in the meantime
+        server.stored = { version: 1, settings: { fontSize: 150, contrast: 'high' } };
+        server.revision++;
+
+        await adapter.save({ version: 1, settings: { fontSize: 175 } });
+        assert.deepStrictEqual(server.stored.settings, { fontSize: 175, contrast: 'high' });
+    } finally {
+        await stopServer(server);
+    }
+});
+
+test('RestAdapter saves to a server without ETags without a precondition', async () => {
+    const server = await startServer({ stored: { version: 1, settings: { fontSize: 150 } }, etags: false });
+    try {
+        const adapter = new RestAdapter({ url: server.url, debounce: 0 });
+        await adapter.load();
+
+        await adapter.save({ version: 1, settings: { fontSize: 175 } });
+        await adapter.save({ version: 1, settings: { fontSize: 200 } });
+        const puts = server.requests.filter(request => request.method === 'PUT');
+        assert.strictEqual(puts.length, 2);
+        puts.forEach(put => {
+            assert.strictEqual(put.headers['if-none-match'], undefined);
+            assert.strictEqual(put.headers['if-match'], undefined);
+        });
+        assert.deepStrictEqual(server.stored.settings, { fontSize: 200 });
+    } finally {
+        await stopServer(server);
+    }
+});
+
+test('RestAdapter creates the server copy once, then saves to it without an ETag', async () => {
+    const server = await startServer({ etags: false });
+    try {
+        const adapter = new RestAdapter({ url: server.url, debounce: 0 });
+        assert.strictEqual(await adapter.load(), null);
+
+        await adapter.save({ version: 1, settings: { fontSize: 110 } });
+        await adapter.save({ version: 1, settings: { fontSize: 120 } });
+        const puts = server.requests.filter(request => request.method === 'PUT');
+        assert.strictEqual(puts[0].headers['if-none-match'], '*');
+        assert.strictEqual(puts[1].headers['if-none-match'], undefined);
+        assert.deepStrictEqual(server.stored.settings, { fontSize: 120 });
+    } finally {
+        await stopServer(server);
+    }
+});
+
+test('RestAdapter does not overwrite the server copy after a failed load', async () => {
+    const server = await startServer({ stored: { version: 1, settings: { fontSize: 150 } } });
+    try {
+        const storage = new PreferenceStorage({ adapter: { type: 'rest', url: server.url, debounce: 0 } });
+        server.failing = true;
+        assert.deepStrictEqual(await storage.load(), {});
+
+        server.failing = false;
+        assert.strictEqual(await storage.save({ fontSize: 100 }), false);
+        assert.strictEqual(server.requests.filter(request => request.method === 'PUT').length, 0);
+        assert.deepStrictEqual(server.stored.settings, { fontSize: 150 });
+    } finally {
+        await stopServer(server);
+    }
+});
+
+test('RestAdapter sends flushed writes with keepalive', async () => {
+    const calls = [];
+    const adapter = new RestAdapter({
+        url: '/preferences',
+        debounce: 10000,
+        fetch: async (url, init) => {
+            calls.push(init);
+            return { ok: true, status: init.method === 'GET' ? 404 : 204, headers: { get: () => null } };
+        }
+    });
+    await adapter.load();
+    const saved = adapter.save({ version: 1, settings: {} });
+    await adapter.flush({ keepalive: true });
+    await saved;
+    assert.strictEqual(calls[1].method, 'PUT');
+    assert.strictEqual(calls[1].keepalive, true);
+});
+
+test('createAdapter falls back to localStorage for a REST adapter without url', () => {
+    assert.ok(createAdapter({ type: 'rest' }) instanceof LocalStorageAdapter);
+});
+
+test('CookieAdapter saves, loads and refuses preferences too large for a cookie', async () => {
+    global.document = { cookie: '' };
+    try {
+        const adapter = new CookieAdapter({ secure: false });
+        await adapter.save({ version: 1, settings: { fontSize: 150 } });
+        // The stand-in keeps only the last cookie written, without its attributes
+        document.cookie = document.cookie.split(';')[0];
+        assert.deepStrictEqual(await adapter.load(), { version: 1, settings: { fontSize: 150 } });
+
+        await assert.rejects(adapter.save({ version: 1, settings: { notes: 'x'.repeat(5000) } }), /too large/);
+        assert.deepStrictEqual(await adapter.load(), { version: 1, settings: { fontSize: 150 } });
+    } finally {
+        delete global.document;
+    }
+});
@@ -0,0 +1,143 @@
+// Versioned preference storage with the in-memory Storage stand-in
+// Run: node --test test/
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const PreferenceStorage = require('../storage.js');
+
+const { MemoryStorage } = PreferenceStorage;
+const KEY = 'accessibilityPluginSettings';
+
+// Accepts the keys of a small schema, like the plugin's validateSetting
+function validate(key, value) {
+    const schema = { fontSize: 'number', contrast: 'string', textSize: 'number' };
+    if (!schema[key]) return 'Unknown setting: ' + key;
+    return typeof value === schema[key] ? null : 'Invalid value for ' + key;
+}
+
+function stored(storage) {
+    return JSON.parse(storage.getItem(KEY));
+}
+
+test('saves settings with the schema version and loads them back', async () => {
+    const memory = new MemoryStorage();
+    const preferences = new PreferenceStorage({ storage: memory, validate: validate });
+
+    assert.strictEqual(await preferences.save({ fontSize: 150, contrast: 'dark' }), true);
+    assert.deepStrictEqual(stored(memory), { version: PreferenceStorage.VERSION, settings: { fontSize: 150, contrast: 'dark' } });
+    assert.deepStrictEqual(await preferences.load(), { fontSize: 150, contrast: 'dark' });
+});
+
+test('migrates an unversioned 1.0.x blob and saves it in the current format', async () => {
+    const memory = new MemoryStorage();
+    memory.setItem(KEY, JSON.stringify({ fontSize: 125, darkMode: true }));
+    const preferences = new PreferenceStorage({ storage: memory });
+
+    assert.deepStrictEqual(await preferences.load(), { fontSize: 125 });
+    assert.deepStrictEqual(stored(memory), { version: PreferenceStorage.VERSION, settings: { fontSize: 125 } });
+});
+
+test('keeps simulating the color blindness filter saved before correction became the default', async () => {
+    const memory = new MemoryStorage();
+    memory.setItem(KEY, JSON.stringify({ version: 1, settings: { colorBlindness: 'deuteranopia', fontSize: 125 } }));
+    const preferences = new PreferenceStorage({ storage: memory });
+
+    assert.deepStrictEqual(await preferences.load(), { colorBlindness: 'deuteranopia', colorBlindnessMode: 'simulate', fontSize: 125 });
+
+    const unfiltered = new MemoryStorage();
+    unfiltered.setItem(KEY, JSON.stringify({ version: 1, settings: { colorBlindness: 'none' } }));
+    assert.deepStrictEqual(await new PreferenceStorage({ storage: unfiltered }).load(), { colorBlindness: 'none' });
+});
+
+test('runs every migration between the stored and the current version', async () => {
+    const memory = new MemoryStorage();
+    memory.setItem(KEY, JSON.stringify({ version: 1, settings: { size: 'large' } }));
+    const preferences = new PreferenceStorage({
+        storage: memory,
+        version: 3,
+        validate: validate,
+        migrations: {
+            2: settings => ({ textSize: settings.size === 'large' ? 150 : 100 }),
+            3: settings => ({ fontSize: settings.textSize })
+        }
+    });
+
+    assert.deepStrictEqual(await preferences.load(), { fontSize: 150 });
+    assert.strictEqual(stored(memory).version, 3);
+});
+
+test('drops stored values that fail validation', async () => {
+    const memory = new MemoryStorage();
+    memory.setItem(KEY, JSON.stringify({ version: 1, settings: { fontSize: 'huge', contrast: 'high', removed: true } }));
+    const preferences = new PreferenceStorage({ storage: memory, validate: validate });
+
+    assert.deepStrictEqual(await preferences.load(), { contrast: 'high' });
+});
+
+test('discards corrupt JSON', async () => {
+    const memory = new MemoryStorage();
+    memory.setItem(KEY, '{"fontSize": 1');
+    const preferences = new PreferenceStorage({ storage: memory });
+
+    assert.deepStrictEqual(await preferences.load(), {});
+    assert.strictEqual(memory.getItem(KEY), null);
+});
+
+test('discards stored data that is not an object', async () => {
+    const memory = new MemoryStorage();
+    memory.setItem(KEY, '[1, 2, 3]');
+    const preferences = new PreferenceStorage({ storage: memory });
+
+    assert.deepStrictEqual(await preferences.load(), {});
+    assert.strictEqual(memory.getItem(KEY), null);
+});
+
+test('discards preferences when a migration throws', async () => {
+    const memory = new MemoryStorage();
+    memory.setItem(KEY, JSON.stringify({ version: 1, settings: { fontSize: 150 } }));
+    const preferences = new PreferenceStorage({
+        storage: memory,
+        version: 2,
+        migrations: { 2: () => { throw new Error('broken'); } }
+    });
+
+    assert.deepStrictEqual(await preferences.load(), {});
+    assert.strictEqual(memory.getItem(KEY), null);
+});
+
+test('keeps what it understands from a newer version without overwriting it', async () => {
+    const memory = new MemoryStorage();
+    const blob = JSON.stringify({ version: 99, settings: { fontSize: 175, futureSetting: 'on' } });
+    memory.setItem(KEY, blob);
+    const preferences = new PreferenceStorage({ storage: memory, validate: validate });
+
+    assert.deepStrictEqual(await preferences.load(), { fontSize: 175 });
+    assert.strictEqual(memory.getItem(KEY), blob);
+});
+
+test('falls back to memory when the storage cannot be written', async () => {
+    const broken = new MemoryStorage();
+    broken.setItem = () => {
+        throw new Error('QuotaExceededError');
+    };
+    const preferences = new PreferenceStorage({ storage: broken });
+
+    assert.strictEqual(preferences.isPersistent(), false);
+    assert.strictEqual(await preferences.save({ fontSize: 150 }), true);
+    assert.deepStrictEqual(await preferences.load(), { fontSize: 150 });
+});
+
+test('keeps preferences in memory when a write fails mid-session', async () => {
+    const memory = new MemoryStorage();
+    const preferences = new PreferenceStorage({ storage: memory });
+    assert.strictEqual(preferences.isPersistent(), true);
+
+    memory.setItem = () => {
+        throw new Error('QuotaExceededError');
+    };
+    assert.strictEqual(await preferences.save({ fontSize: 200 }), false);
+    assert.strictEqual(preferences.isPersistent(), false);
+    assert.deepStrictEqual(await preferences.load(), { fontSize: 200 });
+});
@@ -0,0 +1,339 @@
+/**
+ * Text Extraction Module
+ * Works out what text-to-speech should say for an element, range or form control
+ * Follows the accname spec: aria-labelledby, aria-label, alt, <label>, title - and leaves out
+ * aria-hidden, hidden and display:none content, scripts and styles
+ */
+
+(function() {
+    'use strict';
+
+    // Roles whose name comes from their content
+    const NAME_FROM_CONTENT_ROLES = ['button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading', 'link',
+        'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'row', 'rowheader', 'switch', 'tab',
+        'tooltip', 'treeitem'];
+
+    // Controls that take part in a label's text with their value
+    const EMBEDDED_CONTROL_ROLES = ['textbox', 'combobox', 'listbox', 'slider', 'spinbutton'];
+
+    // Elements read as a whole, by their name (and value), instead of by their content
+    const ATOMIC_ROLES = ['button', 'checkbox', 'combobox', 'img', 'link', 'listbox', 'menuitem', 'menuitemcheckbox',
+        'menuitemradio', 'option', 'radio', 'slider', 'spinbutton', 'switch', 'tab', 'textbox'];
+
+    // How roles are announced
+    const ROLE_NAMES = {
+        button: 'button',
+        checkbox: 'checkbox',
+        combobox: 'combo box',
+        img: 'image',
+        link: 'link',
+        listbox: 'list box',
+        menuitem: 'menu item',
+        menuitemcheckbox: 'menu item checkbox',
+        menuitemradio: 'menu item radio button',
+        option: 'option',
+        radio: 'radio button',
+        slider: 'slider',
+        spinbutton: 'spin button',
+        switch: 'switch',
+        tab: 'tab',
+        textbox: 'edit text'
+    };
+
+    const SKIPPED_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'];
+
+    class TextExtractor {
+        /**
+         * Role of an element: its role attribute, or the implicit role of the tag
+         */
+        getRole(element) {
+            const explicitRole = (element.getAttribute('role') || '').trim().split(/\s+/)[0];
+            if (explicitRole) return explicitRole;
+
+            const tag = element.tagName.toLowerCase();
+            if (/^h[1-6]$/.test(tag)) return 'heading';
+            switch (tag) {
+                case 'a':
+                case 'area':
+                    return element.hasAttribute('href') ? 'link' : '';
+                case 'button':
+                    return 'button';
+                case 'img':
+                    return element.getAttribute('alt') === '' ? 'presentation' : 'img';
+                case 'select':
+                    return element.multiple || element.size > 1 ? 'listbox' : 'combobox';
+                case 'textarea':
+                    return 'textbox';
+                case 'option':
+                    return 'option';
+                case 'td':
+                    return 'cell';
+                case 'th':
+                    return 'columnheader';
+                case 'li':
+                    return 'listitem';
+                case 'input': {
+                    const type = (element.getAttribute('type') || 'text').toLowerCase();
+                    if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+                    if (type === 'checkbox' || type === 'radio') return type;
+                    if (type === 'range') return 'slider';
+                    if (type === 'number') return 'spinbutton';
+                    return type === 'hidden' ? '' : 'textbox';
+                }
+                default:
+                    return '';
+            }
+        }
+
+        /**
+         * Heading level of a heading element (aria-level, or the h1-h6 number)
+         */
+        getHeadingLevel(element) {
+            const level = parseInt(element.getAttribute('aria-level') || element.tagName.slice(1), 10);
+            return level > 0 ? level : 2;
+        }
+
+        /**
+         * Whether an element is hidden from assistive technology
+         */
+        isHidden(element) {
+            if (element.closest('[aria-hidden="true"], [hidden]')) return true;
+            const style = window.getComputedStyle(element);
+            return style.visibility === 'hidden' ||
+                (style.display !== 'contents' && element.getClientRects().length === 0);
+        }
+
+        /**
+         * Accessible name of an element
+         */
+        getAccessibleName(element) {
+            return this.computeName(element, { visited: new Set() }).replace(/\s+/g, ' ').trim();
+        }
+
+        // context: visited (elements already used), referenced (reached through aria-labelledby),
+        // inLabelledBy (don't follow aria-labelledby again), fromContent (collecting descendants' text)
+        computeName(element, context) {
+            if (context.visited.has(element)) return '';
+            context.visited.add(element);
+
+            if (!context.referenced && this.isHidden(element)) return '';
+
+            if (!context.inLabelledBy) {
+                const ids = (element.getAttribute('aria-labelledby') || '').trim();
+                if (ids) {
+                    const labelledBy = ids.split(/\s+/)
+                        .map(id => document.getElementById(id))
+                        .filter(Boolean)
+                        .map(ref => this.computeName(ref, { visited: context.visited, referenced: true, inLabelledBy: true, fromContent: true }))
+                        .join(' ')
+                        .trim();
+                    if (labelledBy) return labelledBy;
+                }
+            }
+
+            // A field inside someone else's label contributes its value
+            const embedded = context.fromContent && EMBEDDED_CONTROL_ROLES.includes(this.getRole(element));
+            const ariaLabel = (element.getAttribute('aria-label') || '').trim();
+            if (ariaLabel && !embedded) return ariaLabel;
+
+            const native = this.getNativeName(element, context);
+            if (native) return native;
+
+            if (embedded) return this.getValue(element);
+
+            if (context.fromContent || NAME_FROM_CONTENT_ROLES.includes(this.getRole(element))) {
+                const content = this.getNameFromContent(element, context);
+                if (content) return content;
+            }
+
+            return (element.getAttribute('title') || element.getAttribute('placeholder') || '').trim();
+        }
+
+        getNativeName(element, context) {
+            const tag = element.tagName.toLowerCase();
+            const type = (element.getAttribute('type') || '').toLowerCase();
+
+            if (tag === 'img' || tag === 'area' || (tag === 'input' && type === 'image')) {
+                return (element.getAttribute('alt') || '').trim();
+            }
+            if (tag === 'input' && ['button', 'submit', 'reset'].includes(type)) {
+                return element.value || (type === 'submit' ? 'Submit' : type === 'reset' ? 'Reset' : '');
+            }
+            if (element.labels && element.labels.length > 0) {
+                return Array.from(element.labels)
+                    .map(label => this.computeName(label, { visited: context.visited, inLabelledBy: context.inLabelledBy, fromContent: true }))
+                    .join(' ')
+                    .trim();
+            }
+
+            const captions = { fieldset: 'legend', figure: 'figcaption', table: 'caption' };
+            if (captions[tag]) {
+                const caption = element.querySelector(':scope > ' + captions[tag]);
+                return caption ? this.computeName(caption, { visited: context.visited, inLabelledBy: context.inLabelledBy, fromContent: true }) : '';
+            }
+            if (tag === 'svg') {
+                const title = element.querySelector(':scope > title');
+                return title ? title.textContent.trim() : '';
+            }
+            return '';
+        }
+
+        getNameFromContent(element, context) {
+            const parts = [];
+            element.childNodes.forEach(child => {
+                if (child.nodeType === Node.TEXT_NODE) {
+                    parts.push(child.data);
+                } else if (child.nodeType === Node.ELEMENT_NODE && !SKIPPED_TAGS.includes(child.tagName)) {
+                    const text = this.computeName(child, {
+                        visited: context.visited,
+                        inLabelledBy: context.inLabelledBy,
+                        fromContent: true
+                    });
+                    parts.push(this.isInline(child) ? text : ' ' + text + ' ');
+                }
+            });
+            return parts.join('').replace(/\s+/g, ' ').trim();
+        }
+
+        /**
+         * Current value of a form control, as it should be spoken (never a password)
+         */
+        getValue(element) {
+            const tag = element.tagName.toLowerCase();
+            const role = this.getRole(element);
+            if (tag === 'select') {
+                return Array.from(element.selectedOptions).map(option => option.text.trim()).join(', ');
+            }
+            if (tag === 'textarea') {
+                return element.value;
+            }
+            if (tag === 'input') {
+                const type = (element.getAttribute('type') || 'text').toLowerCase();
+                if (type === 'checkbox' || type === 'radio') {
+                    return element.checked ? 'checked' : 'not checked';
+                }
+                if (['password', 'hidden', 'file', 'button', 'submit', 'reset', 'image'].includes(type)) {
+                    return '';
+                }
+                return element.value;
+            }
+            if (['checkbox', 'radio', 'switch', 'menuitemcheckbox', 'menuitemradio'].includes(role) && element.hasAttribute('aria-checked')) {
+                return element.getAttribute('aria-checked') === 'true' ? 'checked' : 'not checked';
+            }
+            if (element.hasAttribute('aria-valuetext') || element.hasAttribute('aria-valuenow')) {
+                return element.getAttribute('aria-valuetext') || element.getAttribute('aria-valuenow');
+            }
+            if (role === 'textbox' && element.isContentEditable) {
+                return element.textContent.trim();
+            }
+            return '';
+        }
+
+        /**
+         * Spoken name of a role ("link", "heading level 2", "button"), empty for roles that aren't announced
+         */
+        getRoleName(element) {
+            const role = this.getRole(element);
+            if (role === 'heading') {
+                return 'heading level ' + this.getHeadingLevel(element);
+            }
+            return ROLE_NAMES[role] || '';
+        }
+
+        /**
+         * Whether an element is read as a whole by its name rather than by its content
+         */
+        isAtomic(element) {
+            const tag = element.tagName.toLowerCase();
+            return ATOMIC_ROLES.includes(this.getRole(element)) || tag === 'svg' ||
+                tag === 'input' || tag === 'select' || tag === 'textarea';
+        }
+
+        /**
+         * A single element: controls and images by name, role (optional) and value,
+         * anything else by its text
+         * options.announceRoles: say what kind of element it is ("link", "button", "heading level 2")
+         */
+        describe(element, options = {}) {
+            if (this.isHidden(element)) return '';
+            if (!this.isAtomic(element)) {
+                return this.getText(element, options);
+            }
+            const role = options.announceRoles ? this.getRoleName(element) : '';
+            return [this.getAccessibleName(element), role, this.getValue(element)].filter(Boolean).join(', ');
+        }
+
+        /**
+         * Text to speak for an element or a Range: text content with hidden parts left out,
+         * controls and images replaced by their description, one line per block
+         */
+        getText(source, options = {}) {
+            const range = typeof Range !== 'undefined' && source instanceof Range ? source : null;
+            const root = range ? range.commonAncestorContainer : source;
+            if (!range && root.nodeType === Node.ELEMENT_NODE && this.isAtomic(root)) {
+                return this.describe(root, options);
+            }
+            const parts = [];
+            if (root.nodeType === Node.TEXT_NODE) {
+                this.collectText(root, parts, options, range);
+            } else {
+                this.collect(root, parts, options, range);
+            }
+            return parts.join('')
+                .split('\n')
+                .map(line => line.replace(/\s+/g, ' ').trim())
+                .filter(Boolean)
+                .join('\n');
+        }
+
+        collect(element, parts, options, range) {
+            if (SKIPPED_TAGS.includes(element.tagName)) return;
+            if (range && !range.intersectsNode(element)) return;
+            if (this.isHidden(element)) return;
+
+            if (this.isAtomic(element)) {
+                const description = this.describe(element, options);
+                if (description) {
+                    parts.push(' ' + description + ' ');
+                }
+                return;
+            }
+
+            const block = !this.isInline(element);
+            if (block) parts.push('\n');
+            element.childNodes.forEach(child => {
+                if (child.nodeType === Node.TEXT_NODE) {
+                    this.collectText(child, parts, options, range);
+                } else if (child.nodeType === Node.ELEMENT_NODE) {
+                    this.collect(child, parts, options, range);
+                }
+            });
+            if (options.announceRoles && this.getRole(element) === 'heading') {
+                parts.push(', ' + this.getRoleName(element));
+            }
+            if (block) parts.push('\n');
+        }
+
+        collectText(node, parts, options, range) {
+            if (range && !range.intersectsNode(node)) return;
+            const start = range && node === range.startContainer ? range.startOffset : 0;
+            const end = range && node === range.endContainer ? range.endOffset : node.data.length;
+            parts.push(node.data.slice(start, end));
+        }
+
+        isInline(element) {
+            return window.getComputedStyle(element).display.indexOf('inline') === 0;
+        }
+    }
+
+    // Create global instance
+    if (typeof window !== 'undefined') {
+        window.TextExtractor = TextExtractor;
+        window.textExtractor = new TextExtractor();
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TextExtractor;
+    }
+
+})();
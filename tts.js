@@ -1,13 +1,15 @@
 /**
  * TTS (Text-to-Speech) Module
  * Multi-language support for Accessibility Widget
- * Supports: English, Spanish, German, French, Mandarin, Korean, Norwegian
+ * Built-in languages are listed in TTS_LANGUAGES; integrators add more with AccessibilityConfig.ttsLanguages,
+ * and languages of installed voices that aren't listed are added when the voices load
  */
 
 (function() {
     'use strict';
 
-    // Language configuration
+    // Language configuration: name (in the language itself), code (locale used for the utterance),
+    // voices (locales to look for, in order of preference), fallback and rtl for right-to-left scripts
     const TTS_LANGUAGES = {
         'en': {
             name: 'English',
@@ -50,24 +52,747 @@
             code: 'no-NO',
             voices: ['no-NO', 'nb-NO', 'nn-NO'],
             fallback: 'no-NO'
+        },
+        'ja': {
+            name: '日本語',
+            code: 'ja-JP',
+            voices: ['ja-JP'],
+            fallback: 'ja-JP'
+        },
+        'ru': {
+            name: 'Русский',
+            code: 'ru-RU',
+            voices: ['ru-RU'],
+            fallback: 'ru-RU'
+        },
+        'ar': {
+            name: 'العربية',
+            code: 'ar-SA',
+            voices: ['ar-SA', 'ar-EG', 'ar-AE'],
+            fallback: 'ar-SA',
+            rtl: true
+        },
+        'hi': {
+            name: 'हिन्दी',
+            code: 'hi-IN',
+            voices: ['hi-IN'],
+            fallback: 'hi-IN'
+        },
+        'it': {
+            name: 'Italiano',
+            code: 'it-IT',
+            voices: ['it-IT', 'it-CH'],
+            fallback: 'it-IT'
+        },
+        'pl': {
+            name: 'Polski',
+            code: 'pl-PL',
+            voices: ['pl-PL'],
+            fallback: 'pl-PL'
+        },
+        'nl': {
+            name: 'Nederlands',
+            code: 'nl-NL',
+            voices: ['nl-NL', 'nl-BE'],
+            fallback: 'nl-NL'
+        },
+        'sv': {
+            name: 'Svenska',
+            code: 'sv-SE',
+            voices: ['sv-SE', 'sv-FI'],
+            fallback: 'sv-SE'
+        },
+        'da': {
+            name: 'Dansk',
+            code: 'da-DK',
+            voices: ['da-DK'],
+            fallback: 'da-DK'
+        },
+        'he': {
+            name: 'עברית',
+            code: 'he-IL',
+            voices: ['he-IL', 'iw-IL'],
+            fallback: 'he-IL',
+            rtl: true
+        },
+        'fa': {
+            name: 'فارسی',
+            code: 'fa-IR',
+            voices: ['fa-IR'],
+            fallback: 'fa-IR',
+            rtl: true
+        },
+        'ur': {
+            name: 'اردو',
+            code: 'ur-PK',
+            voices: ['ur-PK', 'ur-IN'],
+            fallback: 'ur-PK',
+            rtl: true
+        },
+        'bn': {
+            name: 'বাংলা',
+            code: 'bn-BD',
+            voices: ['bn-BD', 'bn-IN'],
+            fallback: 'bn-BD'
+        },
+        'ta': {
+            name: 'தமிழ்',
+            code: 'ta-IN',
+            voices: ['ta-IN', 'ta-LK'],
+            fallback: 'ta-IN'
+        },
+        'te': {
+            name: 'తెలుగు',
+            code: 'te-IN',
+            voices: ['te-IN'],
+            fallback: 'te-IN'
+        },
+        'mr': {
+            name: 'मराठी',
+            code: 'mr-IN',
+            voices: ['mr-IN'],
+            fallback: 'mr-IN'
         }
     };
 
-    // Language detection patterns
-    const LANGUAGE_PATTERNS = {
-        'en': /\b(the|and|or|but|in|on|at|to|for|of|with|by)\b/i,
-        'es': /\b(el|la|los|las|y|o|pero|en|de|con|por|para)\b/i,
-        'de': /\b(der|die|das|und|oder|aber|in|von|mit|für|zu)\b/i,
-        'fr': /\b(le|la|les|et|ou|mais|dans|de|avec|pour|par)\b/i,
-        'zh': /[\u4e00-\u9fff]/,
-        'ko': /[\uac00-\ud7a3]/,
-        'no': /\b(og|eller|men|i|av|med|for|til|på)\b/i
+    // Language tags that name one of the languages above differently
+    const LANGUAGE_ALIASES = {
+        'nb': 'no',
+        'nn': 'no',
+        'cmn': 'zh',
+        'iw': 'he'
+    };
+
+    // Right-to-left languages, for languages added from installed voices
+    const RTL_LANGUAGES = ['ar', 'dv', 'fa', 'he', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi'];
+
+    // Sentences voice previews speak, in the language of the voice. Languages without one say their name.
+    const VOICE_SAMPLES = {
+        'en': 'Hello, this is how I sound when I read this page to you.',
+        'es': 'Hola, así sueno cuando te leo esta página.',
+        'de': 'Hallo, so klinge ich, wenn ich dir diese Seite vorlese.',
+        'fr': 'Bonjour, voici ma voix quand je vous lis cette page.',
+        'zh': '你好，这是我为你朗读这个页面时的声音。',
+        'ko': '안녕하세요, 이 페이지를 읽어 드릴 때 제 목소리입니다.',
+        'no': 'Hei, slik høres jeg ut når jeg leser denne siden for deg.',
+        'ja': 'こんにちは、このページを読み上げるときの私の声です。',
+        'ru': 'Здравствуйте, так звучит мой голос, когда я читаю вам эту страницу.',
+        'ar': 'مرحبًا، هكذا يبدو صوتي عندما أقرأ لك هذه الصفحة.',
+        'hi': 'नमस्ते, जब मैं आपको यह पेज पढ़कर सुनाता हूँ तो मेरी आवाज़ ऐसी लगती है।',
+        'it': 'Ciao, questa è la mia voce quando ti leggo questa pagina.',
+        'pl': 'Cześć, tak brzmi mój głos, gdy czytam ci tę stronę.',
+        'nl': 'Hallo, zo klink ik als ik deze pagina aan je voorlees.',
+        'sv': 'Hej, så här låter jag när jag läser den här sidan för dig.',
+        'da': 'Hej, sådan lyder jeg, når jeg læser denne side op for dig.',
+        'he': 'שלום, כך נשמע הקול שלי כשאני מקריא לך את הדף הזה.'
+    };
+
+    // Well-known voices that don't say their gender in their name (macOS, Windows, Azure and Google voices)
+    const FEMALE_VOICE_NAMES = ['alice', 'alva', 'amelie', 'anna', 'aria', 'carmit', 'damayanti', 'ellen', 'elsa',
+        'fiona', 'hazel', 'hedda', 'heera', 'helena', 'hortense', 'ioana', 'jenny', 'joana', 'kanya', 'karen',
+        'katja', 'kyoko', 'laura', 'lekha', 'libby', 'luciana', 'mariska', 'mei-jia', 'melina', 'milena', 'moira',
+        'monica', 'nanami', 'natasha', 'nora', 'paulina', 'samantha', 'sara', 'satu', 'sin-ji', 'sonia', 'susan',
+        'tessa', 'ting-ting', 'veena', 'victoria', 'xiaoxiao', 'yelda', 'yuna', 'zira', 'zuzana'];
+    const MALE_VOICE_NAMES = ['aaron', 'alex', 'arthur', 'conrad', 'daniel', 'david', 'diego', 'eric', 'fred',
+        'george', 'guy', 'henri', 'james', 'jorge', 'juan', 'liam', 'luca', 'maged', 'mark', 'markus', 'oliver',
+        'otoya', 'paul', 'richard', 'rishi', 'ryan', 'stefan', 'thomas', 'tom', 'xander', 'yannick', 'yuri'];
+
+    // A language's name in that language ("Suomi" for fi), or the code if the browser can't tell
+    function getLanguageName(code) {
+        try {
+            const name = new Intl.DisplayNames([code], { type: 'language' }).of(code);
+            return name && name !== code ? name.charAt(0).toLocaleUpperCase(code) + name.slice(1) : code;
+        } catch (e) {
+            return code;
+        }
+    }
+
+    // Scripts that identify a language on their own. Han is checked last because Japanese mixes it with kana.
+    const SCRIPT_LANGUAGES = [
+        { lang: 'ko', pattern: /[\u1100-\u11ff\u3130-\u318f\uac00-\ud7a3]/g },
+        { lang: 'ja', pattern: /[\u3040-\u30ff]/g },
+        { lang: 'ru', pattern: /[\u0400-\u04ff]/g },
+        { lang: 'he', pattern: /[\u0590-\u05ff]/g },
+        { lang: 'ar', pattern: /[\u0600-\u06ff\u0750-\u077f]/g },
+        { lang: 'hi', pattern: /[\u0900-\u097f]/g },
+        { lang: 'bn', pattern: /[\u0980-\u09ff]/g },
+        { lang: 'ta', pattern: /[\u0b80-\u0bff]/g },
+        { lang: 'te', pattern: /[\u0c00-\u0c7f]/g },
+        { lang: 'zh', pattern: /[\u3400-\u4dbf\u4e00-\u9fff]/g }
+    ];
+
+    // Most frequent trigrams of Latin-script languages, most frequent first.
+    // Words are padded with a space on each side, so " th" is "th" at the start of a word.
+    // Single letters at the end are letters no other language here uses (ä, ö and å: only two of them);
+    // each counts as much as the top trigram. Accents shared by several languages (é, à, ó...) are
+    // left to the trigrams they appear in, or one "café" would outweigh every trigram of an English sentence.
+    const TRIGRAM_PROFILES = {
+        'en': [' th', 'the', 'he ', ' an', 'and', 'nd ', 'ed ', ' of', 'of ', ' to', 'to ', 'ing', 'ng ', ' in',
+            'in ', 'is ', 'er ', 'es ', 'ion', 'tio', 'on ', 're ', 'at ', 'ent', ' a ', 'hat', 'tha', ' co', 'ati',
+            'al ', ' be', 'for', ' fo', 'or ', ' re', 'as ', 'ly ', 'her', 'ere', ' is', 'st ', 'it ', ' wh', 'ter',
+            'ver', 'his', ' ha', 'you', ' yo', 'ou ', 'wit', ' wi', 'ith', 'th ', 'are', ' ar'],
+        'es': [' de', 'de ', 'os ', ' la', 'la ', 'el ', 'es ', ' el', ' qu', 'que', 'ue ', ' co', 'as ', 'en ',
+            ' en', 'ent', 'ón ', 'ión', 'aci', 'ado', ' lo', 'los', 'ien', 'ara', ' pa', 'par', 'con', 'nte', 'ra ',
+            ' se', 'do ', 'sta', 'est', ' es', 'to ', ' po', 'por', 'or ', 'ero', 'nto', 'ar ', 'cia', 'las', ' un',
+            'una', 'res', 'ica', 'dad', ' al', 'ida', 'tra', ' y ', 'ció', 'ués', 'ñ'],
+        'de': ['en ', 'er ', ' de', 'der', 'ie ', ' di', 'die', 'ich', 'ein', 'sch', ' ei', 'und', ' un', 'nd ',
+            'che', 'ch ', 'den', 'in ', 'ine', 'gen', 'ten', 'cht', 'te ', 'ung', ' da', 'das', 'as ', ' ge', 'ber',
+            'ist', ' is', 'st ', 'ne ', 'nde', 'ter', 'eit', ' zu', 'zu ', 'auf', ' au', 'mit', ' mi', 'nic', 'ht ',
+            'lic', 'sie', ' si', 'ges', 'vor', ' vo', 'für', ' fü', 'ür ', 'wir', 'ß', 'ä', 'ö', 'ü'],
+        'fr': [' de', 'de ', 'es ', ' le', 'le ', 'ent', ' la', 'la ', 'nt ', 'les', 'ion', 'on ', ' et', 'et ',
+            're ', 'des', ' pa', 'que', ' qu', 'ue ', 'tio', 'men', ' co', 'ait', 'ns ', 'ne ', ' en', 'en ', ' un',
+            'une', 'eme', 'our', ' po', 'par', 'ur ', 'ans', ' da', 'dan', 'est', ' es', 'lle', 'ell', 'ont', 'eur',
+            ' pr', 'pou', 'sur', ' su', ' au', 'aux', 'ux ', 'qui', 'été', 'té ', 'ée ', 'œ'],
+        'no': ['en ', ' de', 'er ', 'et ', 'det', ' og', 'og ', 'for', ' fo', 'ne ', ' er', 'ene', 'te ', ' ha',
+            'har', 'ar ', 'den', ' i ', 'ke ', 'kke', 'ikk', ' ik', 'ler', 'ter', 'ing', 'ng ', 'som', ' so', 'om ',
+            ' på', 'på ', ' me', 'med', 'ed ', 'til', ' ti', 'il ', 'ere', ' av', 'av ', 'lig', 'ige', 'nde', 'var',
+            ' va', 'ska', 'ell', 'jeg', ' je', 'ø', 'å', 'æ'],
+        'it': [' di', 'di ', ' ch', 'che', 'he ', ' de', 'la ', ' la', 'to ', ' co', 're ', 'ell', 'lla', ' il',
+            'il ', 'one', 'del', 'ne ', 'ent', 'er ', ' in', 'no ', 'zio', 'ion', 'ato', 'are', ' pe', 'per', 'le ',
+            'con', 'ta ', ' un', 'una', 'ono', 'nte', ' so', 'sta', ' e ', 'ndo', 'gli', ' gl', 'men', ' no', 'non',
+            'ri ', 'ia ', 'tti', 'all', 'ere', 'ità', 'tà '],
+        'nl': ['en ', ' de', 'de ', 'an ', 'van', ' va', 'et ', ' he', 'het', ' en', 'er ', ' ee', 'een', 'in ',
+            ' in', 'ij ', 'ver', 'sch', 'aar', 'ing', 'den', 'ter', ' op', 'op ', 'te ', 'oor', 'ge ', ' ge', 'cht',
+            'nde', 'ie ', ' zi', 'zij', ' da', 'dat', 'at ', 'ijk', 'lij', 'ee ', ' vo', 'voo', ' me', 'met', ' wo',
+            'ord', ' ni', 'nie', 'eer', 'aan', ' aa', 'ook', ' oo', 'ijn'],
+        'pl': [' pr', 'nie', ' ni', 'ie ', ' po', 'ch ', ' na', ' w ', 'ego', 'go ', 'prz', 'rze', ' sz', 'owa',
+            ' do', 'wie', ' za', 'ani', 'ych', 'ia ', ' je', 'jes', 'est', 'st ', ' si', 'się', 'ię ', 'czy',
+            'rzy', 'nia', 'ny ', 'em ', 'ami', 'mi ', 'ej ', 'nym', 'kie', 'ki ', 'wan', 'ją ', 'dzi', ' dz', 'ter',
+            ' z ', ' i ', 'ą', 'ę', 'ł', 'ś', 'ż', 'ź', 'ć', 'ń'],
+        'sv': ['en ', ' de', 'er ', 'och', ' oc', 'ch ', 'et ', 'för', ' fö', 'ar ', 'att', ' at', 'tt ', 'de ',
+            'ör ', 'an ', 'det', ' so', 'som', 'om ', ' in', 'ing', ' ha', 'har', 'nde', ' av', 'av ', 'ter', 'den',
+            'är ', ' är', 'ade', 'nte', 'int', ' me', 'med', 'ed ', ' va', 'var', 'ska', 'lig', 'ig ', ' ja', 'jag',
+            'ag ', 'ett', ' et', 'på ', ' på', 'na ', 'ra ', ' öv', 'öve', 'gen', 'ten', 'll ', 'ä', 'ö', 'å']
+    };
+
+    // Texts with fewer letters than this are too short to tell languages apart
+    const MIN_DETECTION_LETTERS = 12;
+
+    // Built-in pronunciations, applied after the integrator's lexicon (see TTSManager.setLexicon).
+    // Each rule is { pattern, replace }: a global RegExp and the spoken text - a string (with $1 etc.)
+    // or a function given the match.
+    const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+        'September', 'October', 'November', 'December'];
+
+    const CURRENCY_NAMES = {
+        '$': ['dollar', 'dollars', 'cent', 'cents'],
+        '€': ['euro', 'euros', 'cent', 'cents'],
+        '£': ['pound', 'pounds', 'penny', 'pence'],
+        '¥': ['yen', 'yen', '', '']
+    };
+
+    const UNIT_NAMES = {
+        'km': ['kilometer', 'kilometers'], 'cm': ['centimeter', 'centimeters'], 'mm': ['millimeter', 'millimeters'],
+        'mi': ['mile', 'miles'], 'ft': ['foot', 'feet'],
+        'kg': ['kilogram', 'kilograms'], 'mg': ['milligram', 'milligrams'],
+        'lb': ['pound', 'pounds'], 'lbs': ['pound', 'pounds'], 'oz': ['ounce', 'ounces'],
+        'ml': ['milliliter', 'milliliters'], 'mL': ['milliliter', 'milliliters'],
+        'mph': ['mile per hour', 'miles per hour'], 'km/h': ['kilometer per hour', 'kilometers per hour'],
+        'kph': ['kilometer per hour', 'kilometers per hour'],
+        'KB': ['kilobyte', 'kilobytes'], 'kB': ['kilobyte', 'kilobytes'], 'MB': ['megabyte', 'megabytes'],
+        'GB': ['gigabyte', 'gigabytes'], 'TB': ['terabyte', 'terabytes'],
+        'Hz': ['hertz', 'hertz'], 'kHz': ['kilohertz', 'kilohertz'], 'MHz': ['megahertz', 'megahertz'],
+        'GHz': ['gigahertz', 'gigahertz'], 'kW': ['kilowatt', 'kilowatts'], 'kWh': ['kilowatt hour', 'kilowatt hours'],
+        '°C': ['degree Celsius', 'degrees Celsius'], '°F': ['degree Fahrenheit', 'degrees Fahrenheit']
+    };
+
+    const BUILT_IN_PRONUNCIATIONS = {
+        'en': [
+            // Dates: 2025-11-19 and 11/19/2025
+            {
+                pattern: /\b(\d{4})-(\d{2})-(\d{2})\b/g,
+                replace: match => formatDate(match[1], match[2], match[3])
+            },
+            {
+                pattern: /\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/g,
+                replace: match => formatDate(match[3], match[1], match[2])
+            },
+            // Currencies: $5, $1.50, €2 million
+            {
+                pattern: /([$€£¥])\s?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{1,2}))?(?:\s(thousand|million|billion|trillion)\b)?/g,
+                replace: match => {
+                    const names = CURRENCY_NAMES[match[1]];
+                    const amount = match[2].replace(/,/g, '');
+                    if (match[4]) {
+                        return amount + (match[3] ? '.' + match[3] : '') + ' ' + match[4] + ' ' + names[1];
+                    }
+                    let spoken = amount + ' ' + (amount === '1' ? names[0] : names[1]);
+                    const minor = match[3] ? parseInt(match[3].padEnd(2, '0'), 10) : 0;
+                    if (minor > 0 && names[2]) {
+                        spoken += ' and ' + minor + ' ' + (minor === 1 ? names[2] : names[3]);
+                    }
+                    return spoken;
+                }
+            },
+            // Ranges with a dash, before units so "10–20 GB" keeps both numbers
+            { pattern: /(\d)\s?[–—]\s?(?=\d)/g, replace: '$1 to ' },
+            // Units after a number: 5 km, 2.5kg, 20 °C
+            {
+                pattern: /\b(\d+(?:\.\d+)?)\s?(km\/h|kWh|kHz|MHz|GHz|lbs|mph|kph|km|cm|mm|mi|ft|kg|mg|lb|oz|ml|mL|KB|kB|MB|GB|TB|Hz|kW|°C|°F)(?![\w/])/g,
+                replace: match => match[1] + ' ' + UNIT_NAMES[match[2]][match[1] === '1' ? 0 : 1]
+            },
+            // Numbers: percentages, "#1", "No. 2"
+            { pattern: /(\d)\s?%/g, replace: '$1 percent' },
+
+            { pattern: /#(\d)/g, replace: 'number $1' },
+            { pattern: /\bNo\.\s?(?=\d)/g, replace: 'number ' },
+            // Common abbreviations
+            { pattern: /\be\.g\.(?=[\s,]|$)/gi, replace: 'for example' },
+            { pattern: /\bi\.e\.(?=[\s,]|$)/gi, replace: 'that is' },
+            { pattern: /\betc\.(?=\s+[A-Z]|\s*$)/g, replace: 'et cetera.' },
+            { pattern: /\betc\./g, replace: 'et cetera' },
+            { pattern: /\bvs\.?(?=\s)/g, replace: 'versus' },
+            { pattern: /\bapprox\.(?=\s)/g, replace: 'approximately' },
+            { pattern: /\bDr\.(?=\s+[A-Z])/g, replace: 'Doctor' },
+            { pattern: /\bMr\.(?=\s+[A-Z])/g, replace: 'Mister' },
+            { pattern: /\bMrs\.(?=\s+[A-Z])/g, replace: 'Missus' },
+            { pattern: /\bMs\.(?=\s+[A-Z])/g, replace: 'Miz' },
+            { pattern: /\bProf\.(?=\s+[A-Z])/g, replace: 'Professor' },
+            { pattern: /\bw\/(?=\s)/g, replace: 'with' },
+            { pattern: /\s&\s/g, replace: ' and ' }
+        ]
+    };
+
+    // String.replace-style templates: $& for the match, $1-$99 for groups, $<name> for named groups, $$ for $
+    function expandReplacement(template, match) {
+        return template.replace(/\$(\$|&|\d{1,2}|<([^>]+)>)/g, (token, key, name) => {
+            if (key === '$') return '$';
+            if (key === '&') return match[0];
+            if (name !== undefined) return (match.groups && match.groups[name]) || '';
+            return match[parseInt(key, 10)] || '';
+        });
+    }
+
+    function formatDate(year, month, day) {
+        const monthIndex = parseInt(month, 10) - 1;
+        const dayNumber = parseInt(day, 10);
+        if (monthIndex < 0 || monthIndex > 11 || dayNumber < 1 || dayNumber > 31) {
+            return year + '-' + month + '-' + day;
+        }
+        return MONTH_NAMES[monthIndex] + ' ' + dayNumber + ', ' + year;
+    }
+
+    // Speech engines. An engine speaks one piece of text at a time:
+    //   name                  - identifies the engine
+    //   isAvailable()         - whether it can speak in this browser
+    //   getVoices()           - [{ name, lang, voiceURI }]; a voice without lang speaks any language
+    //   onVoicesChanged       - set by TTSManager, call it when the voices change
+    //   speak(request)        - request is { text, lang, voice, rate, pitch, volume, onStart(event),
+    //                           onBoundary({ name, charIndex, charLength, elapsedTime }) }. Returns a Promise
+    //                           that resolves when the speech ends and rejects on errors and cancel()
+    //   cancel(), pause(), resume()
+    //   synthesize(request)   - optional, resolves to { audio: Blob, marks } without playing it
+    //   prefetch(request)     - optional, start synthesizing text that is about to be spoken
+
+    // The browser's speechSynthesis
+    class WebSpeechEngine {
+        constructor() {
+            this.name = 'webspeech';
+            this.synthesis = typeof window !== 'undefined' && 'speechSynthesis' in window ? window.speechSynthesis : null;
+            this.onVoicesChanged = null;
+
+            // Some browsers load voices asynchronously
+            if (this.synthesis && this.synthesis.onvoiceschanged !== undefined) {
+                this.synthesis.onvoiceschanged = () => {
+                    if (this.onVoicesChanged) {
+                        this.onVoicesChanged();
+                    }
+                };
+            }
+        }
+
+        isAvailable() {
+            return this.synthesis !== null;
+        }
+
+        getVoices() {
+            return this.synthesis ? this.synthesis.getVoices() : [];
+        }
+
+        speak(request) {
+            const utterance = new SpeechSynthesisUtterance(request.text);
+            utterance.lang = request.lang;
+            utterance.rate = request.rate;
+            utterance.pitch = request.pitch;
+            utterance.volume = request.volume;
+            if (request.voice) {
+                utterance.voice = request.voice;
+            }
+
+            return new Promise((resolve, reject) => {
+                utterance.onstart = (event) => {
+                    if (request.onStart) {
+                        request.onStart(event);
+                    }
+                };
+                utterance.onboundary = (event) => {
+                    if (request.onBoundary) {
+                        request.onBoundary(event);
+                    }
+                };
+                utterance.onend = () => resolve();
+                utterance.onerror = (error) => reject(error);
+
+                this.synthesis.speak(utterance);
+            });
+        }
+
+        cancel() {
+            if (this.synthesis) {
+                this.synthesis.cancel();
+            }
+        }
+
+        pause() {
+            if (this.synthesis) {
+                this.synthesis.pause();
+            }
+        }
+
+        resume() {
+            if (this.synthesis) {
+                this.synthesis.resume();
+            }
+        }
+    }
+
+    // Plays audio from a synthesize(request) function through an <audio> element - for WASM or other
+    // local engines. synthesize resolves to { audio, marks }: audio is a Blob, ArrayBuffer or URL,
+    // marks are optional word timings [{ time (seconds), charIndex, charLength, name: 'word' }].
+    // options: name, synthesize, voices ([{ name, lang }]), cacheSize (synthesized texts kept for replays)
+    // The speech rate is applied by the audio element; pitch is up to the synthesizer.
+    class AudioEngine {
+        constructor(options = {}) {
+            this.name = options.name || 'audio';
+            this.options = options;
+            this.voices = (options.voices || []).map(voice => this.toVoice(voice));
+            this.onVoicesChanged = null;
+            this.audio = null;
+            this.cache = new Map();
+            this.cacheSize = options.cacheSize || 20;
+            this.playback = null; // { resolve, reject, timer } of the audio playing now
+        }
+
+        isAvailable() {
+            return typeof Audio !== 'undefined' && typeof this.synthesize === 'function';
+        }
+
+        // Voices look like speechSynthesis voices so the panel can list them
+        toVoice(voice) {
+            return {
+                name: voice.name,
+                lang: voice.lang || '',
+                voiceURI: voice.id || voice.voiceURI || voice.name,
+                localService: !!voice.localService,
+                gender: voice.gender || '',
+                default: !!voice.default
+            };
+        }
+
+        getVoices() {
+            // Without a voice list the synthesizer's own default voice reads every language
+            return this.voices.length > 0 ? this.voices : [this.toVoice({ name: this.name, default: true })];
+        }
+
+        synthesize(request) {
+            if (!this.options.synthesize) {
+                return Promise.reject(new Error('No synthesize function for ' + this.name + ' engine'));
+            }
+            return Promise.resolve(this.options.synthesize(request));
+        }
+
+        // Synthesized audio for a request, from the cache when the same text was synthesized before
+        // (pausing and rate changes replay the current chunk)
+        load(request) {
+            const key = JSON.stringify([request.text, request.lang, request.voice ? request.voice.voiceURI : '']);
+            if (this.cache.has(key)) {
+                const cached = this.cache.get(key);
+                this.cache.delete(key);
+                this.cache.set(key, cached);
+                return cached;
+            }
+
+            const loading = this.synthesize(request).then(result => {
+                const audio = result && (result.audio || result);
+                if (!audio) {
+                    throw new Error('No audio from ' + this.name + ' engine');
+                }
+                const isUrl = typeof audio === 'string';
+                return {
+                    url: isUrl ? audio : URL.createObjectURL(audio instanceof Blob ? audio : new Blob([audio])),
+                    objectUrl: !isUrl,
+                    marks: (result.marks || []).slice().sort((a, b) => a.time - b.time)
+                };
+            });
+            // Failures aren't cached
+            loading.catch(() => this.cache.delete(key));
+
+            this.cache.set(key, loading);
+            if (this.cache.size > this.cacheSize) {
+                const oldest = this.cache.keys().next().value;
+                this.cache.get(oldest).then(entry => {
+                    if (entry.objectUrl) URL.revokeObjectURL(entry.url);
+                }, () => {});
+                this.cache.delete(oldest);
+            }
+            return loading;
+        }
+
+        prefetch(request) {
+            this.load(request).catch(() => {});
+        }
+
+        speak(request) {
+            this.cancel();
+            if (!this.audio) {
+                this.audio = new Audio();
+                this.audio.preservesPitch = true;
+            }
+            const audio = this.audio;
+
+            return new Promise((resolve, reject) => {
+                const playback = { resolve: resolve, reject: reject, timer: null };
+                this.playback = playback;
+
+                this.load(request).then(entry => {
+                    if (this.playback !== playback) return;
+
+                    let nextMark = 0;
+                    const sendMarks = () => {
+                        while (nextMark < entry.marks.length && entry.marks[nextMark].time <= audio.currentTime) {
+                            const mark = entry.marks[nextMark++];
+                            if (request.onBoundary) {
+                                request.onBoundary({
+                                    name: mark.name || 'word',
+                                    charIndex: mark.charIndex,
+                                    charLength: mark.charLength || 0,
+                                    elapsedTime: mark.time
+                                });
+                            }
+                        }
+                    };
+
+                    audio.onplaying = (event) => {
+                        audio.onplaying = null;
+                        if (request.onStart) {
+                            request.onStart(event);
+                        }
+                        // timeupdate fires only a few times a second, too slow to follow words
+                        if (entry.marks.length > 0) {
+                            playback.timer = setInterval(sendMarks, 50);
+                        }
+                    };
+                    audio.onended = () => {
+                        if (this.playback !== playback) return;
+                        sendMarks();
+                        this.finishPlayback();
+                        resolve();
+                    };
+                    audio.onerror = () => {
+                        if (this.playback !== playback) return;
+                        this.finishPlayback();
+                        reject({ error: 'audio-error', message: 'Could not play ' + this.name + ' audio' });
+                    };
+
+                    audio.src = entry.url;
+                    audio.playbackRate = request.rate || 1;
+                    audio.volume = request.volume === undefined ? 1 : request.volume;
+                    return audio.play();
+                }).catch(error => {
+                    if (this.playback !== playback) return;
+                    this.finishPlayback();
+                    reject({ error: 'synthesis-failed', message: error && error.message ? error.message : String(error) });
+                });
+            });
+        }
+
+        finishPlayback() {
+            if (this.playback) {
+                clearInterval(this.playback.timer);
+                this.playback = null;
+            }
+        }
+
+        // Like speechSynthesis.cancel(): the current speech fails with 'interrupted'
+        cancel() {
+            const playback = this.playback;
+            if (!playback) return;
+            this.finishPlayback();
+            if (this.audio) {
+                this.audio.pause();
+                this.audio.removeAttribute('src');
+                this.audio.load();
+            }
+            playback.reject({ error: 'interrupted' });
+        }
+
+        pause() {
+            if (this.audio && this.playback) {
+                this.audio.pause();
+            }
+        }
+
+        resume() {
+            if (this.audio && this.playback) {
+                this.audio.play();
+            }
+        }
+    }
+
+    // Audio from a speech server.
+    // options: url (POST { text, lang, voice } as JSON), voices, voicesUrl (GET, answers [{ name, lang }]), headers
+    // The server answers with audio (audio/wav, audio/mpeg, audio/ogg...) or with JSON
+    // { audio: URL or data: URL, marks: [{ time, charIndex, charLength }] } when it has word timings.
+    class HTTPEngine extends AudioEngine {
+        constructor(options = {}) {
+            super(Object.assign({ name: 'http' }, options));
+            if (options.voicesUrl) {
+                this.fetchVoices();
+            }
+        }
+
+        isAvailable() {
+            return typeof Audio !== 'undefined' && typeof fetch !== 'undefined' && !!this.options.url;
+        }
+
+        fetchVoices() {
+            fetch(this.options.voicesUrl, { headers: this.options.headers || {} })
+                .then(response => {
+                    if (!response.ok) throw new Error('HTTP ' + response.status);
+                    return response.json();
+                })
+                .then(voices => {
+                    this.voices = (Array.isArray(voices) ? voices : voices.voices || []).map(voice => this.toVoice(voice));
+                    if (this.onVoicesChanged) {
+                        this.onVoicesChanged();
+                    }
+                })
+                .catch(error => console.warn('TTS Manager: Could not load voices from', this.options.voicesUrl, error));
+        }
+
+        synthesize(request) {
+            return fetch(this.options.url, {
+                method: 'POST',
+                headers: Object.assign({ 'Content-Type': 'application/json' }, this.options.headers || {}),
+                body: JSON.stringify({
+                    text: request.text,
+                    lang: request.lang,
+                    voice: request.voice ? request.voice.voiceURI : null
+                })
+            }).then(response => {
+                if (!response.ok) {
+                    throw new Error('Speech server answered ' + response.status);
+                }
+                const type = response.headers.get('Content-Type') || '';
+                if (type.indexOf('application/json') === 0) {
+                    return response.json();
+                }
+                return response.blob().then(blob => ({ audio: blob, marks: [] }));
+            });
+        }
+    }
+
+    // 16-bit mono WAV. cues ([{ sample, label }]) become cue points with labels, which audio editors
+    // and players show as markers/chapters.
+    function encodeWav(samples, sampleRate, cues = []) {
+        const encoder = new TextEncoder();
+        const labels = cues.map(cue => encoder.encode(cue.label + '\0'));
+        const cueSize = cues.length > 0 ? 12 + cues.length * 24 : 0;
+        const labelSize = labels.reduce((size, label) => size + 12 + label.length + (label.length % 2), 0);
+        const listSize = cues.length > 0 ? 12 + labelSize : 0;
+        const dataSize = samples.length * 2;
+        const view = new DataView(new ArrayBuffer(44 + dataSize + cueSize + listSize));
+        let offset = 0;
+
+        const writeText = (text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset++, text.charCodeAt(i));
+            }
+        };
+        const writeUint32 = (value) => {
+            view.setUint32(offset, value, true);
+            offset += 4;
+        };
+        const writeUint16 = (value) => {
+            view.setUint16(offset, value, true);
+            offset += 2;
+        };
+
+        writeText('RIFF');
+        writeUint32(36 + dataSize + cueSize + listSize);
+        writeText('WAVE');
+        writeText('fmt ');
+        writeUint32(16);
+        writeUint16(1); // PCM
+        writeUint16(1); // mono
+        writeUint32(sampleRate);
+        writeUint32(sampleRate * 2);
+        writeUint16(2);
+        writeUint16(16);
+        writeText('data');
+        writeUint32(dataSize);
+        for (let i = 0; i < samples.length; i++) {
+            const sample = Math.max(-1, Math.min(1, samples[i]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+            offset += 2;
+        }
+
+        if (cues.length > 0) {
+            writeText('cue ');
+            writeUint32(cueSize - 8);
+            writeUint32(cues.length);
+            cues.forEach((cue, i) => {
+                writeUint32(i + 1); // id
+                writeUint32(cue.sample); // position
+                writeText('data');
+                writeUint32(0); // chunk start
+                writeUint32(0); // block start
+                writeUint32(cue.sample); // sample offset
+            });
+
+            writeText('LIST');
+            writeUint32(listSize - 8);
+            writeText('adtl');
+            labels.forEach((label, i) => {
+                writeText('labl');
+                writeUint32(4 + label.length);
+                writeUint32(i + 1);
+                label.forEach(byte => view.setUint8(offset++, byte));
+                if (label.length % 2) {
+                    view.setUint8(offset++, 0);
+                }
+            });
+        }
+
+        return new Blob([view.buffer], { type: 'audio/wav' });
+    }
+
+    // WebVTT timestamp: 00:01:02.345
+    function formatVTTTime(seconds) {
+        const milliseconds = Math.round(seconds * 1000);
+        const pad = (value, length) => String(value).padStart(length, '0');
+        return pad(Math.floor(milliseconds / 3600000), 2) + ':' +
+            pad(Math.floor(milliseconds / 60000) % 60, 2) + ':' +
+            pad(Math.floor(milliseconds / 1000) % 60, 2) + '.' +
+            pad(milliseconds % 1000, 3);
+    }
+
+    function escapeVTT(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\s+/g, ' ');
+    }
+
+    const ENGINE_TYPES = {
+        webspeech: WebSpeechEngine,
+        audio: AudioEngine,
+        http: HTTPEngine
     };
 
     // TTS Manager Class
     class TTSManager {
         constructor() {
-            this.synthesis = null;
+            this.synthesis = null; // window.speechSynthesis, also when another engine speaks
+            this.engines = {}; // registered engines by name (see registerEngine)
+            this.engine = null; // the engine that speaks
             this.availableVoices = [];
             this.currentLanguage = 'en';
             this.currentVoice = null;
@@ -78,26 +803,29 @@
             this.volume = 1.0;
             this.onLanguageChange = null;
             this.onVoiceChange = null;
+
+            // Reading queue (see playQueue)
+            this.queue = [];
+            this.queueIndex = -1;
+            this.queuePaused = false;
+            this.queueOptions = {};
+            this.queueToken = 0; // bumped whenever the queue moves, so stale utterances are ignored
+
+            // Pronunciation lexicon: rules per language code, '*' for every language
+            this.pronunciations = { '*': [] };
+            this.builtInPronunciations = true;
             
             this.init();
         }
 
         init() {
-            if ('speechSynthesis' in window) {
-                this.synthesis = window.speechSynthesis;
+            const webSpeech = new WebSpeechEngine();
+            this.registerEngine(webSpeech);
+
+            if (webSpeech.isAvailable()) {
+                this.synthesis = webSpeech.synthesis;
                 console.log('TTS Manager: Speech Synthesis API available');
-                this.loadVoices();
-                
-                // Some browsers load voices asynchronously
-                if (this.synthesis.onvoiceschanged !== undefined) {
-                    this.synthesis.onvoiceschanged = () => {
-                        console.log('TTS Manager: Voices changed, reloading...');
-                        this.loadVoices();
-                        if (this.onVoiceChange) {
-                            this.onVoiceChange();
-                        }
-                    };
-                }
+                this.setEngine('webspeech');
                 
                 // Also try loading voices after a delay
                 setTimeout(() => {
@@ -109,12 +837,77 @@
             }
         }
 
+        // Make an engine available to setEngine under its name
+        registerEngine(engine) {
+            if (!engine || !engine.name || typeof engine.speak !== 'function' || typeof engine.cancel !== 'function' ||
+                typeof engine.getVoices !== 'function') {
+                console.warn('TTS Manager: Invalid engine - needs a name, speak, cancel and getVoices', engine);
+                return false;
+            }
+            this.engines[engine.name] = engine;
+            return true;
+        }
+
+        // Switch the engine that speaks: the name of a registered engine, an engine object, or options for
+        // a built-in engine type - { type: 'http', url, voicesUrl } or { type: 'audio', synthesize, voices }
+        setEngine(engine) {
+            if (typeof engine === 'object' && engine !== null && typeof engine.speak !== 'function') {
+                const EngineType = ENGINE_TYPES[engine.type];
+                if (!EngineType) {
+                    console.warn('TTS Manager: Unknown engine type', engine.type);
+                    return false;
+                }
+                engine = new EngineType(engine);
+            }
+            if (typeof engine === 'object' && engine !== null && !this.registerEngine(engine)) {
+                return false;
+            }
+
+            const selected = this.engines[typeof engine === 'string' ? engine : engine.name];
+            if (!selected) {
+                console.warn('TTS Manager: Unknown engine', engine);
+                return false;
+            }
+            if (!selected.isAvailable()) {
+                console.warn('TTS Manager: Engine', selected.name, 'is not available in this browser');
+                return false;
+            }
+
+            this.stop();
+            if (this.engine) {
+                this.engine.onVoicesChanged = null;
+            }
+            this.engine = selected;
+            this.engine.onVoicesChanged = () => {
+                console.log('TTS Manager: Voices changed, reloading...');
+                this.loadVoices();
+                if (this.onVoiceChange) {
+                    this.onVoiceChange();
+                }
+            };
+            console.log('TTS Manager: Using', selected.name, 'engine');
+
+            // Voices belong to the engine
+            this.availableVoices = [];
+            this.currentVoice = null;
+            this.loadVoices();
+            if (this.onVoiceChange) {
+                this.onVoiceChange();
+            }
+            return true;
+        }
+
+        getEngine() {
+            return this.engine;
+        }
+
         loadVoices() {
-            if (this.synthesis) {
-                const voices = this.synthesis.getVoices();
+            if (this.engine) {
+                const voices = this.engine.getVoices();
                 if (voices.length > 0) {
                     this.availableVoices = voices;
                     console.log('TTS Manager: Loaded', voices.length, 'voices');
+                    this.addVoiceLanguages();
                     this.selectBestVoice();
                 } else {
                     console.warn('TTS Manager: No voices available yet');
@@ -124,42 +917,105 @@
             }
         }
 
-        detectLanguage(text) {
-            if (!text || text.trim() === '') return 'en';
+        // Language of a piece of text, as one of the TTS_LANGUAGES codes:
+        // the nearest lang attribute of options.element, then the writing system, then trigram
+        // frequencies for Latin-script text. options.fallback (default 'en') when nothing decides it.
+        // The page's own lang (on <html>) only replaces the fallback - pages often leave quotes and
+        // passages in other languages unmarked.
+        detectLanguage(text, options = {}) {
+            let fallback = options.fallback || 'en';
 
-            // Check for Chinese characters
-            if (LANGUAGE_PATTERNS['zh'].test(text)) {
-                return 'zh';
+            if (options.element) {
+                const langElement = options.element.closest('[lang]');
+                const declared = langElement ? this.resolveLanguage(langElement.getAttribute('lang')) : null;
+                if (declared && langElement !== langElement.ownerDocument.documentElement) return declared;
+                if (declared) fallback = declared;
             }
 
-            // Check for Korean characters
-            if (LANGUAGE_PATTERNS['ko'].test(text)) {
-                return 'ko';
-            }
+            if (!text || text.trim() === '') return fallback;
 
-            // Check for other languages using word patterns
-            let maxMatches = 0;
-            let detectedLang = 'en';
+            const letters = (text.match(/\p{L}/gu) || []).length;
+            if (letters === 0) return fallback;
 
-            for (const [lang, pattern] of Object.entries(LANGUAGE_PATTERNS)) {
-                if (lang === 'zh' || lang === 'ko') continue; // Already checked
-                
-                const matches = (text.match(pattern) || []).length;
-                if (matches > maxMatches) {
-                    maxMatches = matches;
-                    detectedLang = lang;
+            // A writing system used for most of the letters
+            let scriptLang = null;
+            let scriptCount = 0;
+            SCRIPT_LANGUAGES.forEach(script => {
+                const count = (text.match(script.pattern) || []).length;
+                if (count > scriptCount) {
+                    scriptLang = script.lang;
+                    scriptCount = count;
                 }
+            });
+            if (scriptLang && scriptCount * 2 >= letters) {
+                // Kanji is Han too - any kana makes it Japanese
+                if (scriptLang === 'zh' && /[\u3040-\u30ff]/.test(text)) return 'ja';
+                return scriptLang;
             }
 
-            return detectedLang;
+            if (letters < MIN_DETECTION_LETTERS) return fallback;
+            return this.detectLatinLanguage(text) || fallback;
+        }
+
+        // Score text against TRIGRAM_PROFILES: each trigram found in a profile counts more the higher it ranks,
+        // as a share of the profile's length so longer profiles don't win by size. Returns null when no profile matches.
+        detectLatinLanguage(text) {
+            const counts = {};
+            text.toLowerCase().split(/[^\p{L}']+/u).filter(Boolean).forEach(word => {
+                const padded = ' ' + word + ' ';
+                for (let i = 0; i < padded.length - 2; i++) {
+                    const trigram = padded.substr(i, 3);
+                    counts[trigram] = (counts[trigram] || 0) + 1;
+                }
+                // Single letters that only some languages use (ß, ñ, å...)
+                for (const letter of word) {
+                    if (letter > '\u007f') {
+                        counts[letter] = (counts[letter] || 0) + 1;
+                    }
+                }
+            });
+
+            let bestLang = null;
+            let bestScore = 0;
+            Object.keys(TRIGRAM_PROFILES).forEach(lang => {
+                const profile = TRIGRAM_PROFILES[lang];
+                let score = 0;
+                profile.forEach((trigram, rank) => {
+                    if (counts[trigram]) {
+                        const weight = trigram.length === 1 ? 1 : (profile.length - rank) / profile.length;
+                        score += counts[trigram] * weight;
+                    }
+                });
+                if (score > bestScore) {
+                    bestLang = lang;
+                    bestScore = score;
+                }
+            });
+            return bestLang;
+        }
+
+        // TTS_LANGUAGES code for a language tag such as "es-MX" or "nb", null if it isn't supported
+        resolveLanguage(tag) {
+            if (!tag) return null;
+            const primary = tag.trim().toLowerCase().split(/[-_]/)[0];
+            const lang = LANGUAGE_ALIASES[primary] || primary;
+            return TTS_LANGUAGES[lang] ? lang : null;
         }
 
         selectBestVoice(language = null) {
-            if (!this.synthesis || this.availableVoices.length === 0) return;
+            const bestVoice = this.findBestVoice(language || this.currentLanguage);
+            if (bestVoice !== undefined) {
+                this.currentVoice = bestVoice;
+            }
+            return bestVoice;
+        }
+
+        // Best available voice for a language, without selecting it (undefined if there's nothing to choose from)
+        findBestVoice(lang) {
+            if (!this.engine || this.availableVoices.length === 0) return undefined;
 
-            const lang = language || this.currentLanguage;
             const langConfig = TTS_LANGUAGES[lang];
-            if (!langConfig) return;
+            if (!langConfig) return undefined;
 
             // Try to find a voice matching the language
             let bestVoice = null;
@@ -180,12 +1036,16 @@
                 );
             }
 
+            // Then a voice that reads any language (engines without a voice list)
+            if (!bestVoice) {
+                bestVoice = this.availableVoices.find(v => !v.lang);
+            }
+
             // Final fallback to default voice
             if (!bestVoice && this.availableVoices.length > 0) {
                 bestVoice = this.availableVoices[0];
             }
 
-            this.currentVoice = bestVoice;
             return bestVoice;
         }
 
@@ -238,7 +1098,7 @@
         }
 
         speak(text, language = null, options = {}) {
-            if (!this.synthesis) {
+            if (!this.engine) {
                 console.error('TTS Manager: Speech Synthesis not available');
                 return Promise.reject(new Error('Speech Synthesis not available'));
             }
@@ -250,89 +1110,681 @@
             
             console.log('TTS Manager: Speaking text:', text.substring(0, 50) + '...');
 
-            // Stop any current speech
-            this.stop();
+            // Stop any current speech (a queue keeps going only when it is the one speaking)
+            if (options.fromQueue) {
+                this.cancelSpeech();
+            } else {
+                this.stop();
+            }
 
-            // Detect language if not provided
-            const detectedLang = language || this.detectLanguage(text);
-            
-            // Set language
-            if (detectedLang !== this.currentLanguage) {
-                this.setLanguage(detectedLang);
+            const { request, spoken } = this.createSpeechRequest(text, language, options);
+            const token = {};
+            this.currentUtterance = token;
+            this.isSpeaking = true;
+
+            // Optional hooks for callers that follow along (e.g. word highlighting)
+            request.onStart = (event) => {
+                if (options.onStart) {
+                    options.onStart(event);
+                }
+            };
+
+            // Boundaries are reported in the spoken text, callers get positions in their own text
+            request.onBoundary = (event) => {
+                if (options.onBoundary) {
+                    const position = spoken.toSource(event.charIndex, event.charLength || 0);
+                    options.onBoundary({
+                        name: event.name,
+                        charIndex: position.index,
+                        charLength: position.length,
+                        elapsedTime: event.elapsedTime,
+                        utterance: event.utterance,
+                        spokenCharIndex: event.charIndex
+                    });
+                }
+            };
+
+            // Cancelled speech can report back after the next one started, so only the
+            // current speech updates the speaking state
+            const finish = () => {
+                if (this.currentUtterance === token) {
+                    this.isSpeaking = false;
+                    this.currentUtterance = null;
+                }
+            };
+            return this.engine.speak(request).then(() => {
+                finish();
+            }, (error) => {
+                finish();
+                throw error;
+            });
+        }
+
+        // What to hand the engine for text: language, voice, lexicon applied.
+        // Returns { request, spoken } - spoken maps positions back to the text (see applyLexicon).
+        createSpeechRequest(text, language = null, options = {}) {
+            // Detect language if not provided (options.element: where the text comes from, for its lang attribute)
+            let detectedLang = this.resolveLanguage(language) ||
+                this.detectLanguage(text, { element: options.element, fallback: this.currentLanguage });
+
+            // Without a voice for the language, the current voice reads it rather than a random one
+            if (detectedLang !== this.currentLanguage && this.availableVoices.length > 0 &&
+                this.getAvailableVoicesForLanguage(detectedLang).length === 0) {
+                console.log('TTS Manager: No voice for', detectedLang + ', reading in', this.currentLanguage);
+                detectedLang = this.currentLanguage;
             }
 
-            // Create utterance
-            const utterance = new SpeechSynthesisUtterance(text);
-            utterance.lang = TTS_LANGUAGES[detectedLang].code;
-            utterance.rate = options.rate || this.rate;
-            utterance.pitch = options.pitch || this.pitch;
-            utterance.volume = options.volume || this.volume;
+            // Apply the pronunciation lexicon, keeping a map back to the caller's text
+            const spoken = this.applyLexicon(text, detectedLang);
+
+            const request = {
+                text: spoken.text,
+                lang: TTS_LANGUAGES[detectedLang].code,
+                voice: null,
+                rate: options.rate !== undefined ? options.rate : this.rate,
+                pitch: options.pitch !== undefined ? options.pitch : this.pitch,
+                volume: options.volume !== undefined ? options.volume : this.volume
+            };
 
             // Set voice - ensure voices are loaded
             if (this.availableVoices.length === 0) {
                 this.loadVoices();
             }
             
-            // Set voice
-            if (this.currentVoice) {
-                utterance.voice = this.currentVoice;
-                console.log('TTS Manager: Using voice:', this.currentVoice.name, this.currentVoice.lang);
+            // Set voice - text in another language gets a voice for that language for this utterance only,
+            // the selected voice stays for the rest. options.voice (a voice object) overrides both.
+            if (options.voice) {
+                request.voice = options.voice;
+            } else if (detectedLang !== this.currentLanguage) {
+                const languageVoice = this.findBestVoice(detectedLang);
+                if (languageVoice) {
+                    request.voice = languageVoice;
+                }
+            } else if (this.currentVoice) {
+                request.voice = this.currentVoice;
             } else {
                 this.selectBestVoice(detectedLang);
                 if (this.currentVoice) {
-                    utterance.voice = this.currentVoice;
+                    request.voice = this.currentVoice;
                     console.log('TTS Manager: Selected best voice:', this.currentVoice.name, this.currentVoice.lang);
                 } else {
                     console.warn('TTS Manager: No voice selected, using default');
                 }
             }
 
-            this.currentUtterance = utterance;
-            this.isSpeaking = true;
-
-            return new Promise((resolve, reject) => {
-                utterance.onend = () => {
-                    this.isSpeaking = false;
-                    this.currentUtterance = null;
-                    resolve();
-                };
-
-                utterance.onerror = (error) => {
-                    this.isSpeaking = false;
-                    this.currentUtterance = null;
-                    reject(error);
-                };
-
-                this.synthesis.speak(utterance);
-            });
+            return { request: request, spoken: spoken };
         }
 
         stop() {
-            if (this.synthesis && this.isSpeaking) {
-                this.synthesis.cancel();
+            this.clearQueue();
+            this.cancelSpeech();
+        }
+
+        // Cancel the current utterance without touching the queue
+        cancelSpeech() {
+            if (this.engine && this.isSpeaking) {
+                this.engine.cancel();
                 this.isSpeaking = false;
                 this.currentUtterance = null;
             }
         }
 
         pause() {
-            if (this.synthesis && this.isSpeaking) {
-                this.synthesis.pause();
+            if (this.isQueueActive()) {
+                this.pauseQueue();
+                return;
+            }
+            if (this.engine && this.isSpeaking && this.engine.pause) {
+                this.engine.pause();
             }
         }
 
         resume() {
-            if (this.synthesis && this.isSpeaking) {
-                this.synthesis.resume();
+            if (this.isQueueActive()) {
+                this.resumeQueue();
+                return;
+            }
+            if (this.engine && this.isSpeaking && this.engine.resume) {
+                this.engine.resume();
+            }
+        }
+
+        // Replace the lexicon with one from configuration:
+        // { words: { word: spoken }, rules: [{ pattern, flags, replace }], languages: { es: { words, rules } },
+        //   builtIn: false to switch off the built-in abbreviations, dates, currencies and units }
+        setLexicon(lexicon = {}) {
+            this.pronunciations = { '*': [] };
+            this.builtInPronunciations = lexicon.builtIn !== false;
+
+            const addEntries = (entries, language) => {
+                Object.keys(entries.words || {}).forEach(word => {
+                    this.addPronunciation(word, entries.words[word], language);
+                });
+                (entries.rules || []).forEach(rule => {
+                    this.addPronunciationRule(rule.pattern, rule.replace, language, rule.flags);
+                });
+            };
+            addEntries(lexicon, '*');
+            Object.keys(lexicon.languages || {}).forEach(language => {
+                addEntries(lexicon.languages[language], language);
+            });
+        }
+
+        // A word (matched whole and case-sensitively) and how to say it
+        addPronunciation(word, spoken, language = '*') {
+            if (!word || typeof spoken !== 'string') {
+                console.warn('TTS Manager: Invalid pronunciation for', word);
+                return false;
+            }
+            const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            // Word boundaries only work next to word characters
+            const pattern = (/^\w/.test(word) ? '\\b' : '') + escaped + (/\w$/.test(word) ? '\\b' : '');
+            return this.addPronunciationRule(new RegExp(pattern, 'g'), () => spoken, language);
+        }
+
+        // A regular expression (or its source) and the spoken replacement, a string with $1 etc.
+        // or a function given the match
+        addPronunciationRule(pattern, replace, language = '*', flags = '') {
+            let regex;
+            try {
+                regex = pattern instanceof RegExp
+                    ? new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g')
+                    : new RegExp(pattern, flags.includes('g') ? flags : flags + 'g');
+            } catch (error) {
+                console.warn('TTS Manager: Invalid pronunciation rule', pattern, error);
+                return false;
+            }
+            if (typeof replace !== 'string' && typeof replace !== 'function') {
+                console.warn('TTS Manager: Invalid replacement for pronunciation rule', pattern);
+                return false;
+            }
+            if (!this.pronunciations[language]) {
+                this.pronunciations[language] = [];
+            }
+            this.pronunciations[language].push({ pattern: regex, replace: replace });
+            return true;
+        }
+
+        // Language entries first, then entries for every language, then the built-in rules
+        getPronunciationRules(language) {
+            return [
+                ...(this.pronunciations[language] || []),
+                ...this.pronunciations['*'],
+                ...(this.builtInPronunciations ? BUILT_IN_PRONUNCIATIONS[language] || [] : [])
+            ];
+        }
+
+        // Apply the lexicon to text. Returns { text, toSource(index, length) } - toSource maps a position
+        // in the spoken text back to the original (a replaced word maps to the whole original word).
+        // Text that one rule replaced isn't touched by later rules.
+        applyLexicon(text, language = this.currentLanguage) {
+            let pieces = [{ text: text, start: 0, length: text.length, replaced: false }];
+
+            this.getPronunciationRules(language).forEach(rule => {
+                const next = [];
+                pieces.forEach(piece => {
+                    if (piece.replaced) {
+                        next.push(piece);
+                        return;
+                    }
+                    let last = 0;
+                    let match;
+                    rule.pattern.lastIndex = 0;
+                    while ((match = rule.pattern.exec(piece.text)) !== null) {
+                        if (match[0] === '') {
+                            rule.pattern.lastIndex++;
+                            continue;
+                        }
+                        if (match.index > last) {
+                            next.push({ text: piece.text.slice(last, match.index), start: piece.start + last, length: match.index - last, replaced: false });
+                        }
+                        const spokenText = typeof rule.replace === 'function'
+                            ? String(rule.replace(match))
+                            : expandReplacement(rule.replace, match);
+                        next.push({ text: spokenText, start: piece.start + match.index, length: match[0].length, replaced: true });
+                        last = match.index + match[0].length;
+                    }
+                    if (last < piece.text.length) {
+                        next.push({ text: piece.text.slice(last), start: piece.start + last, length: piece.text.length - last, replaced: false });
+                    }
+                });
+                pieces = next;
+            });
+
+            let offset = 0;
+            pieces.forEach(piece => {
+                piece.spokenStart = offset;
+                offset += piece.text.length;
+            });
+
+            return {
+                text: pieces.map(piece => piece.text).join(''),
+                toSource: function(index, length = 0) {
+                    const piece = pieces.find(p => index < p.spokenStart + p.text.length) || pieces[pieces.length - 1];
+                    if (!piece) {
+                        return { index: index, length: length };
+                    }
+                    if (piece.replaced) {
+                        return { index: piece.start, length: piece.length };
+                    }
+                    const sourceIndex = piece.start + Math.max(0, index - piece.spokenStart);
+                    return { index: sourceIndex, length: Math.min(length, piece.start + piece.length - sourceIndex) };
+                }
+            };
+        }
+
+        // Split text into chunks of at most maxLength characters: whole sentences where possible,
+        // long sentences at clause punctuation or spaces. Chrome stops long utterances after about
+        // 15 seconds, so anything read from a page should be spoken in pieces.
+        // Returns [{ text, start }] where start is the chunk's offset in text.
+        splitIntoChunks(text, maxLength = 200) {
+            const chunks = [];
+            if (!text) return chunks;
+
+            const sentencePattern = /[^.!?…。！？]+[.!?…。！？]*["'”’)\]]*\s*/g;
+            let match;
+            while ((match = sentencePattern.exec(text)) !== null) {
+                let sentence = match[0];
+                let start = match.index;
+                while (sentence.trim().length > maxLength) {
+                    const head = sentence.slice(0, maxLength);
+                    let cut = Math.max(head.lastIndexOf(', '), head.lastIndexOf('; '),
+                        head.lastIndexOf(': '), head.lastIndexOf(' - '));
+                    if (cut < maxLength / 2) {
+                        cut = head.lastIndexOf(' ');
+                    }
+                    cut = cut > 0 ? cut + 1 : maxLength;
+                    this.addChunk(chunks, sentence.slice(0, cut), start);
+                    sentence = sentence.slice(cut);
+                    start += cut;
+                }
+                this.addChunk(chunks, sentence, start);
+            }
+            return chunks;
+        }
+
+        addChunk(chunks, text, start) {
+            const trimmed = text.trim();
+            if (trimmed) {
+                chunks.push({ text: trimmed, start: start + text.indexOf(trimmed) });
+            }
+        }
+
+        // Play a list of chunks one utterance at a time.
+        // Each chunk is { text, paragraph, heading, language, element } - paragraph groups chunks for
+        // next/previous paragraph, heading (a level, 0 for body text) marks chunks to skip to.
+        // Chunks without a language are read in options.language, or the language of their element or text.
+        // Other properties are passed back untouched in the callbacks.
+        // options: rate, pitch, volume (applied with setRate etc., so they can be changed while the
+        // queue plays), language, startIndex and the callbacks
+        //   onChunkStart(chunk, index), onStart(event, chunk, index), onBoundary(event, chunk, index),
+        //   onPause(chunk, index) and onEnd(reason, error) - reason is 'end' or 'error'; stop() and
+        //   starting other speech end the queue without calling onEnd.
+        playQueue(chunks, options = {}) {
+            this.stop();
+            if (!this.engine) {
+                console.error('TTS Manager: Speech Synthesis not available');
+                return false;
             }
+
+            this.queue = (chunks || []).filter(chunk => chunk && chunk.text && chunk.text.trim() !== '');
+            if (this.queue.length === 0) {
+                console.warn('TTS Manager: Nothing to read in queue');
+                return false;
+            }
+
+            this.queueOptions = options;
+            if (options.rate) this.setRate(options.rate);
+            if (options.pitch !== undefined) this.setPitch(options.pitch);
+            if (options.volume !== undefined) this.setVolume(options.volume);
+            console.log('TTS Manager: Playing queue of', this.queue.length, 'chunks');
+            this.playQueueItem(Math.min(options.startIndex || 0, this.queue.length - 1));
+            return true;
         }
 
+        playQueueItem(index) {
+            const token = ++this.queueToken;
+            if (index >= this.queue.length) {
+                this.finishQueue('end');
+                return;
+            }
+
+            this.queueIndex = Math.max(0, index);
+            this.queuePaused = false;
+            const chunk = this.queue[this.queueIndex];
+            const chunkIndex = this.queueIndex;
+            const options = this.queueOptions;
+
+            if (options.onChunkStart) {
+                options.onChunkStart(chunk, chunkIndex);
+            }
+
+            this.speak(chunk.text, chunk.language || options.language || null, {
+                element: chunk.element,
+                rate: this.rate,
+                pitch: this.pitch,
+                volume: this.volume,
+                fromQueue: true,
+                onStart: (event) => {
+                    if (options.onStart && token === this.queueToken) {
+                        options.onStart(event, chunk, chunkIndex);
+                    }
+                },
+                onBoundary: (event) => {
+                    if (options.onBoundary && token === this.queueToken) {
+                        options.onBoundary(event, chunk, chunkIndex);
+                    }
+                }
+            }).then(() => {
+                if (token === this.queueToken) {
+                    this.playQueueItem(chunkIndex + 1);
+                }
+            }).catch((error) => {
+                // Interrupted by a jump, pause or stop
+                if (token !== this.queueToken) return;
+                console.error('TTS Manager: Queue stopped by speech error:', error);
+                this.finishQueue('error', error);
+            });
+
+            // Engines that synthesize audio can get the next chunk ready while this one plays
+            const nextChunk = this.queue[chunkIndex + 1];
+            if (nextChunk && this.engine.prefetch) {
+                const next = this.createSpeechRequest(nextChunk.text, nextChunk.language || options.language || null, {
+                    element: nextChunk.element
+                });
+                this.engine.prefetch(next.request);
+            }
+        }
+
+        finishQueue(reason, error = null) {
+            const options = this.queueOptions;
+            this.clearQueue();
+            if (options.onEnd) {
+                options.onEnd(reason, error);
+            }
+        }
+
+        clearQueue() {
+            this.queueToken++;
+            this.queue = [];
+            this.queueIndex = -1;
+            this.queuePaused = false;
+            this.queueOptions = {};
+        }
+
+        isQueueActive() {
+            return this.queue.length > 0;
+        }
+
+        // Pausing cancels the utterance and resuming replays its chunk from the start: the engine's
+        // own pause() is unreliable (Chrome drops paused speech after a while), and chunks are short
+        pauseQueue() {
+            if (!this.isQueueActive() || this.queuePaused) return false;
+            this.queueToken++;
+            this.queuePaused = true;
+            this.cancelSpeech();
+            if (this.queueOptions.onPause) {
+                this.queueOptions.onPause(this.queue[this.queueIndex], this.queueIndex);
+            }
+            return true;
+        }
+
+        resumeQueue() {
+            if (!this.isQueueActive() || !this.queuePaused) return false;
+            this.playQueueItem(this.queueIndex);
+            return true;
+        }
+
+        // Move by chunks: -1 goes back one, 1 skips ahead one
+        skipChunk(offset) {
+            if (!this.isQueueActive()) return false;
+            const target = this.queueIndex + offset;
+            if (target >= this.queue.length) return false;
+            this.playQueueItem(Math.max(0, target));
+            return true;
+        }
+
+        // Start the current chunk again, e.g. to pick up a new rate
+        restartChunk() {
+            if (!this.isQueueActive() || this.queuePaused) return false;
+            this.playQueueItem(this.queueIndex);
+            return true;
+        }
+
+        // First chunk of the paragraph the chunk at index belongs to
+        getParagraphStart(index) {
+            let start = index;
+            while (start > 0 && this.queue[start - 1].paragraph === this.queue[index].paragraph) {
+                start--;
+            }
+            return start;
+        }
+
+        nextParagraph() {
+            if (!this.isQueueActive()) return false;
+            const paragraph = this.queue[this.queueIndex].paragraph;
+            const next = this.queue.findIndex((chunk, i) => i > this.queueIndex && chunk.paragraph !== paragraph);
+            if (next === -1) return false;
+            this.playQueueItem(next);
+            return true;
+        }
+
+        // Back to the start of the previous paragraph (the first paragraph restarts)
+        previousParagraph() {
+            if (!this.isQueueActive()) return false;
+            const start = this.getParagraphStart(this.queueIndex);
+            this.playQueueItem(start > 0 ? this.getParagraphStart(start - 1) : 0);
+            return true;
+        }
+
+        // Jump to the next (direction 1) or previous (direction -1) heading
+        skipToHeading(direction = 1) {
+            if (!this.isQueueActive()) return false;
+            const start = this.getParagraphStart(this.queueIndex);
+            let target = -1;
+            if (direction < 0) {
+                for (let i = start - 1; i >= 0; i--) {
+                    if (this.queue[i].heading) {
+                        target = this.getParagraphStart(i);
+                        break;
+                    }
+                }
+            } else {
+                const paragraph = this.queue[this.queueIndex].paragraph;
+                target = this.queue.findIndex((chunk, i) => i > this.queueIndex &&
+                    chunk.heading && chunk.paragraph !== paragraph);
+            }
+            if (target === -1) return false;
+            this.playQueueItem(target);
+            return true;
+        }
+
+        getQueueState() {
+            const chunk = this.queue[this.queueIndex] || null;
+            return {
+                active: this.isQueueActive(),
+                paused: this.queuePaused,
+                index: this.queueIndex,
+                length: this.queue.length,
+                paragraph: chunk ? chunk.paragraph : null,
+                chunk: chunk
+            };
+        }
+
+        // Whether the engine can make audio files (see renderAudio)
+        canRenderAudio() {
+            return !!this.engine && typeof this.engine.synthesize === 'function' &&
+                typeof window !== 'undefined' && !!(window.OfflineAudioContext || window.webkitOfflineAudioContext);
+        }
+
+        // Render chunks (as for playQueue) to one audio file through the engine's synthesize().
+        // Resolves to { audio, transcript, chapters, duration }:
+        //   audio: a WAV Blob with a cue marker per heading
+        //   transcript: WebVTT with a cue per chunk, and a timestamp per word when the engine gives word timings
+        //   chapters: [{ time, title }] - headings and where they start, in seconds
+        // options: sampleRate (24000), onProgress(done, total), signal (an AbortSignal to cancel)
+        renderAudio(chunks, options = {}) {
+            if (!this.canRenderAudio()) {
+                return Promise.reject(new Error('The ' + (this.engine ? this.engine.name : 'current') +
+                    ' engine cannot make audio files'));
+            }
+
+            const sampleRate = options.sampleRate || 24000;
+            const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+            const decoder = new OfflineContext(1, 1, sampleRate);
+            const items = (chunks || []).filter(chunk => chunk && chunk.text && chunk.text.trim() !== '');
+            const rendered = [];
+
+            const decode = (audio) => {
+                const buffer = typeof audio === 'string'
+                    ? fetch(audio).then(response => response.arrayBuffer())
+                    : audio instanceof Blob ? audio.arrayBuffer() : Promise.resolve(audio);
+                // Decoding resamples to the context's rate; channels are mixed down to mono
+                return buffer.then(data => decoder.decodeAudioData(data)).then(decoded => {
+                    const samples = new Float32Array(decoded.length);
+                    for (let channel = 0; channel < decoded.numberOfChannels; channel++) {
+                        const data = decoded.getChannelData(channel);
+                        for (let i = 0; i < data.length; i++) {
+                            samples[i] += data[i] / decoded.numberOfChannels;
+                        }
+                    }
+                    return samples;
+                });
+            };
+
+            // One chunk after the other, so servers aren't flooded and cancelling stops quickly
+            const renderNext = (index) => {
+                if (options.signal && options.signal.aborted) {
+                    return Promise.reject(new Error('Audio export cancelled'));
+                }
+                if (index >= items.length) {
+                    return Promise.resolve();
+                }
+                const chunk = items[index];
+                const { request, spoken } = this.createSpeechRequest(chunk.text, chunk.language || options.language || null, {
+                    element: chunk.element,
+                    rate: 1 // the listener's player sets the speed
+                });
+                return this.engine.synthesize(request).then(result => {
+                    return decode(result.audio || result).then(samples => {
+                        rendered.push({ chunk: chunk, samples: samples, marks: result.marks || [], spoken: spoken });
+                        if (options.onProgress) {
+                            options.onProgress(index + 1, items.length);
+                        }
+                        return renderNext(index + 1);
+                    });
+                });
+            };
+
+            return renderNext(0).then(() => this.assembleAudio(rendered, sampleRate));
+        }
+
+        // Join rendered chunks with a short pause (longer between paragraphs) and build the transcript
+        assembleAudio(rendered, sampleRate) {
+            const pauseAfter = (item, next) => !next ? 0 : next.chunk.paragraph !== item.chunk.paragraph ? 0.6 : 0.2;
+            const totalSamples = rendered.reduce((total, item, i) =>
+                total + item.samples.length + Math.round(pauseAfter(item, rendered[i + 1]) * sampleRate), 0);
+            const samples = new Float32Array(totalSamples);
+            const cues = [];
+            const chapters = [];
+            const transcript = ['WEBVTT', ''];
+            let position = 0;
+
+            rendered.forEach((item, i) => {
+                samples.set(item.samples, position);
+                const start = position / sampleRate;
+                const end = (position + item.samples.length) / sampleRate;
+                const previous = rendered[i - 1];
+
+                // A chapter starts with each heading
+                if (item.chunk.heading > 0 && (!previous || previous.chunk.paragraph !== item.chunk.paragraph)) {
+                    const title = item.chunk.text.trim();
+                    chapters.push({ time: start, title: title });
+                    cues.push({ sample: position, label: title });
+                }
+
+                // Word timestamps go in front of each word after the first
+                const text = item.chunk.text;
+                let cueText = '';
+                let last = 0;
+                let lastTime = start;
+                item.marks.slice().sort((a, b) => a.time - b.time).forEach(mark => {
+                    const time = start + mark.time;
+                    const index = item.spoken.toSource(mark.charIndex, mark.charLength || 0).index;
+                    if (index <= last || index >= text.length || time <= lastTime || time >= end) return;
+                    cueText += escapeVTT(text.slice(last, index)) + '<' + formatVTTTime(time) + '>';
+                    last = index;
+                    lastTime = time;
+                });
+                cueText += escapeVTT(text.slice(last));
+
+                transcript.push(String(i + 1), formatVTTTime(start) + ' --> ' + formatVTTTime(end), cueText.trim(), '');
+                position += item.samples.length + Math.round(pauseAfter(item, rendered[i + 1]) * sampleRate);
+            });
+
+            return {
+                audio: encodeWav(samples, sampleRate, cues),
+                transcript: transcript.join('\n'),
+                chapters: chapters,
+                duration: totalSamples / sampleRate
+            };
+        }
+
+        // Languages that have an installed voice (all of them until the voices have loaded),
+        // plus the current language
         getAvailableLanguages() {
-            return Object.keys(TTS_LANGUAGES).map(code => ({
-                code: code,
-                name: TTS_LANGUAGES[code].name,
-                nativeName: TTS_LANGUAGES[code].name
-            }));
+            const voicesLoaded = this.availableVoices.length > 0;
+            return Object.keys(TTS_LANGUAGES)
+                .filter(code => !voicesLoaded || code === this.currentLanguage ||
+                    this.getAvailableVoicesForLanguage(code).length > 0)
+                .map(code => ({
+                    code: code,
+                    name: TTS_LANGUAGES[code].name,
+                    nativeName: TTS_LANGUAGES[code].name,
+                    rtl: !!TTS_LANGUAGES[code].rtl
+                }));
+        }
+
+        // Add or replace languages: { code: { name, code, voices, rtl, sample } } keyed by a two or three letter
+        // language code. code (the locale) defaults to the key, voices to [code]. sample is what voice previews say.
+        addLanguages(languages = {}) {
+            Object.keys(languages).forEach(key => {
+                const language = languages[key] || {};
+                if (!/^[a-z]{2,3}$/.test(key) || !language.name) {
+                    console.warn('TTS Manager: Invalid language', key, '- needs a two or three letter code and a name');
+                    return;
+                }
+                const locale = language.code || key;
+                TTS_LANGUAGES[key] = {
+                    name: language.name,
+                    code: locale,
+                    voices: Array.isArray(language.voices) && language.voices.length > 0 ? language.voices : [locale],
+                    fallback: language.fallback || locale,
+                    rtl: !!language.rtl
+                };
+                if (language.sample) {
+                    VOICE_SAMPLES[key] = language.sample;
+                }
+            });
+        }
+
+        // Languages of installed voices that aren't in TTS_LANGUAGES yet, named in their own language
+        addVoiceLanguages() {
+            const added = {};
+            this.availableVoices.forEach(voice => {
+                const locale = (voice.lang || '').replace('_', '-');
+                const primary = locale.split('-')[0].toLowerCase();
+                if (!/^[a-z]{2,3}$/.test(primary) || this.resolveLanguage(primary) || added[primary]) return;
+                added[primary] = {
+                    name: getLanguageName(primary),
+                    code: locale,
+                    rtl: RTL_LANGUAGES.includes(primary)
+                };
+            });
+            if (Object.keys(added).length > 0) {
+                console.log('TTS Manager: Added languages from installed voices:', Object.keys(added).join(', '));
+                this.addLanguages(added);
+            }
         }
 
         getAvailableVoicesForLanguage(language) {
@@ -342,12 +1794,49 @@
             if (!langConfig) return [];
 
             return this.availableVoices.filter(voice => {
-                return langConfig.voices.some(voiceCode => 
+                return !voice.lang || langConfig.voices.some(voiceCode => 
                     voice.lang === voiceCode || voice.lang.startsWith(voiceCode.split('-')[0])
                 );
             });
         }
 
+        // Language (a TTS_LANGUAGES code) a voice speaks, null for voices without a known language
+        getVoiceLanguage(voice) {
+            return voice ? this.resolveLanguage(voice.lang) : null;
+        }
+
+        // 'female', 'male' or '' when it can't be told: the engine's gender, the voice's name
+        // ("Google UK English Female") or a list of well-known voices
+        getVoiceGender(voice) {
+            if (!voice) return '';
+            if (voice.gender === 'female' || voice.gender === 'male') return voice.gender;
+
+            const name = (voice.name || '').toLowerCase();
+            if (/\bfemale\b|\bwoman\b/.test(name)) return 'female';
+            if (/\bmale\b|\bman\b/.test(name)) return 'male';
+            const words = name.split(/[^a-z-]+/);
+            if (words.some(word => FEMALE_VOICE_NAMES.includes(word))) return 'female';
+            if (words.some(word => MALE_VOICE_NAMES.includes(word))) return 'male';
+            return '';
+        }
+
+        // Speak a sample sentence with a voice, in the voice's own language.
+        // options: rate, pitch, volume; language for voices that speak several (or no declared) languages
+        previewVoice(voiceName, options = {}) {
+            const voice = this.availableVoices.find(v => v.name === voiceName || v.voiceURI === voiceName);
+            if (!voice) {
+                return Promise.reject(new Error('Voice not found: ' + voiceName));
+            }
+            const language = this.getVoiceLanguage(voice) || this.resolveLanguage(options.language) || this.currentLanguage;
+            const sample = VOICE_SAMPLES[language] || TTS_LANGUAGES[language].name;
+            return this.speak(sample, language, {
+                voice: voice,
+                rate: options.rate,
+                pitch: options.pitch,
+                volume: options.volume
+            });
+        }
+
         getCurrentLanguage() {
             return {
                 code: this.currentLanguage,
@@ -360,7 +1849,7 @@
         }
 
         isAvailable() {
-            return 'speechSynthesis' in window && this.synthesis !== null;
+            return this.engine !== null && this.engine.isAvailable();
         }
     }
 
@@ -373,6 +1862,13 @@
         
         // Also expose language constants
         window.TTS_LANGUAGES = TTS_LANGUAGES;
+
+        // Engine classes, for integrators' engines to build on
+        window.TTSEngines = {
+            WebSpeechEngine: WebSpeechEngine,
+            AudioEngine: AudioEngine,
+            HTTPEngine: HTTPEngine
+        };
     }
 
     // Export for Node.js/CommonJS if needed